@@ -0,0 +1,146 @@
+// adaptive_detector.js - 自适应场景检测模块
+/**
+ * 逐帧计算一次场景分数，再按局部滚动平均值挑选切点
+ * 快速运动的段落整体分数偏高、缓慢段落偏低，用相对值比较可以避免
+ * 前者误报、后者漏报，不再需要固定阈值加低阈值重试
+ */
+
+const config = require("./config");
+const { analyzeFrames } = require("./transition_detector");
+
+// 直方图的区间数（分数 0-1 等分）
+const HISTOGRAM_BINS = 20;
+
+/**
+ * 计算每帧分数与前后 windowFrames 帧（不含自身）平均分数的比值
+ */
+function adaptiveRatios(scores, windowFrames) {
+  const prefix = [0];
+  scores.forEach((score, i) => prefix.push(prefix[i] + score));
+
+  return scores.map((score, i) => {
+    const from = Math.max(0, i - windowFrames);
+    const to = Math.min(scores.length - 1, i + windowFrames);
+    const count = to - from;
+    const average =
+      count > 0 ? (prefix[to + 1] - prefix[from] - score) / count : 0;
+    // 静止画面的平均值接近 0，设下限避免比值失控
+    return score / Math.max(average, 0.001);
+  });
+}
+
+/**
+ * 按自适应比值挑选切点
+ * @param {Array} frames - [{frame, time, score}]
+ * @param {object} settings
+ * @param {number} settings.fps - 帧率
+ * @param {number} settings.window - 滚动平均的半窗口（秒）
+ * @param {number} settings.ratio - 切点分数至少是局部平均值的倍数
+ * @param {number} settings.minScore - 切点的最低原始分数
+ * @param {number} settings.minSceneLength - 场景最短时长（秒）
+ * @param {number|null} settings.targetCount - 目标场景数，设置后忽略 ratio，取比值最高的切点
+ * @returns {Array} 按时间排序的切点 [{frame, time, score, ratio}]
+ */
+function selectCuts(frames, settings) {
+  const windowFrames = Math.max(1, Math.round(settings.window * settings.fps));
+  const scores = frames.map((f) => f.score || 0);
+  const ratios = adaptiveRatios(scores, windowFrames);
+
+  const candidates = frames
+    .map((f, i) => ({
+      frame: f.frame,
+      time: f.time,
+      score: scores[i],
+      ratio: ratios[i],
+    }))
+    .filter((c, i) => i > 0 && c.score >= settings.minScore)
+    .filter((c) => settings.targetCount || c.ratio >= settings.ratio)
+    .sort((a, b) => b.ratio - a.ratio || b.score - a.score);
+
+  // 目标 N 个场景需要 N - 1 个切点
+  const limit = settings.targetCount
+    ? Math.max(0, settings.targetCount - 1)
+    : Infinity;
+  const duration = frames.length ? frames[frames.length - 1].time : 0;
+  const minLength = settings.minSceneLength || 0;
+  const chosen = [];
+
+  for (const cut of candidates) {
+    if (chosen.length >= limit) break;
+    if (cut.time < minLength || duration - cut.time < minLength) continue;
+    if (chosen.some((c) => Math.abs(c.time - cut.time) < minLength)) continue;
+    chosen.push(cut);
+  }
+
+  return chosen.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 场景分数直方图
+ * @returns {Array} [{from, to, count}]
+ */
+function scoreHistogram(frames, bins = HISTOGRAM_BINS) {
+  const histogram = [];
+  for (let i = 0; i < bins; i++) {
+    histogram.push({ from: i / bins, to: (i + 1) / bins, count: 0 });
+  }
+
+  frames.slice(1).forEach((f) => {
+    const index = Math.min(bins - 1, Math.floor((f.score || 0) * bins));
+    histogram[index].count++;
+  });
+
+  return histogram;
+}
+
+/**
+ * 自适应检测场景切点
+ * @param {string} videoPath - 视频路径
+ * @param {object} options - {runner, signal, window, ratio, minScore, minSceneLength, targetCount, luma}
+ *   luma 为 false 时 frames 不含亮度，分析时省去亮度计算
+ * @returns {Promise<object>} {cuts, frames, fps, duration, effectiveThreshold, effectiveRatio, histogram}
+ *   effectiveThreshold 为被选中切点中最低的原始分数，可与固定阈值直接比较
+ */
+async function detectAdaptive(videoPath, options = {}) {
+  const defaults = config.getConfig().adaptive;
+  const settings = {};
+  ["window", "ratio", "minScore", "minSceneLength", "targetCount"].forEach(
+    (key) => {
+      settings[key] =
+        options[key] !== undefined && options[key] !== null
+          ? options[key]
+          : defaults[key];
+    },
+  );
+
+  // 只需要场景分数和亮度，不计算窗口差值
+  const { fps, duration, frames } = await analyzeFrames(videoPath, {
+    runner: options.runner,
+    signal: options.signal,
+    window: 0,
+    luma: options.luma,
+  });
+
+  const cuts = selectCuts(frames, { ...settings, fps });
+
+  return {
+    cuts,
+    frames,
+    fps,
+    duration,
+    effectiveThreshold: cuts.length
+      ? Math.min(...cuts.map((c) => c.score))
+      : null,
+    effectiveRatio: cuts.length
+      ? Math.round(Math.min(...cuts.map((c) => c.ratio)) * 100) / 100
+      : null,
+    histogram: scoreHistogram(frames),
+  };
+}
+
+// 导出模块
+module.exports = {
+  selectCuts,
+  scoreHistogram,
+  detectAdaptive,
+};
@@ -0,0 +1,292 @@
+// analysis_cache.js - 分析结果缓存模块
+/**
+ * 缓存对源视频的分析结果，之后的命令（包括换一个阈值重新运行）不必再次解码
+ *   probe     - ffprobe 的输出，按参数区分
+ *   frames    - 逐帧场景分数和亮度（见 transition_detector.analyzeFrames），按窗口帧数区分；
+ *               不计算亮度的分析键为 scores
+ *   silence   - 静音段落，按阈值和最短时长区分；relative 模式测得的响度
+ *   quality   - 候选帧的画面指标（见 thumbnail_generator.evaluateFrameQuality），按时间点区分
+ *
+ * 每个视频按内容指纹（文件大小 + 开头和结尾各 1 MiB 的 SHA-1）定位，每类数据一个文件:
+ *   <cache.dir>/<指纹>.<类别>.json
+ * 文件中记录视频的大小和修改时间，任一不符即视为过期并重新分析；
+ * 移动或重命名视频（修改时间不变）仍能命中缓存
+ *
+ * cache.dir 默认为 $XDG_CACHE_HOME/scene-editor（未设置时为 ~/.cache/scene-editor），
+ * cache.enabled 为 false（或命令行 --no-cache）时不读也不写缓存
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+// 缓存格式版本，格式或分析方式改变时递增，旧文件自动失效
+const CACHE_VERSION = 1;
+
+const SECTIONS = ["probe", "frames", "silence", "quality"];
+
+// 指纹读取的开头和结尾长度
+const FINGERPRINT_BYTES = 1024 * 1024;
+
+const TEMP_PREFIX = path.join(os.tmpdir(), "scene-editor-");
+
+// 进程内缓存：最近一个视频的指纹和已读取的数据，避免重复读盘
+// 只保留一个视频，批量处理时内存不随文件数增长；换到别的视频时丢弃，之后从缓存文件重新读取
+let current = null;
+
+// 缓存的数据只含 JSON 可表示的值
+const copy = (value) =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+function isEnabled() {
+  return config.getConfig().cache.enabled !== false;
+}
+
+function getCacheDir() {
+  const dir = config.getConfig().cache.dir;
+  if (dir) return path.resolve(dir);
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "scene-editor");
+}
+
+/**
+ * 读取视频的大小、修改时间和内容指纹（结果按大小和修改时间缓存）
+ * @returns {{size: number, mtimeMs: number, hash: string}|null} 文件不存在或为临时文件时返回 null
+ */
+function fingerprint(videoPath) {
+  if (!fs.existsSync(videoPath)) return null;
+  const stat = fs.statSync(videoPath);
+  const file = path.resolve(videoPath);
+  // 各模块临时目录（scene-editor-*）中的中间文件不缓存
+  if (!stat.isFile() || file.startsWith(TEMP_PREFIX)) return null;
+
+  if (
+    current &&
+    current.file === file &&
+    current.source.size === stat.size &&
+    current.source.mtimeMs === stat.mtimeMs
+  ) {
+    return current.source;
+  }
+
+  const hash = crypto.createHash("sha1").update(`${stat.size}:`);
+  const fd = fs.openSync(file, "r");
+  try {
+    const length = Math.min(FINGERPRINT_BYTES, stat.size);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, 0);
+    hash.update(buffer);
+    if (stat.size > FINGERPRINT_BYTES) {
+      fs.readSync(fd, buffer, 0, length, stat.size - length);
+      hash.update(buffer);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const result = {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    hash: hash.digest("hex"),
+  };
+  current = { file, source: result, sections: {} };
+  return result;
+}
+
+function sectionFile(hash, section) {
+  return path.join(getCacheDir(), `${hash}.${section}.json`);
+}
+
+/**
+ * 读取某个视频的一类缓存数据
+ * @returns {object|null} {file, data}，视频不存在时返回 null；缓存过期或损坏时 data 为空对象
+ */
+function loadSection(videoPath, section) {
+  if (!SECTIONS.includes(section)) {
+    throw new Error(`Unknown analysis cache section: ${section}`);
+  }
+  const source = fingerprint(videoPath);
+  if (!source) return null;
+
+  const memo = current.sections[section];
+  if (memo) return memo;
+
+  const file = sectionFile(source.hash, section);
+  const entry = {
+    file,
+    size: source.size,
+    mtimeMs: source.mtimeMs,
+    data: readSection(file, source),
+  };
+  current.sections[section] = entry;
+  return entry;
+}
+
+/**
+ * 读取缓存文件中的数据
+ * @returns {object} 文件不存在、过期或损坏时为空对象
+ */
+function readSection(file, source) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (
+      saved.version === CACHE_VERSION &&
+      saved.source.size === source.size &&
+      saved.source.mtimeMs === source.mtimeMs
+    ) {
+      return saved.data;
+    }
+  } catch (error) {
+    // 文件损坏时重新分析并覆盖；提示写到 stderr，不混入命令输出的 JSON
+    console.error(
+      `[INFO] Ignoring unreadable analysis cache ${file}: ${error.message}`,
+    );
+  }
+  return {};
+}
+
+/**
+ * 写入缓存（先写临时文件再改名，中断时不会留下不完整的文件）
+ * 先合并文件中已有的键：进程内的数据可能已被丢弃并重新读取，文件中可能有别处写入的结果
+ * 写入失败只提示，不影响分析结果
+ */
+function saveSection(entry) {
+  const temp = `${entry.file}.${process.pid}.tmp`;
+  try {
+    entry.data = { ...readSection(entry.file, entry), ...entry.data };
+    fs.mkdirSync(path.dirname(entry.file), { recursive: true });
+    fs.writeFileSync(
+      temp,
+      JSON.stringify({
+        version: CACHE_VERSION,
+        source: { size: entry.size, mtimeMs: entry.mtimeMs },
+        data: entry.data,
+      }),
+    );
+    fs.renameSync(temp, entry.file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    console.error(`[INFO] Could not write analysis cache: ${error.message}`);
+  }
+}
+
+/**
+ * 某类缓存中已有的键
+ * @returns {Array<string>} 缓存关闭或没有数据时为空数组
+ */
+function cachedKeys(videoPath, section) {
+  if (!isEnabled()) return [];
+  const entry = loadSection(videoPath, section);
+  return entry ? Object.keys(entry.data) : [];
+}
+
+/**
+ * 读取一条缓存数据（副本）
+ * @returns {*} 没有缓存时返回 undefined
+ */
+function lookup(videoPath, section, key) {
+  if (!cachedKeys(videoPath, section).includes(key)) return undefined;
+  return copy(loadSection(videoPath, section).data[key]);
+}
+
+/**
+ * 返回缓存的结果，没有时调用 compute 计算并保存
+ * 返回的是副本，调用方修改结果不会影响缓存
+ * @param {string} videoPath - 被分析的视频
+ * @param {string} section - probe | frames | silence | quality
+ * @param {string} key - 区分分析参数的键
+ * @param {Function} compute - () => Promise<结果>，结果须可序列化为 JSON
+ */
+async function remember(videoPath, section, key, compute) {
+  if (!isEnabled()) return compute();
+  const entry = loadSection(videoPath, section);
+  if (!entry) return compute();
+  if (Object.prototype.hasOwnProperty.call(entry.data, key)) {
+    return copy(entry.data[key]);
+  }
+
+  const value = await compute();
+  // 分析期间视频被改写时不保存
+  const current = fingerprint(videoPath);
+  if (current && current.mtimeMs === entry.mtimeMs) {
+    entry.data[key] = copy(value);
+    saveSection(entry);
+  }
+  return value;
+}
+
+/**
+ * 带缓存的 ffprobe：最后一个参数为视频路径，其余参数作为缓存键
+ * @returns {Promise<string>} 标准输出
+ */
+function ffprobe(videoPath, args, options = {}) {
+  const key = args.filter((arg) => arg !== mediaPath(videoPath)).join(" ");
+  return remember(videoPath, "probe", key, () =>
+    getRunner(options).ffprobe(args),
+  );
+}
+
+/**
+ * 列出某个视频已缓存的数据
+ * @returns {object|null} {dir, hash, sections: {probe: [键...], ...}}，视频不存在时返回 null
+ */
+function describe(videoPath) {
+  const source = fingerprint(videoPath);
+  if (!source) return null;
+  const sections = {};
+  SECTIONS.forEach((section) => {
+    const keys = cachedKeys(videoPath, section);
+    if (keys.length) sections[section] = keys;
+  });
+  return { dir: getCacheDir(), hash: source.hash, sections };
+}
+
+/**
+ * 删除缓存
+ * @param {string|null} videoPath - 只删除这个视频的缓存；不传时清空缓存目录
+ * @returns {number} 删除的文件数
+ */
+function clearCache(videoPath = null) {
+  const dir = getCacheDir();
+  if (!fs.existsSync(dir)) return 0;
+
+  let prefix = null;
+  if (videoPath) {
+    const source = fingerprint(videoPath);
+    if (!source) {
+      throw new Error(`Video file not found: ${videoPath}`);
+    }
+    prefix = `${source.hash}.`;
+  }
+
+  // 只删除缓存文件，cache.dir 中的其他文件保留
+  const pattern = new RegExp(`^[0-9a-f]{40}\\.(${SECTIONS.join("|")})\\.json$`);
+  // 丢弃进程内已读取的数据
+  if (current) current.sections = {};
+
+  let removed = 0;
+  fs.readdirSync(dir).forEach((name) => {
+    if (!pattern.test(name) || (prefix && !name.startsWith(prefix))) return;
+    const file = path.join(dir, name);
+    fs.rmSync(file, { force: true });
+    removed++;
+  });
+  return removed;
+}
+
+// 导出模块
+module.exports = {
+  CACHE_VERSION,
+  getCacheDir,
+  fingerprint,
+  cachedKeys,
+  lookup,
+  remember,
+  ffprobe,
+  describe,
+  clearCache,
+};
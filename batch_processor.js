@@ -0,0 +1,551 @@
+// batch_processor.js - 批量处理模块
+/**
+ * 对一批视频运行处理流程，限制同时处理的文件数
+ *   - 输入为文件、目录、通配符（"recordings/*.mp4"，** 匹配任意层目录）或清单文件（JSON / CSV）
+ *   - 流程由步骤组成（auto、silence、thumbnails），每个步骤都处理源文件
+ *   - 每个文件的结果写入报告，每完成一个文件保存一次；
+ *     重新运行时跳过报告中已完成的文件，重试失败和中断的文件
+ *
+ * JSON 清单:
+ *   {
+ *     "pipeline": "auto,thumbnails",
+ *     "options": { "cutMode": "smart", "auto": { "minDuration": 2 } },
+ *     "jobs": [
+ *       "intro.mp4",
+ *       { "file": "talk.mp4", "pipeline": "silence", "output": "out/talk", "options": { "silence": { "threshold": -35 } } }
+ *     ]
+ *   }
+ * CSV 清单: 表头为 file, pipeline, output 和选项列；"silence.threshold" 这样的列只作用于该步骤
+ * 清单中的相对路径相对于清单文件所在目录
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { FFmpegRunner } = require("./ffmpeg_runner");
+
+const VIDEO_EXTENSIONS = [
+  ".mp4",
+  ".m4v",
+  ".mov",
+  ".mkv",
+  ".webm",
+  ".avi",
+  ".mts",
+  ".ts",
+];
+
+const REPORT_FILE = "batch_report.json";
+
+/**
+ * 处理步骤：(job, options, runner) => 结果
+ * job.output 为该文件的输出目录，job.name 为输出文件名前缀
+ */
+const PIPELINES = {
+  auto: (job, options, runner) =>
+    require("./index").autoEdit(
+      job.file,
+      options.minDuration,
+      options.threshold,
+      options.cutMode,
+      {
+        ...options,
+        runner,
+        scenesDir: path.join(job.output, "scenes"),
+        mergedFile: path.join(
+          job.output,
+          `${job.name}_auto${path.extname(job.file)}`,
+        ),
+      },
+    ),
+  silence: async (job, options, runner) => {
+    const outputFile = path.join(
+      job.output,
+      `${job.name}_no_silence${path.extname(job.file)}`,
+    );
+    return require("./silence_detector").removeSilence(
+      job.file,
+      outputFile,
+      options.threshold,
+      options.minDuration,
+      options.padding,
+      options.cutMode,
+      { ...options, runner },
+    );
+  },
+  thumbnails: (job, options, runner) =>
+    require("./thumbnail_generator").generateAllThumbnails(
+      job.file,
+      path.join(job.output, "thumbnails"),
+      job.name,
+      { ...options, runner },
+    ),
+};
+
+/**
+ * 解析步骤列表："auto,thumbnails" 或数组
+ */
+function parsePipeline(pipeline) {
+  const steps = (
+    Array.isArray(pipeline) ? pipeline : String(pipeline).split(",")
+  )
+    .map((step) => step.trim())
+    .filter(Boolean);
+  if (steps.length === 0) {
+    throw new Error("Batch pipeline is empty");
+  }
+  steps.forEach((step) => {
+    if (!PIPELINES[step]) {
+      throw new Error(
+        `Unknown batch step: ${step} (use ${Object.keys(PIPELINES).join(", ")})`,
+      );
+    }
+  });
+  return steps;
+}
+
+/**
+ * 某一步骤的选项：通用选项加上以步骤名为键的选项
+ */
+function stepOptions(options, step) {
+  const common = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !PIPELINES[key]),
+  );
+  return { ...common, ...options[step] };
+}
+
+/**
+ * 合并两层选项，步骤选项逐个步骤合并
+ */
+function mergeOptions(base = {}, override = {}) {
+  const merged = { ...base, ...override };
+  Object.keys(PIPELINES).forEach((step) => {
+    if (base[step] || override[step]) {
+      merged[step] = { ...base[step], ...override[step] };
+    }
+  });
+  return merged;
+}
+
+/**
+ * 通配符转正则：* 和 ? 不跨目录，** 匹配任意层目录
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === "win32" ? "i" : "");
+}
+
+const isGlob = (value) => /[*?]/.test(value);
+
+/**
+ * 展开通配符，返回匹配的文件（已排序）
+ */
+function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, "/");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex(isGlob);
+  const base = segments.slice(0, firstGlob).join("/") || ".";
+  const rest = segments.slice(firstGlob).join("/");
+  const matcher = globToRegExp(rest);
+  const maxDepth = rest.includes("**") ? Infinity : segments.length - firstGlob;
+
+  const files = [];
+  const walk = (dir, relative, depth) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      // 与 shell 一致，通配符不匹配隐藏文件和目录
+      if (entry.name.startsWith(".")) return;
+      const rel = relative ? `${relative}/${entry.name}` : entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) walk(full, rel, depth + 1);
+      } else if (matcher.test(rel)) {
+        files.push(full);
+      }
+    });
+  };
+  walk(base, "", 1);
+  return files.sort();
+}
+
+/**
+ * 目录中的视频文件（不递归）
+ */
+function listVideos(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) =>
+      VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase()),
+    )
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * 解析 CSV（支持引号、引号内的逗号和换行，"" 表示引号）
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^﻿/, "");
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// CSV 单元格：空为未设置，true / false 和数字按类型转换
+function csvValue(value) {
+  const text = value.trim();
+  if (text === "") return undefined;
+  if (text === "true" || text === "false") return text === "true";
+  if (!isNaN(text) && !isNaN(parseFloat(text))) return parseFloat(text);
+  return text;
+}
+
+/**
+ * 读取清单文件
+ * @param {string} file - .json 或 .csv
+ * @returns {{pipeline: string|null, options: object, jobs: Array<{file, pipeline, output, options}>}}
+ */
+function loadManifest(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Manifest not found: ${file}`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+  const resolve = (p) => (p && !path.isAbsolute(p) ? path.join(baseDir, p) : p);
+  const text = fs.readFileSync(file, "utf8");
+
+  let manifest;
+  if (path.extname(file).toLowerCase() === ".csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.map((h) => h.trim()).includes("file")) {
+      throw new Error(`CSV manifest needs a "file" column: ${file}`);
+    }
+    manifest = {
+      jobs: rows.map((cells) => {
+        const job = { options: {} };
+        header.forEach((column, i) => {
+          const key = column.trim();
+          const raw = (cells[i] || "").trim();
+          if (["file", "pipeline", "output"].includes(key)) {
+            if (raw) job[key] = raw;
+            return;
+          }
+          const value = csvValue(raw);
+          if (value === undefined) return;
+          if (key.includes(".")) {
+            const [step, option] = key.split(".", 2);
+            job.options[step] = { ...job.options[step], [option]: value };
+          } else {
+            job.options[key] = value;
+          }
+        });
+        return job;
+      }),
+    };
+  } else {
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid manifest ${file}: ${error.message}`);
+    }
+    if (Array.isArray(manifest)) manifest = { jobs: manifest };
+  }
+
+  return {
+    pipeline: manifest.pipeline || null,
+    options: manifest.options || {},
+    jobs: (manifest.jobs || []).map((job) => {
+      const entry = typeof job === "string" ? { file: job } : job;
+      if (!entry.file) {
+        throw new Error(`Manifest job without a file in ${file}`);
+      }
+      return {
+        file: resolve(entry.file),
+        pipeline: entry.pipeline || null,
+        output: resolve(entry.output) || null,
+        options: entry.options || {},
+      };
+    }),
+  };
+}
+
+/**
+ * 把输入展开为任务列表
+ * @param {Array<string>} sources - 文件、目录、通配符或清单
+ * @param {object} settings - {pipeline, options, outputDir}
+ * @returns {Array<{id, file, name, steps, output, options}>}
+ */
+function buildJobs(sources, settings) {
+  const entries = [];
+  [].concat(sources).forEach((source) => {
+    const ext = path.extname(source).toLowerCase();
+    if ((ext === ".json" || ext === ".csv") && !isGlob(source)) {
+      const manifest = loadManifest(source);
+      manifest.jobs.forEach((job) =>
+        entries.push({
+          ...job,
+          pipeline: job.pipeline || manifest.pipeline,
+          options: mergeOptions(manifest.options, job.options),
+        }),
+      );
+    } else if (isGlob(source)) {
+      const files = expandGlob(source);
+      if (files.length === 0) {
+        console.log(`[INFO] No files match ${source}`);
+      }
+      files.forEach((file) => entries.push({ file }));
+    } else if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      listVideos(source).forEach((file) => entries.push({ file }));
+    } else {
+      entries.push({ file: source });
+    }
+  });
+
+  // 同名文件的输出目录加序号区分
+  const used = new Map();
+  return entries.map((entry) => {
+    const steps = parsePipeline(entry.pipeline || settings.pipeline);
+    const options = mergeOptions(settings.options, entry.options);
+    const base = path.parse(entry.file).name;
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    const name = count > 1 ? `${base}_${count}` : base;
+    return {
+      id: [
+        path.resolve(entry.file),
+        steps.join(","),
+        JSON.stringify(options),
+      ].join("|"),
+      file: entry.file,
+      name,
+      steps,
+      output: entry.output || path.join(settings.outputDir, name),
+      options,
+    };
+  });
+}
+
+function readReport(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read batch report ${file}: ${error.message}`);
+  }
+}
+
+// 先写临时文件再改名，中断时不会留下半个报告
+function writeReport(file, report) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(report, null, 2) + "\n");
+  fs.renameSync(temp, file);
+}
+
+function summarize(entries) {
+  const summary = { total: entries.length, done: 0, failed: 0, pending: 0 };
+  entries.forEach((entry) => {
+    if (entry.status === "done") summary.done++;
+    else if (entry.status === "failed") summary.failed++;
+    else summary.pending++;
+  });
+  return summary;
+}
+
+/**
+ * 批量处理
+ * @param {string|Array<string>} sources - 文件、目录、通配符或清单（.json / .csv）
+ * @param {object} options - {runner, signal, pipeline, options, outputDir, concurrency, report, force}
+ *   pipeline 为步骤列表（默认 batch.pipeline），清单中的设置优先；
+ *   options 为各文件共用的选项，以步骤名为键的对象只作用于该步骤；
+ *   report 默认为 <outputDir>/batch_report.json；force 时忽略报告重新处理所有文件
+ * @returns {Promise<object>} 报告 {pipeline, startedAt, updatedAt, summary, jobs}
+ */
+async function runBatch(sources, options = {}) {
+  const defaults = config.getConfig();
+  const outputDir = options.outputDir || defaults.output.batch;
+  const concurrency = Math.max(
+    1,
+    parseInt(options.concurrency) || defaults.batch.concurrency,
+  );
+  const reportFile = options.report || path.join(outputDir, REPORT_FILE);
+  const signal = options.signal || (options.runner && options.runner.signal);
+
+  const jobs = buildJobs(sources, {
+    pipeline: options.pipeline || defaults.batch.pipeline,
+    options: options.options || {},
+    outputDir,
+  });
+  if (jobs.length === 0) {
+    throw new Error("No files to process");
+  }
+
+  // 沿用报告中已完成的结果，其余文件重新处理
+  const previous = options.force ? null : readReport(reportFile);
+  const prior = new Map(
+    ((previous && previous.jobs) || []).map((entry) => [entry.id, entry]),
+  );
+  const entries = jobs.map((job) => {
+    const last = prior.get(job.id);
+    if (last && last.status === "done") return last;
+    return {
+      id: job.id,
+      file: job.file,
+      pipeline: job.steps.join(","),
+      output: job.output,
+      options: job.options,
+      status: "pending",
+      attempts: last ? last.attempts || 0 : 0,
+    };
+  });
+  const report = {
+    pipeline: options.pipeline || defaults.batch.pipeline,
+    startedAt: (previous && previous.startedAt) || new Date().toISOString(),
+    updatedAt: null,
+    summary: null,
+    jobs: entries,
+  };
+  const save = () => {
+    report.updatedAt = new Date().toISOString();
+    report.summary = summarize(entries);
+    writeReport(reportFile, report);
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(reportFile)), { recursive: true });
+  const queue = jobs.filter((job, i) => entries[i].status !== "done");
+  const skipped = jobs.length - queue.length;
+  console.log(
+    `[Batch] ${jobs.length} file(s), ${queue.length} to process${skipped ? `, ${skipped} already done` : ""} (concurrency ${concurrency})`,
+  );
+  save();
+
+  let next = 0;
+  let started = 0;
+  const worker = async () => {
+    while (next < queue.length && !(signal && signal.aborted)) {
+      const job = queue[next++];
+      const entry = entries[jobs.indexOf(job)];
+      const number = ++started;
+      console.log(
+        `[Processing] (${number}/${queue.length}) ${job.file}: ${job.steps.join(" -> ")}`,
+      );
+
+      const begin = Date.now();
+      Object.assign(entry, {
+        status: "running",
+        startedAt: new Date(begin).toISOString(),
+        attempts: entry.attempts + 1,
+        results: {},
+      });
+      delete entry.error;
+      const finish = (status) => {
+        entry.status = status;
+        entry.finishedAt = new Date().toISOString();
+        entry.seconds = Math.round((Date.now() - begin) / 100) / 10;
+      };
+      const runner = new FFmpegRunner({ signal });
+      try {
+        if (!fs.existsSync(job.file)) {
+          throw new Error(`Video file not found: ${job.file}`);
+        }
+        fs.mkdirSync(job.output, { recursive: true });
+        for (const step of job.steps) {
+          runner.stage(step);
+          entry.results[step] = await PIPELINES[step](
+            job,
+            stepOptions(job.options, step),
+            runner,
+          );
+        }
+        finish("done");
+        console.log(`[OK] (${number}/${queue.length}) ${job.file}`);
+      } catch (error) {
+        entry.error = error.message;
+        // 中断的文件保持未完成，下次运行时重新处理
+        if (error.name === "AbortError") {
+          finish("interrupted");
+          save();
+          throw error;
+        }
+        finish("failed");
+        console.log(
+          `[ERROR] (${number}/${queue.length}) ${job.file}: ${error.message}`,
+        );
+      }
+      save();
+    }
+  };
+  // 中断时等所有进行中的文件都记录下来再抛出
+  const settled = await Promise.allSettled(
+    Array.from({ length: Math.min(concurrency, queue.length) }, worker),
+  );
+  save();
+  const aborted = settled.find((result) => result.status === "rejected");
+  if (aborted) throw aborted.reason;
+
+  const { done, failed } = report.summary;
+  console.log(
+    `[OK] Batch finished: ${done} done, ${failed} failed. Report: ${reportFile}`,
+  );
+  return report;
+}
+
+// 导出模块
+module.exports = {
+  PIPELINES,
+  VIDEO_EXTENSIONS,
+  globToRegExp,
+  expandGlob,
+  parseCsv,
+  loadManifest,
+  buildJobs,
+  runBatch,
+};
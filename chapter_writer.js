@@ -0,0 +1,245 @@
+// chapter_writer.js - 章节标记模块
+/**
+ * 把场景边界写成章节
+ *   - ffmetadata 章节封装进 MP4 / MKV（流复制，不重新编码）
+ *   - YouTube 简介用的章节列表（00:00 标题）
+ *   - WebVTT 章节轨道
+ * 标题来自可选的标题文件，未指定的场景使用 "Scene N"
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { formatSubtitles } = require("./subtitle_retimer");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+// 支持章节元数据的容器
+const CHAPTER_CONTAINERS = [".mp4", ".m4v", ".mov", ".mkv"];
+
+// YouTube 的章节要求：从 00:00 开始，至少 3 个，每个不短于 10 秒
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_LENGTH = 10;
+
+/**
+ * 读取标题文件
+ *   JSON 数组      - ["片头", "第一部分", ...]，按场景顺序
+ *   JSON 对象      - {"1": "片头", "3": "演示"}，键为场景编号（从 1 开始）
+ *   纯文本         - 每行一个标题，空行表示使用默认标题
+ * @param {string} file - 标题文件路径
+ * @returns {object} 场景编号 -> 标题
+ */
+function loadTitles(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Titles file not found: ${file}`);
+  }
+  const text = fs.readFileSync(file, "utf8").replace(/^﻿/, "");
+  let data;
+  if (/^\s*[[{]/.test(text)) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid titles file ${file}: ${error.message}`);
+    }
+  } else {
+    data = text.replace(/\r\n?/g, "\n").replace(/\n+$/, "").split("\n");
+  }
+
+  const titles = {};
+  if (Array.isArray(data)) {
+    data.forEach((title, i) => {
+      if (title && String(title).trim()) titles[i + 1] = String(title).trim();
+    });
+  } else {
+    Object.entries(data).forEach(([key, title]) => {
+      const index = parseInt(key);
+      if (!(index > 0)) {
+        throw new Error(`Invalid scene number in titles file: ${key}`);
+      }
+      if (title && String(title).trim()) titles[index] = String(title).trim();
+    });
+  }
+  return titles;
+}
+
+/**
+ * 由切换点生成章节
+ * @param {Array<number>} cuts - 场景切换时间点（秒，升序，不含 0 和结尾）
+ * @param {number} duration - 视频总时长（秒）
+ * @param {object} titles - 场景编号 -> 标题（loadTitles 的返回值）
+ * @returns {Array} [{index, start, end, title}]
+ */
+function buildChapters(cuts, duration, titles = {}) {
+  const bounds = [0, ...cuts.filter((t) => t > 0 && t < duration), duration];
+  const chapters = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    chapters.push({
+      index: i + 1,
+      start: bounds[i],
+      end: bounds[i + 1],
+      title: titles[i + 1] || `Scene ${i + 1}`,
+    });
+  }
+  return chapters;
+}
+
+// ffmetadata 中 = ; # \ 和换行需要转义
+function escapeMetadata(value) {
+  return value.replace(/[=;#\\\n]/g, (c) => `\\${c}`);
+}
+
+/**
+ * 生成 ffmetadata 章节（时间基 1/1000）
+ */
+function formatFFMetadata(chapters) {
+  const lines = [";FFMETADATA1"];
+  chapters.forEach((chapter) => {
+    lines.push(
+      "[CHAPTER]",
+      "TIMEBASE=1/1000",
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeMetadata(chapter.title)}`,
+    );
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * 生成 YouTube 章节列表，视频不足 1 小时使用 MM:SS，否则 H:MM:SS
+ */
+function formatYouTubeChapters(chapters) {
+  const total = chapters.length ? chapters[chapters.length - 1].end : 0;
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = (seconds) => {
+    const s = Math.floor(seconds);
+    const time = `${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+    return total >= 3600 ? `${Math.floor(s / 3600)}:${time}` : time;
+  };
+  return (
+    chapters
+      .map((chapter) => `${stamp(chapter.start)} ${chapter.title}`)
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * 生成 WebVTT 章节轨道
+ */
+function formatWebVTTChapters(chapters) {
+  return formatSubtitles(
+    chapters.map((chapter) => ({
+      start: chapter.start,
+      end: chapter.end,
+      text: chapter.title,
+    })),
+    "vtt",
+  );
+}
+
+/**
+ * 检查章节是否满足 YouTube 的要求，返回不满足的原因
+ */
+function youtubeWarnings(chapters) {
+  const warnings = [];
+  if (chapters.length < YOUTUBE_MIN_CHAPTERS) {
+    warnings.push(
+      `YouTube needs at least ${YOUTUBE_MIN_CHAPTERS} chapters (have ${chapters.length})`,
+    );
+  }
+  const short = chapters.filter(
+    (chapter) => chapter.end - chapter.start < YOUTUBE_MIN_LENGTH,
+  );
+  if (short.length > 0) {
+    warnings.push(
+      `YouTube chapters must be at least ${YOUTUBE_MIN_LENGTH}s (scenes ${short.map((c) => c.index).join(", ")} are shorter)`,
+    );
+  }
+  return warnings;
+}
+
+/**
+ * 写入章节：封装进 outputFile，并在旁边生成 .chapters.txt（YouTube）和 .chapters.vtt
+ * @param {string} videoPath - 源视频
+ * @param {Array<number>} cuts - 场景切换时间点（秒）
+ * @param {number} duration - 视频总时长（秒）
+ * @param {string} outputFile - 带章节的输出文件（.mp4 / .m4v / .mov / .mkv）
+ * @param {object} options - {runner, signal, titles}
+ *   titles 为标题文件路径或 场景编号 -> 标题 的对象
+ * @returns {Promise<{outputFile: string, youtube: string, webvtt: string, chapters: Array, warnings: Array}>}
+ */
+async function writeChapters(
+  videoPath,
+  cuts,
+  duration,
+  outputFile,
+  options = {},
+) {
+  const ext = path.extname(outputFile).toLowerCase();
+  if (!CHAPTER_CONTAINERS.includes(ext)) {
+    throw new Error(
+      `Cannot write chapters into ${ext || "this container"} (use ${CHAPTER_CONTAINERS.join(", ")})`,
+    );
+  }
+  if (path.resolve(outputFile) === path.resolve(videoPath)) {
+    throw new Error("Output file must differ from the input video");
+  }
+
+  const runner = getRunner(options);
+  const titles =
+    typeof options.titles === "string"
+      ? loadTitles(options.titles)
+      : options.titles || {};
+  const chapters = buildChapters(cuts, duration, titles);
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+  try {
+    const metadataFile = path.join(workDir, "chapters.txt");
+    fs.writeFileSync(metadataFile, formatFFMetadata(chapters));
+
+    runner.stage(`Writing ${chapters.length} chapters`);
+    await runner.ffmpeg([
+      "-y",
+      "-i",
+      mediaPath(videoPath),
+      "-f",
+      "ffmetadata",
+      "-i",
+      mediaPath(metadataFile),
+      "-map",
+      "0",
+      "-map_metadata",
+      "0",
+      "-map_chapters",
+      "1",
+      "-c",
+      "copy",
+      mediaPath(outputFile),
+    ]);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const base = path.join(path.dirname(outputFile), path.parse(outputFile).name);
+  const youtube = `${base}.chapters.txt`;
+  const webvtt = `${base}.chapters.vtt`;
+  fs.writeFileSync(youtube, formatYouTubeChapters(chapters));
+  fs.writeFileSync(webvtt, formatWebVTTChapters(chapters));
+
+  const warnings = youtubeWarnings(chapters);
+  // 写到 stderr：chapters 命令的 stdout 只输出 JSON 结果（其中也包含 warnings）
+  warnings.forEach((warning) => console.error(`[INFO] ${warning}`));
+  console.error(`[OK] Wrote ${chapters.length} chapters: ${outputFile}`);
+
+  return { outputFile, youtube, webvtt, chapters, warnings };
+}
+
+// 导出模块
+module.exports = {
+  CHAPTER_CONTAINERS,
+  loadTitles,
+  buildChapters,
+  formatFFMetadata,
+  formatYouTubeChapters,
+  formatWebVTTChapters,
+  writeChapters,
+};
@@ -0,0 +1,415 @@
+// config.js - 工具链与默认设置模块
+/**
+ * 统一查找 FFmpeg / FFprobe，并提供可配置的默认参数
+ *
+ * 可执行文件的查找顺序:
+ *   1. 命令行参数 --ffmpeg / --ffprobe
+ *   2. 环境变量 FFMPEG_PATH / FFPROBE_PATH
+ *   3. .scene-editorrc 中的 ffmpeg / ffprobe
+ *   4. 系统 PATH
+ *
+ * .scene-editorrc 可以是 JSON 或简单的 YAML（键值对和缩进的嵌套对象），
+ * 依次读取用户主目录和项目目录（当前工作目录），项目目录中的设置优先
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const RC_FILE = ".scene-editorrc";
+
+// 默认参数，均可在 .scene-editorrc 中覆盖
+const DEFAULTS = {
+  ffmpeg: null,
+  ffprobe: null,
+  threshold: 0.3,
+  fallbackThreshold: 0.15,
+  cutMode: "copy",
+  minDuration: {
+    merge: 2.0,
+    auto: 3.0,
+  },
+  silence: {
+    threshold: -30,
+    minDuration: 0.5,
+    padding: 0.1,
+    speed: 4,
+    maxGap: 2.0,
+    relative: false,
+  },
+  loudness: {
+    target: "web",
+  },
+  thumbnails: {
+    sceneMargin: 0.5,
+  },
+  sprites: {
+    interval: 5,
+    width: 160,
+    columns: 10,
+    rows: 10,
+    quality: 5,
+  },
+  subtitles: {
+    format: null,
+    mux: false,
+    minCueDuration: 0.2,
+  },
+  deadFrames: {
+    black: {
+      minDuration: 0.5,
+      pictureThreshold: 0.98,
+      pixelThreshold: 0.1,
+    },
+    freeze: {
+      minDuration: 2.0,
+      noise: -60,
+    },
+    padding: 0,
+  },
+  adaptive: {
+    window: 2.0,
+    ratio: 3.0,
+    minScore: 0.1,
+    minSceneLength: 0,
+    targetCount: null,
+  },
+  transitions: {
+    window: 1.0,
+    ratio: 2.0,
+    minDelta: 10,
+    blackLuma: 24,
+  },
+  joins: {
+    transition: null,
+    duration: 0.5,
+    audioFade: 0.02,
+  },
+  batch: {
+    pipeline: "auto",
+    concurrency: 2,
+  },
+  cache: {
+    enabled: true,
+    dir: null,
+  },
+  output: {
+    scenes: "scenes",
+    merged: "merged_scenes.mp4",
+    autoScenes: "auto_scenes",
+    autoMerged: "auto_merged.mp4",
+    thumbnails: "thumbnails",
+    batch: "batch_output",
+  },
+};
+
+// 各功能依赖的 FFmpeg 滤镜
+const REQUIRED_FILTERS = {
+  select: "scene detection",
+  metadata: "scene scores",
+  signalstats: "scene detection",
+  blend: "gradual transitions",
+  format: "gradual transitions",
+  silencedetect: "silence detection",
+  blackdetect: "black frame detection",
+  freezedetect: "frozen frame detection",
+  xstack: "storyboards",
+  palettegen: "GIF previews",
+  tile: "sprite sheets",
+  edgedetect: "thumbnail scoring",
+  drawtext: "cover text",
+  xfade: "crossfade transitions",
+  acrossfade: "crossfade transitions",
+  afade: "audio fades at joins",
+  loudnorm: "loudness normalization",
+};
+
+let overrides = {};
+let fileConfig = null;
+let toolchain = null;
+let verified = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * 深度合并配置，undefined 的值不会覆盖已有设置
+ */
+function mergeConfig(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? mergeConfig(result[key], value)
+        : value;
+  });
+  return result;
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (/^".*"$/.test(value)) return JSON.parse(value);
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === "" || value === "~" || value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (!isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * 去掉行尾注释（引号内的 # 保留）
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * 解析简单 YAML：只支持键值对和用缩进表示的嵌套对象
+ */
+function parseYaml(text, file) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  text.split(/\r?\n/).forEach((raw, n) => {
+    const line = stripComment(raw);
+    if (!line.trim()) return;
+
+    const indent = line.search(/\S/);
+    const match = line
+      .trim()
+      .match(/^([\w.-]+|"[^"]*"|'[^']*')\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`${file}:${n + 1}: unsupported syntax: ${raw.trim()}`);
+    }
+
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+    const key = match[1].replace(/^["']|["']$/g, "");
+
+    if (match[2] === undefined || match[2].trim() === "") {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = parseScalar(match[2]);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * 读取某个目录下的 .scene-editorrc
+ * @returns {object|null} 配置对象，文件不存在时返回 null
+ */
+function loadRcFile(dir) {
+  const file = path.join(dir, RC_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  const text = fs.readFileSync(file, "utf-8");
+  let data;
+  try {
+    data = text.trim().startsWith("{")
+      ? JSON.parse(text)
+      : parseYaml(text, file);
+  } catch (error) {
+    throw new Error(`Invalid ${RC_FILE}: ${file}\n${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`Invalid ${RC_FILE}: ${file}\nExpected an object`);
+  }
+
+  // 配置文件中的相对可执行文件路径以文件所在目录为基准
+  ["ffmpeg", "ffprobe"].forEach((key) => {
+    if (typeof data[key] === "string" && /[\\/]/.test(data[key])) {
+      data[key] = path.resolve(dir, data[key]);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * 合并主目录和项目目录中的配置文件（结果会缓存）
+ */
+function loadFileConfig() {
+  if (!fileConfig) {
+    const home = os.homedir();
+    const cwd = process.cwd();
+    const sources = [];
+    let data = {};
+
+    [home, cwd].forEach((dir, i) => {
+      if (i === 1 && path.resolve(dir) === path.resolve(home)) return;
+      const rc = loadRcFile(dir);
+      if (rc) {
+        data = mergeConfig(data, rc);
+        sources.push(path.join(dir, RC_FILE));
+      }
+    });
+
+    fileConfig = { data, sources };
+  }
+  return fileConfig;
+}
+
+/**
+ * 当前生效的设置：默认值 < 配置文件 < configure() 传入的覆盖
+ */
+function getConfig() {
+  return mergeConfig(mergeConfig(DEFAULTS, loadFileConfig().data), overrides);
+}
+
+/**
+ * 设置覆盖项（通常来自命令行参数），并清空已解析的工具链
+ * @param {object} values - 与配置文件结构相同，如 {ffmpeg, threshold}
+ */
+function configure(values = {}) {
+  overrides = mergeConfig(overrides, values);
+  toolchain = null;
+  verified = null;
+}
+
+/**
+ * 与 ffmpeg 同目录的 ffprobe（保留扩展名，如 .exe）
+ */
+function siblingProbe(ffmpegPath) {
+  if (!/[\\/]/.test(ffmpegPath)) return null;
+  const dir = path.dirname(ffmpegPath);
+  const ext = path.extname(ffmpegPath);
+  const probe = path.join(dir, `ffprobe${ext}`);
+  return fs.existsSync(probe) ? probe : null;
+}
+
+function resolveBinary(name, envVar) {
+  const rc = loadFileConfig();
+  const candidates = [
+    [overrides[name], `--${name}`],
+    [process.env[envVar], envVar],
+    [rc.data[name], rc.sources.join(", ")],
+  ];
+
+  for (const [value, source] of candidates) {
+    if (value) return { path: String(value), source };
+  }
+  return null;
+}
+
+/**
+ * 解析 FFmpeg / FFprobe 路径（不执行，结果会缓存）
+ * @returns {{ffmpeg: string, ffprobe: string, sources: object}}
+ */
+function getToolchain() {
+  if (!toolchain) {
+    const ffmpeg = resolveBinary("ffmpeg", "FFMPEG_PATH") || {
+      path: "ffmpeg",
+      source: "PATH",
+    };
+    let ffprobe = resolveBinary("ffprobe", "FFPROBE_PATH");
+    if (!ffprobe) {
+      const sibling = siblingProbe(ffmpeg.path);
+      ffprobe = sibling
+        ? { path: sibling, source: ffmpeg.source }
+        : { path: "ffprobe", source: "PATH" };
+    }
+
+    toolchain = {
+      ffmpeg: ffmpeg.path,
+      ffprobe: ffprobe.path,
+      sources: { ffmpeg: ffmpeg.source, ffprobe: ffprobe.source },
+    };
+  }
+  return toolchain;
+}
+
+function readVersion(bin, name, source) {
+  let output;
+  try {
+    output = execFileSync(bin, ["-version"], {
+      stdio: ["ignore", "pipe", "pipe"],
+      windowsHide: true,
+    }).toString();
+  } catch (error) {
+    throw new Error(
+      `${name} not found or not runnable: ${bin} (from ${source})\n${error.message}`,
+    );
+  }
+
+  const match = output.match(new RegExp(`${name} version (\\S+)`));
+  return match ? match[1] : "unknown";
+}
+
+/**
+ * 检查 FFmpeg / FFprobe 能否运行，并检查依赖的滤镜（结果会缓存）
+ * @returns {{ffmpeg: object, ffprobe: object, missingFilters: Array}}
+ * @throws 找不到或无法运行可执行文件时
+ */
+function verifyToolchain() {
+  if (verified) return verified;
+
+  const tools = getToolchain();
+  const ffmpegVersion = readVersion(
+    tools.ffmpeg,
+    "ffmpeg",
+    tools.sources.ffmpeg,
+  );
+  const ffprobeVersion = readVersion(
+    tools.ffprobe,
+    "ffprobe",
+    tools.sources.ffprobe,
+  );
+
+  const filters = execFileSync(tools.ffmpeg, ["-hide_banner", "-filters"], {
+    stdio: ["ignore", "pipe", "pipe"],
+    windowsHide: true,
+  }).toString();
+  const available = new Set(
+    filters
+      .split("\n")
+      .map((line) => line.trim().split(/\s+/)[1])
+      .filter(Boolean),
+  );
+
+  verified = {
+    ffmpeg: {
+      path: tools.ffmpeg,
+      version: ffmpegVersion,
+      source: tools.sources.ffmpeg,
+    },
+    ffprobe: {
+      path: tools.ffprobe,
+      version: ffprobeVersion,
+      source: tools.sources.ffprobe,
+    },
+    missingFilters: Object.entries(REQUIRED_FILTERS)
+      .filter(([name]) => !available.has(name))
+      .map(([name, usedFor]) => ({ name, usedFor })),
+  };
+  return verified;
+}
+
+// 导出模块
+module.exports = {
+  RC_FILE,
+  DEFAULTS,
+  REQUIRED_FILTERS,
+  getConfig,
+  configure,
+  getToolchain,
+  verifyToolchain,
+  loadRcFile,
+};
@@ -0,0 +1,405 @@
+// cover_generator.js - 封面模板模块
+/**
+ * 按 JSON 模板把选中的帧合成为成品封面
+ *   - 按平台预设的宽高比裁剪（以 focus 为中心，默认画面中心）
+ *   - 渐变遮罩（scrim），让文字在亮画面上也清晰
+ *   - 标题 / 副标题、Logo、边框
+ *
+ * 模板示例:
+ *   {
+ *     "presets": ["16:9", "1:1"],
+ *     "focus": { "x": 0.5, "y": 0.4 },
+ *     "title": { "text": "第一集", "size": 0.09, "color": "white", "position": "bottom-left", "fontFile": "fonts/bold.ttf" },
+ *     "subtitle": { "text": "开始之前", "size": 0.05 },
+ *     "scrim": { "position": "bottom", "height": 0.5, "color": "black", "opacity": 0.6 },
+ *     "logo": { "file": "logo.png", "position": "top-right", "width": 0.15, "opacity": 0.9 },
+ *     "border": { "width": 8, "color": "white" }
+ *   }
+ * 尺寸类数值（size、margin、logo.width）小于 1 时按画面短边（logo.width 按宽度）的比例计算，
+ * 否则为像素；模板中的相对路径相对于模板文件所在目录
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const thumbnailGen = require("./thumbnail_generator");
+const { getRunner, mediaPath, escapeFilterValue } = require("./ffmpeg_runner");
+
+// 平台预设
+const COVER_PRESETS = {
+  "16:9": { width: 1280, height: 720 },
+  "1:1": { width: 1080, height: 1080 },
+  "9:16": { width: 1080, height: 1920 },
+  "4:5": { width: 1080, height: 1350 },
+};
+
+const POSITIONS = [
+  "top-left",
+  "top",
+  "top-right",
+  "left",
+  "center",
+  "right",
+  "bottom-left",
+  "bottom",
+  "bottom-right",
+];
+
+const SCRIM_POSITIONS = ["top", "bottom", "left", "right", "full"];
+
+const DEFAULT_TEMPLATE = {
+  presets: ["16:9"],
+  focus: { x: 0.5, y: 0.5 },
+  margin: 0.05,
+  title: {
+    text: "",
+    size: 0.09,
+    color: "white",
+    position: "bottom-left",
+    shadow: true,
+    box: false,
+  },
+  subtitle: { text: "", size: 0.05, color: "white@0.9" },
+  scrim: { position: "bottom", height: 0.5, color: "black", opacity: 0.6 },
+  logo: null,
+  border: null,
+};
+
+// 行高与字号之比
+const LINE_HEIGHT = 1.25;
+
+/**
+ * 读取并补全模板
+ * @param {string|object|null} template - 模板文件路径、模板对象或 null（使用默认模板）
+ * @returns {object} 完整的模板
+ */
+function loadTemplate(template = null) {
+  let data = template || {};
+  let baseDir = process.cwd();
+  if (typeof template === "string") {
+    if (!fs.existsSync(template)) {
+      throw new Error(`Cover template not found: ${template}`);
+    }
+    try {
+      data = JSON.parse(fs.readFileSync(template, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid cover template ${template}: ${error.message}`);
+    }
+    baseDir = path.dirname(path.resolve(template));
+  }
+
+  const section = (key) =>
+    data[key] === null || data[key] === false
+      ? null
+      : data[key] || DEFAULT_TEMPLATE[key]
+        ? { ...DEFAULT_TEMPLATE[key], ...data[key] }
+        : null;
+  const resolved = {
+    ...DEFAULT_TEMPLATE,
+    ...data,
+    focus: { ...DEFAULT_TEMPLATE.focus, ...data.focus },
+    title: section("title"),
+    subtitle: section("subtitle"),
+    scrim: section("scrim"),
+    logo: section("logo"),
+    border: section("border"),
+  };
+  resolved.presets = [].concat(resolved.presets);
+
+  const relative = (file) =>
+    file && !path.isAbsolute(file) ? path.join(baseDir, file) : file;
+  ["title", "subtitle"].forEach((key) => {
+    if (resolved[key] && resolved[key].fontFile) {
+      resolved[key].fontFile = relative(resolved[key].fontFile);
+    }
+  });
+  if (resolved.logo) {
+    if (!resolved.logo.file) {
+      throw new Error("Cover template logo needs a file");
+    }
+    resolved.logo.file = relative(resolved.logo.file);
+  }
+
+  validateTemplate(resolved);
+  return resolved;
+}
+
+function validateTemplate(template) {
+  template.presets.forEach((preset) => {
+    if (!COVER_PRESETS[preset]) {
+      throw new Error(
+        `Unknown cover preset: ${preset} (use ${Object.keys(COVER_PRESETS).join(", ")})`,
+      );
+    }
+  });
+  [template.title, template.logo].forEach((item) => {
+    if (item && item.position && !POSITIONS.includes(item.position)) {
+      throw new Error(
+        `Unknown position: ${item.position} (use ${POSITIONS.join(", ")})`,
+      );
+    }
+  });
+  if (template.scrim && !SCRIM_POSITIONS.includes(template.scrim.position)) {
+    throw new Error(
+      `Unknown scrim position: ${template.scrim.position} (use ${SCRIM_POSITIONS.join(", ")})`,
+    );
+  }
+  if (template.logo && !fs.existsSync(template.logo.file)) {
+    throw new Error(`Logo file not found: ${template.logo.file}`);
+  }
+}
+
+/**
+ * 比例或像素值转换为像素
+ */
+function toPixels(value, reference) {
+  return Math.round(value < 1 ? value * reference : value);
+}
+
+/**
+ * 拆分位置：bottom-left -> {vertical: "bottom", horizontal: "left"}
+ */
+function splitPosition(position) {
+  const parts = position.split("-");
+  const vertical = ["top", "bottom"].includes(parts[0]) ? parts[0] : "center";
+  const horizontal = ["left", "right"].includes(parts[parts.length - 1])
+    ? parts[parts.length - 1]
+    : "center";
+  return { vertical, horizontal };
+}
+
+/**
+ * 渐变遮罩：纯色图层，alpha 从遮罩边缘的 0 过渡到画面边缘的 opacity
+ */
+function scrimFilter(scrim, width, height) {
+  const alpha = 255 * scrim.opacity;
+  const ramp = {
+    bottom: `clip((Y-H*${1 - scrim.height})/(H*${scrim.height}),0,1)`,
+    top: `clip((H*${scrim.height}-Y)/(H*${scrim.height}),0,1)`,
+    right: `clip((X-W*${1 - scrim.height})/(W*${scrim.height}),0,1)`,
+    left: `clip((W*${scrim.height}-X)/(W*${scrim.height}),0,1)`,
+    full: "1",
+  }[scrim.position];
+  return `color=c=${scrim.color}:s=${width}x${height},format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='${alpha}*${ramp}'`;
+}
+
+/**
+ * 标题和副标题作为一个文字块排版，返回 drawtext 滤镜
+ */
+function textFilters(template, width, height, textFiles) {
+  const short = Math.min(width, height);
+  const margin = toPixels(template.margin, short);
+  // 文字块的位置和样式默认值取自标题
+  const layout = template.title || DEFAULT_TEMPLATE.title;
+  const { vertical, horizontal } = splitPosition(layout.position);
+  const items = ["title", "subtitle"]
+    .filter((key) => template[key] && template[key].text)
+    .map((key) => {
+      const style = template[key];
+      const size = toPixels(style.size, short);
+      const lines = style.text.split("\n").length;
+      return { key, style, size, height: size * LINE_HEIGHT * lines };
+    });
+  if (items.length === 0) return [];
+
+  const block = items.reduce((sum, item) => sum + item.height, 0);
+  let y = {
+    top: margin,
+    center: (height - block) / 2,
+    bottom: height - margin - block,
+  }[vertical];
+  const x = {
+    left: `${margin}`,
+    center: "(w-text_w)/2",
+    right: `w-text_w-${margin}`,
+  }[horizontal];
+
+  return items.map((item) => {
+    const { style } = item;
+    const options = [
+      `textfile=${escapeFilterValue(textFiles[item.key])}`,
+      "expansion=none",
+      `fontsize=${item.size}`,
+      `fontcolor=${style.color}`,
+      `line_spacing=${Math.round(item.size * (LINE_HEIGHT - 1))}`,
+      `x=${x}`,
+      `y=${Math.round(y)}`,
+    ];
+    if (style.fontFile) {
+      options.push(`fontfile=${escapeFilterValue(style.fontFile)}`);
+    } else if (style.font) {
+      options.push(`font=${escapeFilterValue(style.font)}`);
+    }
+    if (style.shadow !== undefined ? style.shadow : layout.shadow) {
+      const offset = Math.max(1, Math.round(item.size / 24));
+      options.push(
+        "shadowcolor=black@0.6",
+        `shadowx=${offset}`,
+        `shadowy=${offset}`,
+      );
+    }
+    if (style.box !== undefined ? style.box : layout.box) {
+      options.push(
+        "box=1",
+        "boxcolor=black@0.5",
+        `boxborderw=${Math.round(item.size / 4)}`,
+      );
+    }
+    y += item.height;
+    return `drawtext=${options.join(":")}`;
+  });
+}
+
+/**
+ * 生成单个预设的滤镜图
+ */
+function coverFilterGraph(template, preset, textFiles) {
+  const { width, height } = COVER_PRESETS[preset];
+  const { x: fx, y: fy } = template.focus;
+  const filters = [
+    // 缩放到完全覆盖目标尺寸，再以 focus 为中心裁剪
+    `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})*${fx}:(ih-${height})*${fy},setsar=1,format=rgb24[base]`,
+  ];
+  let current = "base";
+
+  if (template.scrim) {
+    filters.push(`${scrimFilter(template.scrim, width, height)}[scrim]`);
+    filters.push(`[${current}][scrim]overlay=0:0[scrimmed]`);
+    current = "scrimmed";
+  }
+
+  if (template.logo) {
+    const logo = template.logo;
+    const margin = toPixels(
+      logo.margin !== undefined ? logo.margin : template.margin,
+      Math.min(width, height),
+    );
+    const { vertical, horizontal } = splitPosition(
+      logo.position || "top-right",
+    );
+    const lx = {
+      left: `${margin}`,
+      center: "(main_w-overlay_w)/2",
+      right: `main_w-overlay_w-${margin}`,
+    }[horizontal];
+    const ly = {
+      top: `${margin}`,
+      center: "(main_h-overlay_h)/2",
+      bottom: `main_h-overlay_h-${margin}`,
+    }[vertical];
+    const logoWidth = toPixels(logo.width || 0.15, width);
+    const opacity = logo.opacity !== undefined ? logo.opacity : 1;
+    filters.push(
+      `[1:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity}[logo]`,
+    );
+    filters.push(`[${current}][logo]overlay=${lx}:${ly}[logoed]`);
+    current = "logoed";
+  }
+
+  const finishing = textFilters(template, width, height, textFiles);
+  if (template.border) {
+    finishing.push(
+      `drawbox=x=0:y=0:w=iw:h=ih:color=${template.border.color || "white"}:t=${template.border.width || 8}`,
+    );
+  }
+  if (finishing.length === 0) finishing.push("null");
+  filters.push(`[${current}]${finishing.join(",")}[out]`);
+
+  return filters.join(";");
+}
+
+/**
+ * 生成封面
+ * @param {string} videoPath - 视频路径
+ * @param {string} outputFile - 输出图片；多个预设时在文件名后加预设（cover_16x9.jpg）
+ * @param {string|object|null} template - 模板文件路径或模板对象
+ * @param {object} options - {runner, signal, timestamp, title, subtitle, presets, sceneAware}
+ *   title / subtitle 覆盖模板中的文字；presets 覆盖模板中的预设；
+ *   不指定 timestamp 时自动选择最佳帧
+ * @returns {Promise<{timestamp: number, covers: Array<{preset, file, width, height}>}>}
+ */
+async function generateCover(
+  videoPath,
+  outputFile,
+  template = null,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const resolved = loadTemplate(template);
+  if (options.title !== undefined) {
+    resolved.title = { ...resolved.title, text: options.title };
+  }
+  if (options.subtitle !== undefined) {
+    resolved.subtitle = { ...resolved.subtitle, text: options.subtitle };
+  }
+  if (options.presets) {
+    resolved.presets = [].concat(options.presets);
+  }
+  validateTemplate(resolved);
+
+  const timestamp =
+    options.timestamp !== undefined && options.timestamp !== null
+      ? options.timestamp
+      : await thumbnailGen.findBestThumbnailFrame(videoPath, 10, {
+          runner,
+          sceneAware: options.sceneAware,
+        });
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+  try {
+    // 文字写入文件传给 drawtext，避免引号、冒号、% 等字符的转义问题
+    const textFiles = {};
+    ["title", "subtitle"].forEach((key) => {
+      if (resolved[key] && resolved[key].text) {
+        textFiles[key] = path.join(workDir, `${key}.txt`);
+        fs.writeFileSync(textFiles[key], resolved[key].text);
+      }
+    });
+
+    const { dir, name, ext } = path.parse(outputFile);
+    const covers = [];
+    for (const preset of resolved.presets) {
+      const file =
+        resolved.presets.length > 1
+          ? path.join(dir, `${name}_${preset.replace(":", "x")}${ext}`)
+          : outputFile;
+      const inputs = ["-ss", timestamp, "-i", mediaPath(videoPath)];
+      if (resolved.logo) inputs.push("-i", mediaPath(resolved.logo.file));
+
+      // 进度写到 stderr，thumbnail cover 的 stdout 只有结果 JSON
+      console.error(
+        `[Generating] Cover ${preset} at ${timestamp.toFixed(2)}s...`,
+      );
+      runner.stage(`Generating ${preset} cover`);
+      await runner.ffmpeg([
+        "-y",
+        ...inputs,
+        "-filter_complex",
+        coverFilterGraph(resolved, preset, textFiles),
+        "-map",
+        "[out]",
+        "-frames:v",
+        1,
+        "-update",
+        1,
+        "-q:v",
+        2,
+        mediaPath(file),
+      ]);
+      covers.push({ preset, file, ...COVER_PRESETS[preset] });
+      console.error(`[OK] Cover saved: ${file}`);
+    }
+
+    return { timestamp, covers };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// 导出模块
+module.exports = {
+  COVER_PRESETS,
+  DEFAULT_TEMPLATE,
+  loadTemplate,
+  generateCover,
+};
@@ -0,0 +1,306 @@
+// dead_frame_detector.js - 黑场与静止画面检测模块
+/**
+ * 检测并删除没有有效画面的段落
+ *   black  - 黑场（blackdetect）
+ *   freeze - 画面静止不动（freezedetect），常见于录屏和直播录制
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cutter = require("./segment_cutter");
+const config = require("./config");
+const analysisCache = require("./analysis_cache");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+const DEAD_FRAME_TYPES = ["black", "freeze"];
+
+// 判断静止段是否落在黑场内时允许的误差（秒）
+const OVERLAP_TOLERANCE = 0.1;
+
+/**
+ * 获取媒体时长（秒）
+ */
+async function probeDuration(videoPath, runner) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      mediaPath(videoPath),
+    ],
+    { runner },
+  );
+  return parseFloat(output.trim());
+}
+
+/**
+ * 解析 blackdetect 输出
+ */
+function parseBlackSegments(log) {
+  const segments = [];
+  const matches = log.matchAll(
+    /black_start:([\d.]+) black_end:([\d.]+) black_duration:([\d.]+)/g,
+  );
+  for (const match of matches) {
+    segments.push({
+      start: parseFloat(match[1]),
+      end: parseFloat(match[2]),
+      duration: parseFloat(match[3]),
+      type: "black",
+    });
+  }
+  return segments;
+}
+
+/**
+ * 解析 freezedetect 输出，视频在静止中结束时 end 取 totalDuration
+ * 静止时长恰好等于 d 时 FFmpeg 可能不输出 freeze_start，此时由 end - duration 推算
+ */
+function parseFreezeSegments(log, totalDuration) {
+  const segments = [];
+  let start = null;
+  let duration = null;
+
+  for (const match of log.matchAll(/freeze_(start|duration|end): ([\d.]+)/g)) {
+    const value = parseFloat(match[2]);
+    if (match[1] === "start") {
+      start = value;
+    } else if (match[1] === "duration") {
+      duration = value;
+    } else {
+      const segStart = start !== null ? start : value - (duration || 0);
+      segments.push({
+        start: segStart,
+        end: value,
+        duration: value - segStart,
+        type: "freeze",
+      });
+      start = null;
+      duration = null;
+    }
+  }
+
+  if (start !== null) {
+    segments.push({
+      start,
+      end: totalDuration,
+      duration: totalDuration - start,
+      type: "freeze",
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * 检测黑场和静止画面
+ * @param {string} videoPath - 视频文件路径
+ * @param {object} options - {runner, signal, types, black, freeze}
+ *   types 默认 ["black", "freeze"]；black / freeze 覆盖配置中 deadFrames 的对应设置
+ * @returns {Promise<Array>} 按开始时间排序的时间段 [{start, end, duration, type}]
+ */
+async function detectDeadFrames(videoPath, options = {}) {
+  const defaults = config.getConfig().deadFrames;
+  const types = options.types || DEAD_FRAME_TYPES;
+  const unknown = types.filter((type) => !DEAD_FRAME_TYPES.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    throw new Error(
+      `Unsupported dead frame type: ${unknown.join(", ") || "(none)"} (use ${DEAD_FRAME_TYPES.join(" or ")})`,
+    );
+  }
+  const black = { ...defaults.black, ...options.black };
+  const freeze = { ...defaults.freeze, ...options.freeze };
+
+  console.log(`[Detecting] Dead frames (${types.join(", ")})...`);
+
+  const runner = getRunner(options);
+  const totalDuration = await probeDuration(videoPath, runner);
+
+  // 两个滤镜都只分析不修改画面，可以在一次解码中完成
+  const filters = [];
+  if (types.includes("black")) {
+    filters.push(
+      `blackdetect=d=${black.minDuration}:pic_th=${black.pictureThreshold}:pix_th=${black.pixelThreshold}`,
+    );
+  }
+  if (types.includes("freeze")) {
+    filters.push(`freezedetect=n=${freeze.noise}dB:d=${freeze.minDuration}`);
+  }
+
+  runner.stage("Detecting dead frames");
+  const { stderr: output } = await runner.ffmpeg(
+    [
+      "-i",
+      mediaPath(videoPath),
+      "-vf",
+      filters.join(","),
+      "-an",
+      "-f",
+      "null",
+      "-",
+    ],
+    { duration: totalDuration },
+  );
+
+  const blackSegments = parseBlackSegments(output);
+  // 黑场本身也是静止画面，只保留不在黑场内的静止段
+  const freezeSegments = parseFreezeSegments(output, totalDuration).filter(
+    (seg) =>
+      !blackSegments.some(
+        (b) =>
+          seg.start >= b.start - OVERLAP_TOLERANCE &&
+          seg.end <= b.end + OVERLAP_TOLERANCE,
+      ),
+  );
+
+  const segments = [...blackSegments, ...freezeSegments].sort(
+    (a, b) => a.start - b.start,
+  );
+
+  console.log(
+    `[OK] Found ${blackSegments.length} black and ${freezeSegments.length} frozen segments`,
+  );
+  return segments;
+}
+
+/**
+ * 删除黑场和静止画面
+ * @param {string} videoPath - 输入视频
+ * @param {string} outputFile - 输出文件
+ * @param {string} cutMode - 裁剪模式 copy | reencode | smart
+ * @param {object} options - {runner, signal, types, black, freeze, padding, transition, transitionDuration, audioFade}
+ *   padding 为每个删除段两端各保留的时长（秒），transition 等拼接设置同 renderSegments
+ * @returns {Promise<object>} {outputFile, originalDuration, newDuration}
+ */
+async function removeDeadFrames(
+  videoPath,
+  outputFile,
+  cutMode = config.getConfig().cutMode,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const padding =
+    options.padding !== undefined
+      ? options.padding
+      : config.getConfig().deadFrames.padding;
+  console.log(
+    `\n[Processing] Removing dead frames from ${path.basename(videoPath)}...`,
+  );
+
+  // 1. 检测黑场和静止画面
+  const deadSegments = await detectDeadFrames(videoPath, {
+    ...options,
+    runner,
+  });
+
+  const totalDuration = await probeDuration(videoPath, runner);
+  if (deadSegments.length === 0) {
+    console.log("[INFO] No dead frames detected, copying original file");
+    fs.copyFileSync(videoPath, outputFile);
+    return {
+      outputFile,
+      originalDuration: totalDuration,
+      newDuration: totalDuration,
+    };
+  }
+
+  // 2. 计算保留段落（补集）
+  const keepSegments = cutter.keepRanges(
+    0,
+    totalDuration,
+    deadSegments,
+    padding,
+  );
+  if (keepSegments.length === 0) {
+    throw new Error("The whole video is black or frozen, nothing to keep");
+  }
+
+  console.log(`[OK] Will keep ${keepSegments.length} segments`);
+
+  // 3. 提取并合并保留段落
+  const result = await cutter.renderSegments(
+    videoPath,
+    keepSegments,
+    outputFile,
+    cutMode,
+    { ...options, runner },
+  );
+
+  const newDuration = result.duration;
+  const savedTime = totalDuration - newDuration;
+
+  console.log(`\n[OK] Dead frame removal complete!`);
+  console.log(`  Original: ${totalDuration.toFixed(2)}s`);
+  console.log(`  New: ${newDuration.toFixed(2)}s`);
+  console.log(
+    `  Saved: ${savedTime.toFixed(2)}s (${((savedTime / totalDuration) * 100).toFixed(1)}%)`,
+  );
+  console.log(`  Cut mode: ${result.mode}`);
+  console.log(`  Output: ${outputFile}`);
+
+  return { outputFile, originalDuration: totalDuration, newDuration };
+}
+
+// 导出模块
+module.exports = {
+  DEAD_FRAME_TYPES,
+  detectDeadFrames,
+  removeDeadFrames,
+};
+
+// 命令行使用
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const videoPath = args[1];
+
+  if (!command || !videoPath) {
+    console.log("Usage:");
+    console.log(
+      "  node dead_frame_detector.js detect <video.mp4> [black|freeze|all]",
+    );
+    console.log(
+      "  node dead_frame_detector.js remove <video.mp4> [output.mp4] [black|freeze|all] [copy|reencode|smart]",
+    );
+    process.exit(1);
+  }
+
+  const typesArg = (value) =>
+    !value || value === "all" ? DEAD_FRAME_TYPES : [value];
+
+  (async () => {
+    switch (command) {
+      case "detect": {
+        const segments = await detectDeadFrames(videoPath, {
+          types: typesArg(args[2]),
+        });
+        console.log("\nDead frame segments:");
+        segments.forEach((seg, i) => {
+          console.log(
+            `  ${i + 1}. ${seg.type.padEnd(6)} ${seg.start.toFixed(2)}s - ${seg.end.toFixed(2)}s (${seg.duration.toFixed(2)}s)`,
+          );
+        });
+        break;
+      }
+      case "remove": {
+        const output = args[2] || "no_dead_frames_" + path.basename(videoPath);
+        await removeDeadFrames(
+          videoPath,
+          output,
+          args[4] || config.getConfig().cutMode,
+          { types: typesArg(args[3]) },
+        );
+        break;
+      }
+      default:
+        console.log("Unknown command:", command);
+    }
+  })().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,311 @@
+// edit_plan.js - 剪辑计划模块
+/**
+ * 把场景边界、静音段和黑场/静止画面合并为一份保留/丢弃计划
+ *   - 整段静音的场景丢弃
+ *   - 保留场景开头和结尾的静音被裁掉（场景中间的静音保留）
+ *   - 黑场和静止画面从场景中去掉
+ *   - 剩余部分短于最小时长的丢弃
+ *
+ * 预演（--dry-run）也在这里汇总：保留和丢弃的时间段及原因、输出时长，
+ * 以及由 PlanRunner 记录下来的 FFmpeg 命令
+ */
+
+const { keepRanges } = require("./segment_cutter");
+const { resolveTarget } = require("./loudness");
+
+// 静音覆盖场景时长的比例达到此值时视为整段静音
+const SILENT_RATIO = 0.95;
+
+// 判断静音是否贴住场景边界时允许的误差（秒）
+const EDGE_TOLERANCE = 0.05;
+
+// 丢弃部分按原因切开时，间隔小于此值（秒）的边界视为同一处
+const BOUNDARY_TOLERANCE = 0.001;
+
+const rangeEnd = (range, fallback) =>
+  range.end === null || range.end === undefined ? fallback : range.end;
+
+function coveredDuration(start, end, ranges) {
+  const uncovered = keepRanges(start, end, ranges).reduce(
+    (sum, r) => sum + r.duration,
+    0,
+  );
+  return end - start - uncovered;
+}
+
+/**
+ * 生成剪辑计划
+ * @param {Array<number>} cuts - 场景切换时间点（秒，升序，不含 0 和结尾）
+ * @param {number} duration - 视频总时长（秒）
+ * @param {object} options
+ * @param {number} options.minDuration - 保留片段的最短时长（秒）
+ * @param {Array} options.silence - 静音段 [{start, end}]
+ * @param {Array} options.deadFrames - 黑场/静止画面 [{start, end}]
+ * @param {number} options.padding - 裁掉静音时在有声部分两侧保留的时长（秒）
+ * @returns {{scenes: Array, exclude: Array, keptDuration: number}}
+ *   scenes: [{index, start, end, keep, reason, trim: {head, tail}, segments}]
+ *   reason 为 null（保留）、"silent"、"dead-frames" 或 "too-short"
+ *   exclude 为需要从场景中去掉的时间段 [{start, end, reason}]，可直接作为 mergeScenes 的 options.exclude
+ */
+function buildEditPlan(cuts, duration, options = {}) {
+  const minDuration = options.minDuration || 0;
+  const silence = options.silence || [];
+  const deadFrames = options.deadFrames || [];
+  const padding = options.padding || 0;
+  const bounds = [0, ...cuts, duration];
+  const exclude = deadFrameDrops(deadFrames);
+  const scenes = [];
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const start = bounds[i];
+    const end = bounds[i + 1];
+    const scene = {
+      index: i + 1,
+      start,
+      end,
+      keep: true,
+      reason: null,
+      trim: { head: 0, tail: 0 },
+      segments: [],
+    };
+    scenes.push(scene);
+
+    if (
+      silence.length > 0 &&
+      coveredDuration(start, end, silence) >= (end - start) * SILENT_RATIO
+    ) {
+      scene.keep = false;
+      scene.reason = "silent";
+      exclude.push({ start, end, reason: "silent" });
+      continue;
+    }
+
+    // 贴住场景开头或结尾的静音
+    silence.forEach((range) => {
+      const silenceEnd = rangeEnd(range, duration);
+      if (range.start <= start + EDGE_TOLERANCE && silenceEnd > start) {
+        const head = Math.min(silenceEnd - padding, end) - start;
+        if (head > scene.trim.head) scene.trim.head = head;
+      }
+      if (silenceEnd >= end - EDGE_TOLERANCE && range.start < end) {
+        const tail = end - Math.max(range.start + padding, start);
+        if (tail > scene.trim.tail) scene.trim.tail = tail;
+      }
+    });
+    scene.trim.head = Math.round(scene.trim.head * 1000) / 1000;
+    scene.trim.tail = Math.round(scene.trim.tail * 1000) / 1000;
+    if (scene.trim.head > 0) {
+      exclude.push({ start, end: start + scene.trim.head, reason: "silent" });
+    }
+    if (scene.trim.tail > 0) {
+      exclude.push({ start: end - scene.trim.tail, end, reason: "silent" });
+    }
+
+    const pieces = keepRanges(start, end, exclude);
+    scene.segments = pieces.filter((piece) => piece.duration >= minDuration);
+    if (scene.segments.length === 0) {
+      scene.keep = false;
+      if (pieces.length > 0) {
+        scene.reason = "too-short";
+      } else {
+        scene.reason =
+          keepRanges(start, end, deadFrames).length === 0
+            ? "dead-frames"
+            : "silent";
+      }
+    }
+  }
+
+  return {
+    scenes,
+    exclude,
+    keptDuration: scenes.reduce(
+      (sum, scene) =>
+        sum + scene.segments.reduce((total, seg) => total + seg.duration, 0),
+      0,
+    ),
+  };
+}
+
+/**
+ * 把 0 到 duration 划分为保留和丢弃的时间段，并标出丢弃原因
+ * @param {number} duration - 视频总时长（秒）
+ * @param {Array} keep - 保留的时间段 [{start, end}]
+ * @param {Array} drops - 带原因的时间段 [{start, end, reason}]，end 为 null 表示到结尾；
+ *   丢弃部分在 drops 的边界处切开，每一部分取覆盖它的第一个原因，相邻且原因相同的部分合并
+ * @param {string} fallback - 不被任何 drops 覆盖的部分的原因
+ * @returns {Array} [{start, end, duration, keep, reason}]，按时间排序；
+ *   reason 为 null（保留）、"too-short"、"silent"、"black"、"frozen"，
+ *   渲染工程时还有 "excluded"（场景未保留）和 "trimmed"（入点/出点之外）
+ */
+function labelTimeline(duration, keep, drops = [], fallback = "too-short") {
+  const kept = [...keep]
+    .filter((seg) => seg.end > seg.start)
+    .sort((a, b) => a.start - b.start)
+    .map((seg) => ({
+      start: seg.start,
+      end: seg.end,
+      duration: seg.end - seg.start,
+      keep: true,
+      reason: null,
+    }));
+
+  const dropped = [];
+  keepRanges(0, duration, kept).forEach((gap) => {
+    const bounds = [gap.start];
+    drops
+      .flatMap((range) => [range.start, rangeEnd(range, duration)])
+      .filter((t) => t > gap.start && t < gap.end)
+      .sort((a, b) => a - b)
+      .forEach((t) => {
+        if (t - bounds[bounds.length - 1] >= BOUNDARY_TOLERANCE) bounds.push(t);
+      });
+    if (gap.end - bounds[bounds.length - 1] < BOUNDARY_TOLERANCE) bounds.pop();
+    bounds.push(gap.end);
+
+    let last = null;
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const [start, end] = [bounds[i], bounds[i + 1]];
+      const middle = (start + end) / 2;
+      const cover = drops.find(
+        (range) => range.start <= middle && rangeEnd(range, duration) >= middle,
+      );
+      const reason = cover ? cover.reason : fallback;
+      if (last && last.reason === reason) {
+        last.end = end;
+        last.duration = end - last.start;
+      } else {
+        last = { start, end, duration: end - start, keep: false, reason };
+        dropped.push(last);
+      }
+    }
+  });
+
+  return [...kept, ...dropped].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 把黑场/静止画面检测结果转换为带丢弃原因的时间段
+ */
+function deadFrameDrops(deadFrames) {
+  return deadFrames.map((range) => ({
+    start: range.start,
+    end: range.end,
+    reason: range.type === "freeze" ? "frozen" : "black",
+  }));
+}
+
+/**
+ * 预演中只能描述、无法预先写出完整命令的步骤：它们依赖生成后的文件
+ * @param {object} options - {normalize, loudness, subtitles}
+ * @returns {Array<string>}
+ */
+function dryRunNotes(options = {}) {
+  const notes = [];
+  if (options.normalize) {
+    // normalize 为 true 时使用配置中的 loudness.target
+    const target = resolveTarget(
+      options.normalize === true ? undefined : options.normalize,
+    );
+    notes.push(
+      `Rendered to a temporary file first, then normalized to ${target.integrated} LUFS with two loudnorm passes (the second uses the values measured by the first)`,
+    );
+  } else if (options.loudness) {
+    notes.push("The loudness of the output is measured after rendering");
+  }
+  if (options.subtitles) {
+    notes.push("Subtitles are retimed to the kept segments after rendering");
+  }
+  return notes;
+}
+
+/**
+ * 汇总预演结果
+ * @param {string} command - 命令名，如 merge、auto、silence remove
+ * @param {string} source - 源视频
+ * @param {object} details
+ * @param {number} details.duration - 源视频时长（秒）
+ * @param {Array} details.timeline - labelTimeline 的结果
+ * @param {Array<string>} details.outputs - 将要写入的文件或目录
+ * @param {object} details.render - renderSegments 等在 PlanRunner 下的返回值（可选）
+ * @param {Array} details.operations - PlanRunner 记录的 FFmpeg 命令
+ * @param {Array<string>} details.notes - 无法预先写出完整命令的步骤（如两遍响度标准化）
+ * @returns {object} 可直接保存为 JSON 的计划
+ */
+function createDryRun(command, source, details) {
+  const timeline = details.timeline;
+  const keptDuration = timeline
+    .filter((seg) => seg.keep)
+    .reduce((sum, seg) => sum + seg.duration, 0);
+  const render = details.render || {};
+
+  return {
+    dryRun: true,
+    command,
+    source,
+    duration: details.duration,
+    keptDuration,
+    droppedDuration: details.duration - keptDuration,
+    // 转场重叠和倍速会改变输出时长
+    outputDuration:
+      render.duration !== undefined ? render.duration : keptDuration,
+    cutMode: render.mode || details.cutMode || null,
+    transition: render.transition || null,
+    timeline,
+    outputs: details.outputs || [],
+    operations: details.operations || [],
+    notes: details.notes || [],
+  };
+}
+
+/**
+ * 预演结果的文字版
+ * @returns {string}
+ */
+function formatDryRun(plan) {
+  const time = (seconds) => seconds.toFixed(2).padStart(8);
+  const lines = [
+    `Dry run: ${plan.command} ${plan.source} (${plan.duration.toFixed(2)}s)`,
+    "",
+  ];
+
+  plan.timeline.forEach((seg) => {
+    const speed = seg.speed > 1 ? ` (${seg.speed.toFixed(2)}x)` : "";
+    const label = seg.keep ? `keep${speed}` : `drop  ${seg.reason}`;
+    lines.push(
+      `  ${time(seg.start)} - ${time(seg.end)}  ${time(seg.duration)}s  ${label}`,
+    );
+  });
+
+  lines.push(
+    "",
+    `Kept ${plan.keptDuration.toFixed(2)}s, dropped ${plan.droppedDuration.toFixed(2)}s, output ${plan.outputDuration.toFixed(2)}s${plan.transition ? ` (${plan.transition.type} transitions)` : ""}`,
+  );
+  if (plan.outputs.length > 0) {
+    lines.push(`Outputs: ${plan.outputs.join(", ")}`);
+  }
+
+  lines.push("", `FFmpeg operations (${plan.operations.length}):`);
+  plan.operations.forEach((op, i) => {
+    lines.push(`  ${i + 1}. ${op.stage || ""}`, `     ${op.commandLine}`);
+    if (op.concat) {
+      op.concat.forEach((file) => lines.push(`       + ${file}`));
+    }
+  });
+
+  if (plan.notes.length > 0) {
+    lines.push("", "Notes:");
+    plan.notes.forEach((note) => lines.push(`  - ${note}`));
+  }
+  return lines.join("\n");
+}
+
+// 导出模块
+module.exports = {
+  buildEditPlan,
+  labelTimeline,
+  deadFrameDrops,
+  dryRunNotes,
+  createDryRun,
+  formatDryRun,
+};
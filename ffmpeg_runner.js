@@ -0,0 +1,305 @@
+// ffmpeg_runner.js - FFmpeg 异步执行模块
+/**
+ * 基于 spawn 的 FFmpeg / FFprobe 执行器
+ * 解析 -progress 输出并以事件形式报告进度，支持 AbortSignal 取消
+ * 所有命令都以参数数组直接执行，不经过 shell，文件名中的引号、$、反引号等字符不会被解释
+ *
+ * 事件:
+ *   progress - {percent, time, fps, speed, stage}
+ *   stage    - {name}
+ *   done     - 任务结果
+ *   error    - 任务失败时的 Error
+ */
+
+const { spawn } = require("child_process");
+const { EventEmitter } = require("events");
+const path = require("path");
+const { getToolchain } = require("./config");
+
+// 命令失败时错误信息中附带的标准错误输出行数
+const ERROR_TAIL_LINES = 10;
+
+/**
+ * 作为 FFmpeg 输入/输出的文件路径
+ * 以 "-" 开头的相对路径会被当成选项，含 ":" 的会被当成协议（如 "a:b.mp4"），
+ * 这两种情况加上 "./" 前缀
+ */
+function mediaPath(file) {
+  const name = String(file);
+  if (path.isAbsolute(name) || name.startsWith("./")) return name;
+  if (name.startsWith("-") || name.includes(":")) return `./${name}`;
+  return name;
+}
+
+/**
+ * concat demuxer 列表中的一行
+ * 路径用单引号包裹，内部的单引号写成 '\''
+ */
+function concatListEntry(file) {
+  return `file '${path.resolve(file).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * 转义滤镜参数值（如 drawtext 的 text、subtitles 的文件名）
+ * 先按选项值转义 \ ' :，再按滤镜图转义 \ ' [ ] , ;
+ */
+function escapeFilterValue(value) {
+  const option = String(value).replace(/[\\':]/g, "\\$&");
+  return option.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+function abortError() {
+  const error = new Error("Operation aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * 将 -progress 输出中的时间转换为秒
+ */
+function parseProgressTime(fields) {
+  if (fields.out_time_us && fields.out_time_us !== "N/A") {
+    return parseInt(fields.out_time_us) / 1e6;
+  }
+  if (fields.out_time_ms && fields.out_time_ms !== "N/A") {
+    // 旧版本 FFmpeg 的 out_time_ms 实际单位也是微秒
+    return parseInt(fields.out_time_ms) / 1e6;
+  }
+  if (fields.out_time) {
+    const [h, m, s] = fields.out_time.split(":").map(parseFloat);
+    return h * 3600 + m * 60 + s;
+  }
+  return 0;
+}
+
+/**
+ * 仅用于错误信息中显示命令
+ */
+function quoteForDisplay(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+class FFmpegRunner extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {AbortSignal} options.signal - 取消信号
+   */
+  constructor({ signal = null } = {}) {
+    super();
+    this.signal = signal;
+    this.currentStage = null;
+  }
+
+  /**
+   * 标记当前处理阶段
+   */
+  stage(name) {
+    this.currentStage = name;
+    this.emit("stage", { name });
+  }
+
+  /**
+   * 执行 FFmpeg 命令
+   * @param {Array<string|number>} args - FFmpeg 参数（不含可执行文件）
+   * @param {object} options
+   * @param {number} options.duration - 输出的预期时长（秒），用于计算百分比
+   * @param {function} options.onStderrLine - 逐行接收标准错误输出；
+   *   传入时不保留完整的标准错误输出（返回的 stderr 为空），只保留末尾几行用于报错
+   * @returns {Promise<{stdout: string, stderr: string}>}
+   */
+  ffmpeg(args, { duration = 0, onStderrLine = null } = {}) {
+    return this.spawn(
+      getToolchain().ffmpeg,
+      ["-hide_banner", "-nostats", "-progress", "pipe:1", ...args],
+      { duration, progress: true, onStderrLine },
+    );
+  }
+
+  /**
+   * 执行 FFprobe 命令
+   * @param {Array<string|number>} args - FFprobe 参数（不含可执行文件）
+   * @returns {Promise<string>} 标准输出
+   */
+  async ffprobe(args) {
+    const { stdout } = await this.spawn(getToolchain().ffprobe, args);
+    return stdout;
+  }
+
+  spawn(
+    bin,
+    args,
+    { duration = 0, progress = false, onStderrLine = null } = {},
+  ) {
+    const argv = args.map(String);
+    const cmd = [bin, ...argv].map(quoteForDisplay).join(" ");
+
+    return new Promise((resolve, reject) => {
+      if (this.signal && this.signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const child = spawn(bin, argv, { windowsHide: true });
+      const stdout = [];
+      const stderr = [];
+      let fields = {};
+      let buffered = "";
+      let stderrBuffered = "";
+      let stderrTail = [];
+      let aborted = false;
+
+      const onAbort = () => {
+        aborted = true;
+        child.kill("SIGTERM");
+      };
+      if (this.signal) this.signal.addEventListener("abort", onAbort);
+
+      child.stdout.on("data", (chunk) => {
+        if (!progress) {
+          stdout.push(chunk);
+          return;
+        }
+
+        buffered += chunk.toString();
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+
+        lines.forEach((line) => {
+          const index = line.indexOf("=");
+          if (index === -1) return;
+          const key = line.slice(0, index).trim();
+          const value = line.slice(index + 1).trim();
+          fields[key] = value;
+
+          // 每个进度块以 progress=continue|end 结尾
+          if (key === "progress") {
+            const time = parseProgressTime(fields);
+            this.emit("progress", {
+              percent:
+                duration > 0 ? Math.min(100, (time / duration) * 100) : null,
+              time,
+              fps: parseFloat(fields.fps) || 0,
+              speed: fields.speed || null,
+              stage: this.currentStage,
+            });
+            fields = {};
+          }
+        });
+      });
+      // 逐行处理时按字符串读取，多字节字符不会被拆在两块数据之间
+      if (onStderrLine) child.stderr.setEncoding("utf-8");
+      child.stderr.on("data", (chunk) => {
+        if (!onStderrLine) {
+          stderr.push(chunk);
+          return;
+        }
+
+        stderrBuffered += chunk;
+        const lines = stderrBuffered.split("\n");
+        stderrBuffered = lines.pop();
+        lines.forEach((line) => onStderrLine(line));
+        stderrTail = [...stderrTail, ...lines].slice(-ERROR_TAIL_LINES);
+      });
+
+      child.on("error", (error) => {
+        if (this.signal) this.signal.removeEventListener("abort", onAbort);
+        reject(new Error(`Command failed: ${cmd}\n${error.message}`));
+      });
+
+      child.on("close", (code) => {
+        if (this.signal) this.signal.removeEventListener("abort", onAbort);
+        const out = Buffer.concat(stdout).toString("utf-8");
+        if (onStderrLine && stderrBuffered) {
+          onStderrLine(stderrBuffered);
+          stderrTail = [...stderrTail, stderrBuffered];
+        }
+        const err = onStderrLine ? "" : Buffer.concat(stderr).toString("utf-8");
+
+        if (aborted) {
+          reject(abortError());
+        } else if (code !== 0) {
+          const lines = onStderrLine ? stderrTail : err.trim().split("\n");
+          const tail = lines.slice(-ERROR_TAIL_LINES).join("\n");
+          reject(new Error(`Command failed: ${cmd}\n${tail}`));
+        } else {
+          resolve({ stdout: out, stderr: err });
+        }
+      });
+    });
+  }
+
+  /**
+   * 执行一个完整任务，结束时发出 done 或 error 事件
+   * @param {function} fn - async (runner) => result
+   */
+  async task(fn) {
+    try {
+      const result = await fn(this);
+      this.emit("done", result);
+      return result;
+    } catch (error) {
+      // 没有监听者时 emit("error") 会直接抛出，这里只在有人监听时通知
+      if (this.listenerCount("error") > 0) this.emit("error", error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * 预演执行器（--dry-run）：只记录 FFmpeg 命令，不执行也不写文件
+ * FFprobe 交给 runner 实际执行，它只读取已有文件。dryRun 为 true，
+ * 依赖输出文件的步骤据此改用估算值
+ */
+class PlanRunner extends FFmpegRunner {
+  /**
+   * @param {FFmpegRunner} runner - 实际执行 FFprobe 的执行器
+   */
+  constructor(runner = null) {
+    super({ signal: runner ? runner.signal : null });
+    this.runner = runner || new FFmpegRunner();
+    this.dryRun = true;
+    this.operations = [];
+  }
+
+  /**
+   * 记录一条 FFmpeg 命令
+   * @param {object} options - {duration, concat}，concat 为 concat demuxer 列表中的文件；
+   *   不执行命令，onStderrLine 不会被调用
+   * @returns {Promise<{stdout: string, stderr: string}>} 空输出
+   */
+  async ffmpeg(args, { duration = 0, concat = null } = {}) {
+    const command = [getToolchain().ffmpeg, ...args.map(String)];
+    const operation = {
+      stage: this.currentStage,
+      command,
+      commandLine: command.map(quoteForDisplay).join(" "),
+    };
+    if (duration) operation.duration = duration;
+    if (concat) operation.concat = concat;
+    this.operations.push(operation);
+    return { stdout: "", stderr: "" };
+  }
+
+  ffprobe(args) {
+    return this.runner.ffprobe(args);
+  }
+}
+
+/**
+ * 从 options 中取出执行器，没有则新建一个
+ * @param {object} options - {runner, signal}
+ * @returns {FFmpegRunner}
+ */
+function getRunner(options = {}) {
+  return options.runner || new FFmpegRunner({ signal: options.signal });
+}
+
+// 导出模块
+module.exports = {
+  FFmpegRunner,
+  PlanRunner,
+  getRunner,
+  mediaPath,
+  concatListEntry,
+  escapeFilterValue,
+};
@@ -4,393 +4,1814 @@
  * Auto-detect scene changes and edit videos intelligently
  */
 
-const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const timeline = require("./timeline_exporter");
+const project = require("./project_file");
+const cutter = require("./segment_cutter");
+const transitionDetector = require("./transition_detector");
+const adaptiveDetector = require("./adaptive_detector");
+const deadFrameDetector = require("./dead_frame_detector");
+const silenceDetector = require("./silence_detector");
+const editPlan = require("./edit_plan");
+const loudness = require("./loudness");
+const subtitleRetimer = require("./subtitle_retimer");
+const chapterWriter = require("./chapter_writer");
+const config = require("./config");
+const analysisCache = require("./analysis_cache");
+const {
+  FFmpegRunner,
+  PlanRunner,
+  getRunner,
+  mediaPath,
+} = require("./ffmpeg_runner");
 
-// Configuration
-let FFMPEG_PATH = "ffmpeg";
-let FFPROBE_PATH = "ffprobe";
+// Detect scene changes in video
+// Returns cut timestamps, or full scene objects when options.detailed is set.
+// options.gradual also finds fades and dissolves; options.adaptive (true or
+// adaptive settings) picks cuts relative to a rolling average instead
+async function detectScenes(
+  videoPath,
+  threshold = config.getConfig().threshold,
+  options = {},
+) {
+  if (!fs.existsSync(videoPath)) {
+    throw new Error(`Video file not found: ${videoPath}`);
+  }
 
-// Try to find FFmpeg in common locations
-function findFFmpeg() {
-  const possiblePaths = [
-    "D:\\WorkSpace\\ffmpeg\\bin\\ffmpeg.exe",
-    "C:\\ffmpeg\\bin\\ffmpeg.exe",
-    "C:\\Program Files\\ffmpeg\\bin\\ffmpeg.exe",
-  ];
+  if (options.gradual && options.adaptive) {
+    throw new Error("Gradual and adaptive detection cannot be combined");
+  }
 
-  const possibleProbes = [
-    "D:\\WorkSpace\\ffmpeg\\bin\\ffprobe.exe",
-    "C:\\ffmpeg\\bin\\ffprobe.exe",
-    "C:\\Program Files\\ffmpeg\\bin\\ffprobe.exe",
-  ];
+  const runner = getRunner(options);
 
-  for (let i = 0; i < possiblePaths.length; i++) {
-    if (fs.existsSync(possiblePaths[i])) {
-      FFMPEG_PATH = possiblePaths[i];
-      FFPROBE_PATH = possibleProbes[i];
-      return true;
-    }
+  if (options.adaptive) {
+    const settings = options.adaptive === true ? {} : options.adaptive;
+    const result = await detectScenesAdaptive(videoPath, {
+      ...settings,
+      detailed: options.detailed,
+      runner,
+    });
+    return result.scenes;
   }
 
-  // Try system PATH
-  try {
-    execSync("ffmpeg -version", { stdio: "pipe" });
-    return true;
-  } catch (e) {
-    return false;
+  const duration = await getDuration(videoPath, { runner });
+
+  if (options.gradual) {
+    return detectGradualScenes(videoPath, threshold, duration, {
+      ...options,
+      runner,
+    });
+  }
+
+  // Every frame's scene score is analyzed once and cached, so detecting
+  // again at another threshold only filters the cached scores. Luma is
+  // only measured when detailed scene objects report it
+  const { frames } = await transitionDetector.analyzeFrames(videoPath, {
+    runner,
+    window: 0,
+    luma: Boolean(options.detailed),
+  });
+  const starts = frames
+    .filter((f, i) => i > 0 && f.score !== null && f.score > threshold)
+    .filter((f) => f.time > 0 && f.time < duration)
+    .map((f) => ({
+      time: f.time,
+      score: f.score,
+      luma: frameLuma(frames, f.frame),
+    }));
+
+  if (!options.detailed) {
+    return starts.map((cut) => cut.time);
   }
+
+  const info = await getVideoInfo(videoPath, { runner });
+  starts.unshift({ time: 0, score: null, luma: frameLuma(frames, 0) });
+  return buildSceneObjects(starts, duration, info.r_frame_rate);
 }
 
-// Execute command and return output
-function exec(cmd, options = {}) {
-  try {
-    return execSync(cmd, { encoding: "utf-8", stdio: "pipe", ...options });
-  } catch (e) {
-    throw new Error(`Command failed: ${cmd}\n${e.message}`);
+// Detect hard cuts, fades and dissolves; each transition is one boundary
+async function detectGradualScenes(videoPath, threshold, duration, options) {
+  const { transitions, frames, fps } =
+    await transitionDetector.detectTransitions(videoPath, threshold, options);
+  const boundaries = transitions.filter((t) => t.time > 0 && t.time < duration);
+
+  if (!options.detailed) {
+    return boundaries.map((t) => t.time);
   }
+
+  const starts = boundaries.map((t) => ({
+    time: t.time,
+    score: t.score,
+    luma: frameLuma(frames, t.frame),
+    transition: { type: t.type, start: t.start, end: t.end },
+  }));
+  starts.unshift({
+    time: 0,
+    score: null,
+    luma: frameLuma(frames, 0),
+    transition: null,
+  });
+
+  return buildSceneObjects(starts, duration, fps);
 }
 
-// Detect scene changes in video
-function detectScenes(videoPath, threshold = 0.3) {
+// Detect scenes relative to a rolling average of per-frame scene scores.
+// Also returns the effective threshold and a score histogram
+async function detectScenesAdaptive(videoPath, options = {}) {
   if (!fs.existsSync(videoPath)) {
     throw new Error(`Video file not found: ${videoPath}`);
   }
 
-  const cmd = `${FFMPEG_PATH} -i "${videoPath}" -filter:v "select='gt(scene,${threshold})',showinfo" -f null - 2>&1`;
-  const output = exec(cmd);
-
-  const timestamps = [];
-  const pattern = /pts_time:([\d.]+)/g;
-  let match;
+  const runner = getRunner(options);
+  // Luma is only reported in detailed scene objects
+  const result = await adaptiveDetector.detectAdaptive(videoPath, {
+    ...options,
+    luma: Boolean(options.detailed),
+    runner,
+  });
+  const cuts = result.cuts.filter(
+    (cut) => cut.time > 0 && cut.time < result.duration,
+  );
 
-  while ((match = pattern.exec(output)) !== null) {
-    timestamps.push(parseFloat(match[1]));
+  let scenes = cuts.map((cut) => cut.time);
+  if (options.detailed) {
+    const starts = cuts.map((cut) => ({
+      time: cut.time,
+      score: cut.score,
+      luma: frameLuma(result.frames, cut.frame),
+    }));
+    starts.unshift({ time: 0, score: null, luma: frameLuma(result.frames, 0) });
+    scenes = buildSceneObjects(starts, result.duration, result.fps);
   }
 
-  return timestamps;
+  return {
+    scenes,
+    effectiveThreshold: result.effectiveThreshold,
+    effectiveRatio: result.effectiveRatio,
+    histogram: result.histogram,
+  };
+}
+
+// Mean luma of an analyzed frame, rounded to a whole level
+function frameLuma(frames, frame) {
+  const match = frames.find((f) => f.frame === frame);
+  return match && match.luma !== null ? Math.round(match.luma) : null;
+}
+
+// Turn scene start points into scene objects with frame ranges
+function buildSceneObjects(starts, duration, frameRate) {
+  const rate = timeline.parseFrameRate(frameRate);
+
+  return starts.map((cut, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].time : duration;
+    const scene = {
+      index: i + 1,
+      start: cut.time,
+      end,
+      startFrame: timeline.secondsToFrames(cut.time, rate),
+      endFrame: timeline.secondsToFrames(end, rate),
+      duration: end - cut.time,
+      score: cut.score,
+      luma: cut.luma,
+    };
+    if (cut.transition !== undefined) scene.transition = cut.transition;
+    return scene;
+  });
+}
+
+// Accept cut timestamps or scene objects and return sorted cut timestamps
+function toCutTimestamps(scenes) {
+  const times = scenes
+    .map((scene) => (typeof scene === "number" ? scene : scene.start))
+    .filter((time) => Number.isFinite(time) && time > 0);
+  return [...new Set(times)].sort((a, b) => a - b);
 }
 
 // Get video duration
-function getDuration(videoPath) {
-  const cmd = `${FFPROBE_PATH} -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`;
-  const output = exec(cmd).trim();
-  return parseFloat(output);
+async function getDuration(videoPath, options = {}) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      mediaPath(videoPath),
+    ],
+    options,
+  );
+  return parseFloat(output.trim());
 }
 
 // Get video info
-function getVideoInfo(videoPath) {
-  const cmd = `${FFPROBE_PATH} -v error -select_streams v:0 -show_entries stream=width,height,r_frame_rate -of default=noprint_wrappers=1 "${videoPath}"`;
-  const output = exec(cmd);
+async function getVideoInfo(videoPath, options = {}) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "v:0",
+      "-show_entries",
+      "stream=width,height,r_frame_rate",
+      "-of",
+      "default=noprint_wrappers=1",
+      mediaPath(videoPath),
+    ],
+    options,
+  );
 
   const info = {};
   output.split("\n").forEach((line) => {
     if (line.includes("=")) {
       const [key, value] = line.split("=");
-      info[key] = value;
+      info[key] = value.trim();
     }
   });
 
   return info;
 }
 
+// Check whether the video has an audio stream
+async function hasAudioStream(videoPath, options = {}) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "a",
+      "-show_entries",
+      "stream=index",
+      "-of",
+      "csv=p=0",
+      mediaPath(videoPath),
+    ],
+    options,
+  );
+  return output.trim().length > 0;
+}
+
+// Export scene boundaries as an NLE timeline (edl, fcpxml or otio)
+async function exportTimeline(
+  videoPath,
+  timestamps,
+  format = "edl",
+  outputFile = null,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const info = await getVideoInfo(videoPath, { runner });
+  const cuts = toCutTimestamps(timestamps);
+  const source = {
+    path: videoPath,
+    duration: await getDuration(videoPath, { runner }),
+    frameRate: info.r_frame_rate,
+    width: parseInt(info.width),
+    height: parseInt(info.height),
+    hasAudio: await hasAudioStream(videoPath, { runner }),
+  };
+
+  return timeline.writeTimeline(cuts, source, format, outputFile);
+}
+
+// Write scene boundaries as chapters into a copy of the video, plus a
+// YouTube chapter list and a WebVTT chapters track next to it
+async function writeChapters(
+  videoPath,
+  timestamps,
+  outputFile = null,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const output = outputFile || `chapters_${path.basename(videoPath)}`;
+  return chapterWriter.writeChapters(
+    videoPath,
+    toCutTimestamps(timestamps),
+    await getDuration(videoPath, { runner }),
+    output,
+    { runner, titles: options.titles },
+  );
+}
+
 // Split video into scenes
-function splitByScenes(videoPath, timestamps, outputDir = "scenes") {
-  if (!fs.existsSync(outputDir)) {
+// With options.dryRun nothing is written; the plan is returned instead
+async function splitByScenes(
+  videoPath,
+  timestamps,
+  outputDir = config.getConfig().output.scenes,
+  cutMode = config.getConfig().cutMode,
+  options = {},
+) {
+  if (!options.dryRun && !fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  const duration = getDuration(videoPath);
-  const allTimestamps = [0, ...timestamps, duration];
+  const runner = getRunner(options);
+  const duration = await getDuration(videoPath, { runner });
+  const allTimestamps = [
+    0,
+    ...toCutTimestamps(timestamps).filter((t) => t < duration),
+    duration,
+  ];
   const baseName = path.parse(videoPath).name;
-  const outputs = [];
+  const segments = [];
 
   for (let i = 0; i < allTimestamps.length - 1; i++) {
-    const start = allTimestamps[i];
-    const end = allTimestamps[i + 1];
-    const segDuration = end - start;
-    const outputFile = path.join(
+    segments.push({ start: allTimestamps[i], end: allTimestamps[i + 1] });
+  }
+
+  const nameFor = (seg, i) =>
+    path.join(
       outputDir,
       `${baseName}_scene_${String(i + 1).padStart(3, "0")}.mp4`,
     );
 
-    const cmd = `${FFMPEG_PATH} -y -ss ${start} -i "${videoPath}" -t ${segDuration} -c copy -avoid_negative_ts make_zero "${outputFile}"`;
-    exec(cmd);
-    outputs.push(outputFile);
+  if (options.dryRun) {
+    const planner = new PlanRunner(runner);
+    await cutter.cutSegments(videoPath, segments, nameFor, cutMode, {
+      runner: planner,
+    });
+    return editPlan.createDryRun("split", videoPath, {
+      duration,
+      timeline: editPlan.labelTimeline(duration, segments),
+      cutMode,
+      outputs: segments.map(nameFor),
+      operations: planner.operations,
+    });
   }
 
-  return outputs;
+  return cutter.cutSegments(videoPath, segments, nameFor, cutMode, { runner });
 }
 
 // Merge scenes with filtering
-function mergeScenes(
+// options.exclude lists ranges ({start, end}) to cut out of the scenes first.
+// options.transition / transitionDuration / audioFade control the joins;
+// options.normalize (target) and options.loudness (measure) handle loudness.
+// options.dryRun returns the plan (kept/dropped ranges and ffmpeg commands)
+// without writing anything; exclude ranges with a reason label the drops
+async function mergeScenes(
   videoPath,
   timestamps,
-  minDuration = 2.0,
-  outputFile = "merged_scenes.mp4",
+  minDuration = config.getConfig().minDuration.merge,
+  outputFile = config.getConfig().output.merged,
+  cutMode = config.getConfig().cutMode,
+  options = {},
 ) {
-  const duration = getDuration(videoPath);
-  const allTimestamps = [0, ...timestamps, duration];
+  const runner = getRunner(options);
+  const duration = await getDuration(videoPath, { runner });
+  const allTimestamps = [
+    0,
+    ...toCutTimestamps(timestamps).filter((t) => t < duration),
+    duration,
+  ];
 
   // Filter valid segments
   const validSegments = [];
   for (let i = 0; i < allTimestamps.length - 1; i++) {
-    const start = allTimestamps[i];
-    const end = allTimestamps[i + 1];
-    const segDuration = end - start;
-
-    if (segDuration >= minDuration) {
-      validSegments.push({ start, end, duration: segDuration });
-    }
+    const pieces = cutter.keepRanges(
+      allTimestamps[i],
+      allTimestamps[i + 1],
+      options.exclude || [],
+    );
+    pieces.forEach((piece) => {
+      if (piece.duration >= minDuration) validSegments.push(piece);
+    });
   }
 
   if (validSegments.length === 0) {
     throw new Error("No valid segments found after filtering");
   }
 
-  // Extract segments
-  const tempFiles = [];
-  validSegments.forEach((seg, i) => {
-    const tempFile = `temp_scene_${i}.mp4`;
-    const cmd = `${FFMPEG_PATH} -y -ss ${seg.start} -i "${videoPath}" -t ${seg.duration} -c copy -avoid_negative_ts make_zero "${tempFile}"`;
-    exec(cmd);
-    tempFiles.push(tempFile);
-  });
+  const joins = {
+    transition: options.transition,
+    transitionDuration: options.transitionDuration,
+    audioFade: options.audioFade,
+  };
+
+  if (options.dryRun) {
+    const planner = new PlanRunner(runner);
+    const render = await cutter.renderSegments(
+      videoPath,
+      validSegments,
+      outputFile,
+      cutMode,
+      { ...joins, runner: planner },
+    );
+    return editPlan.createDryRun("merge", videoPath, {
+      duration,
+      timeline: editPlan.labelTimeline(
+        duration,
+        validSegments,
+        (options.exclude || []).filter((range) => range.reason),
+      ),
+      render,
+      outputs: [outputFile],
+      operations: planner.operations,
+      notes: editPlan.dryRunNotes(options),
+    });
+  }
 
-  // Create merge list
-  const listContent = tempFiles.map((f) => `file '${f}'`).join("\n");
-  fs.writeFileSync("merge_list.txt", listContent);
+  const { result, loudness: level } = await loudness.renderWithLoudness(
+    outputFile,
+    (file) =>
+      cutter.renderSegments(videoPath, validSegments, file, cutMode, {
+        ...joins,
+        runner,
+      }),
+    { runner, normalize: options.normalize, loudness: options.loudness },
+  );
 
-  // Merge
-  const cmd = `${FFMPEG_PATH} -y -f concat -safe 0 -i merge_list.txt -c copy "${outputFile}"`;
-  exec(cmd);
+  // Sidecar or embedded subtitles follow the kept segments
+  const subtitles = options.subtitles
+    ? await subtitleRetimer.retimeSubtitles(videoPath, outputFile, result, {
+        runner,
+        subtitles: options.subtitles,
+        subtitleFormat: options.subtitleFormat,
+        muxSubtitles: options.muxSubtitles,
+      })
+    : null;
 
-  // Cleanup
-  tempFiles.forEach((f) => {
-    if (fs.existsSync(f)) fs.unlinkSync(f);
-  });
-  if (fs.existsSync("merge_list.txt")) fs.unlinkSync("merge_list.txt");
+  return {
+    mergedFile: outputFile,
+    cutMode: result.mode,
+    transition: result.transition,
+    segments: result.segments,
+    duration: result.duration,
+    loudness: level,
+    subtitles,
+  };
+}
+
+// Detect scenes and save them as an editable project file
+async function writeProject(
+  videoPath,
+  timestamps,
+  projectFile,
+  settings = {},
+  options = {},
+) {
+  const runner = getRunner(options);
+  const info = await getVideoInfo(videoPath, { runner });
+  const probe = {
+    duration: await getDuration(videoPath, { runner }),
+    width: parseInt(info.width),
+    height: parseInt(info.height),
+    frameRate: info.r_frame_rate,
+  };
+
+  const data = project.createProject(
+    videoPath,
+    toCutTimestamps(timestamps),
+    probe,
+    settings,
+  );
+  return project.saveProject(data, projectFile);
+}
+
+// Render the kept scenes of a project file in their project order
+// (options.dryRun returns the plan instead of rendering)
+async function renderProject(
+  projectFile,
+  outputFile = null,
+  cutMode = null,
+  options = {},
+) {
+  const data = project.loadProject(projectFile);
+  const videoPath = data.source.path;
+
+  if (!fs.existsSync(videoPath)) {
+    throw new Error(`Video file not found: ${videoPath}`);
+  }
+
+  const segments = project.getRenderSegments(data);
+  if (segments.length === 0) {
+    throw new Error("No scenes marked keep in project");
+  }
+
+  const output =
+    outputFile || data.output || `${path.parse(videoPath).name}_render.mp4`;
+  const mode = cutMode || data.settings.cutMode || config.getConfig().cutMode;
 
-  return outputFile;
+  if (options.dryRun) {
+    const planner = new PlanRunner(getRunner(options));
+    const render = await cutter.renderSegments(
+      videoPath,
+      segments,
+      output,
+      mode,
+      { ...options, runner: planner },
+    );
+    // Scenes switched off in the project, and what lies outside in/out points
+    const drops = data.scenes
+      .filter((scene) => !scene.keep)
+      .map((scene) => ({
+        start: scene.start,
+        end: scene.end,
+        reason: "excluded",
+      }));
+    return editPlan.createDryRun("render", videoPath, {
+      duration: data.source.duration,
+      timeline: editPlan.labelTimeline(
+        data.source.duration,
+        segments,
+        drops,
+        "trimmed",
+      ),
+      render,
+      outputs: [output],
+      operations: planner.operations,
+    });
+  }
+
+  const result = await cutter.renderSegments(
+    videoPath,
+    segments,
+    output,
+    mode,
+    options,
+  );
+
+  // Transitions overlap neighbouring scenes
+  const overlap = result.transition
+    ? (segments.length - 1) * result.transition.duration
+    : 0;
+
+  return {
+    project: projectFile,
+    source: videoPath,
+    outputFile: output,
+    cutMode: result.mode,
+    transition: result.transition,
+    segments: result.segments.map((clip, i) => ({
+      index: segments[i].index,
+      ...clip,
+    })),
+    duration: segments.reduce((sum, seg) => sum + seg.duration, 0) - overlap,
+  };
 }
 
 // Full auto-edit workflow
-function autoEdit(videoPath, minDuration = 3.0, threshold = 0.3) {
+// options.removeDeadFrames and options.silence (true or silence settings) feed
+// black/frozen and silent ranges into the keep/drop plan returned as `plan`;
+// options.scenesDir and options.mergedFile override the configured output paths;
+// options.dryRun runs the analysis but returns the split and merge plan instead
+async function autoEdit(
+  videoPath,
+  minDuration = config.getConfig().minDuration.auto,
+  threshold = config.getConfig().threshold,
+  cutMode = config.getConfig().cutMode,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const defaults = config.getConfig();
   console.log(`Processing: ${videoPath}`);
 
-  const duration = getDuration(videoPath);
+  const duration = await getDuration(videoPath, { runner });
   console.log(`Duration: ${duration.toFixed(2)}s`);
 
   // Detect scenes
   console.log(`Detecting scenes (threshold: ${threshold})...`);
-  let timestamps = detectScenes(videoPath, threshold);
+  const detectOptions = {
+    runner,
+    gradual: options.gradual,
+    adaptive: options.adaptive,
+  };
+  let timestamps = await detectScenes(videoPath, threshold, detectOptions);
 
-  if (timestamps.length === 0) {
+  // Adaptive detection already scales with the footage, so only retry fixed thresholds
+  if (timestamps.length === 0 && !options.adaptive) {
     console.log("No scenes detected, trying lower threshold...");
-    timestamps = detectScenes(videoPath, 0.15);
+    timestamps = await detectScenes(
+      videoPath,
+      defaults.fallbackThreshold,
+      detectOptions,
+    );
   }
 
   console.log(`Found ${timestamps.length} scene changes`);
 
+  // Black and frozen stretches are dropped before the duration filter
+  let deadFrames = [];
+  if (options.removeDeadFrames) {
+    deadFrames = await deadFrameDetector.detectDeadFrames(videoPath, {
+      runner,
+    });
+  }
+
+  // Silent scenes are dropped and silent heads/tails trimmed
+  let silence = [];
+  const silenceSettings = {
+    ...defaults.silence,
+    ...(typeof options.silence === "object" ? options.silence : {}),
+  };
+  if (options.silence) {
+    silence = await silenceDetector.detectSilence(
+      videoPath,
+      silenceSettings.threshold,
+      silenceSettings.minDuration,
+      { runner },
+    );
+  }
+
+  const plan = editPlan.buildEditPlan(
+    toCutTimestamps(timestamps).filter((t) => t < duration),
+    duration,
+    { minDuration, silence, deadFrames, padding: silenceSettings.padding },
+  );
+
+  const outputDir = options.scenesDir || defaults.output.autoScenes;
+  const mergedFile = options.mergedFile || defaults.output.autoMerged;
+  const mergeOptions = {
+    runner,
+    exclude: plan.exclude,
+    transition: options.transition,
+    transitionDuration: options.transitionDuration,
+    audioFade: options.audioFade,
+    normalize: options.normalize,
+    loudness: options.loudness,
+    subtitles: options.subtitles,
+    subtitleFormat: options.subtitleFormat,
+    muxSubtitles: options.muxSubtitles,
+  };
+
+  // Plan both steps without writing anything
+  if (options.dryRun) {
+    const split = await splitByScenes(
+      videoPath,
+      timestamps,
+      outputDir,
+      cutMode,
+      { runner, dryRun: true },
+    );
+    const merge = await mergeScenes(
+      videoPath,
+      timestamps,
+      minDuration,
+      mergedFile,
+      cutMode,
+      { ...mergeOptions, dryRun: true },
+    );
+    return editPlan.createDryRun("auto", videoPath, {
+      duration,
+      timeline: merge.timeline,
+      render: {
+        duration: merge.outputDuration,
+        mode: merge.cutMode,
+        transition: merge.transition,
+      },
+      outputs: [...split.outputs, ...merge.outputs],
+      operations: [...split.operations, ...merge.operations],
+      notes: merge.notes,
+    });
+  }
+
   // Split video
-  const outputDir = "auto_scenes";
-  const clips = splitByScenes(videoPath, timestamps, outputDir);
+  const clips = await splitByScenes(videoPath, timestamps, outputDir, cutMode, {
+    runner,
+  });
   console.log(`Created ${clips.length} scene clips`);
 
   // Merge with filtering
-  const mergedFile = "auto_merged.mp4";
-  const finalFile = mergeScenes(videoPath, timestamps, minDuration, mergedFile);
-  console.log(`Merged to: ${finalFile}`);
+  const merged = await mergeScenes(
+    videoPath,
+    timestamps,
+    minDuration,
+    mergedFile,
+    cutMode,
+    mergeOptions,
+  );
+  console.log(`Merged to: ${merged.mergedFile}`);
 
   return {
     originalDuration: duration,
     scenesDetected: timestamps.length,
     clipsCreated: clips.length,
     clipsPath: outputDir,
-    mergedFile: finalFile,
+    mergedFile: merged.mergedFile,
+    mergedDuration: merged.duration,
+    loudness: merged.loudness,
+    subtitles: merged.subtitles,
+    cutMode,
     sceneTimestamps: timestamps,
+    deadFrames,
+    silence,
+    plan: plan.scenes,
+  };
+}
+
+// Draw a progress bar on stderr from runner events
+function attachProgressBar(runner) {
+  if (!process.stderr.isTTY) return;
+
+  const width = 30;
+  let drawn = false;
+
+  const clear = () => {
+    if (drawn) {
+      process.stderr.write("\r\x1b[K");
+      drawn = false;
+    }
+  };
+
+  runner.on("progress", ({ percent, time, fps, stage }) => {
+    const ratio = percent === null ? 0 : percent / 100;
+    const filled = Math.round(ratio * width);
+    const bar = "#".repeat(filled) + "-".repeat(width - filled);
+    const pct = percent === null ? "  ?.?" : percent.toFixed(1).padStart(5);
+    process.stderr.write(
+      `\r\x1b[K[${bar}] ${pct}%  ${time.toFixed(1)}s  ${fps.toFixed(0)} fps  ${stage || ""}`,
+    );
+    drawn = true;
+  });
+  runner.on("stage", clear);
+  runner.on("done", clear);
+  runner.on("error", clear);
+}
+
+// Flags that never take a value, so a positional after them stays a
+// positional. Every other flag reads the next non-flag token as its value
+const BOOLEAN_FLAGS = new Set([
+  "adaptive",
+  "detailed",
+  "dry-run",
+  "force",
+  "gradual",
+  "loudness",
+  "mux-subtitles",
+  "no-cache",
+  "relative",
+  "remove-dead-frames",
+  "scenes",
+  "silence",
+]);
+
+// Flags that also work bare. They take the next argument only if it looks
+// like their value, so `merge v.mp4 --transition 2.0 out.mp4` keeps 2.0 as
+// minDuration; `--flag=value` always sets the value.
+const OPTIONAL_VALUE_FLAGS = {
+  transition: /^[a-z]+$/,
+  normalize: /^(web|broadcast|-\d+(\.\d+)?)$/,
+  subtitles: /^[^,]+\.(srt|vtt)(,[^,]+\.(srt|vtt))*$/i,
+  snippets: /^\d+$/,
+  alternatives: /^\d+$/,
+  plan: /\.json$/i,
+};
+
+// Split CLI arguments into positionals and --flags
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith("--")) {
+      const [key, inline] = arg.slice(2).split("=", 2);
+      const next = args[i + 1];
+      if (inline !== undefined) {
+        flags[key] = inline;
+      } else if (
+        !BOOLEAN_FLAGS.has(key) &&
+        next !== undefined &&
+        !next.startsWith("--") &&
+        (!OPTIONAL_VALUE_FLAGS[key] || OPTIONAL_VALUE_FLAGS[key].test(next))
+      ) {
+        flags[key] = args[++i];
+      } else {
+        flags[key] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
+// Detection options shared by detect, split, merge, auto and export
+function detectionOptions(flags) {
+  const options = { gradual: Boolean(flags.gradual), adaptive: false };
+  if (flags.adaptive) {
+    if (options.gradual) {
+      throw new Error("Gradual and adaptive detection cannot be combined");
+    }
+    options.adaptive = {
+      targetCount: parseInt(flags["target-count"]) || null,
+      minSceneLength: parseFloat(flags["min-scene-length"]) || null,
+    };
+  }
+  return options;
+}
+
+// Join options shared by merge, auto and render
+function joinOptions(flags) {
+  const number = (value) =>
+    value === undefined ? undefined : parseFloat(value);
+  return {
+    // A bare --transition means a plain crossfade
+    transition: flags.transition === true ? "fade" : flags.transition,
+    transitionDuration: number(flags["transition-duration"]),
+    audioFade: number(flags["audio-fade"]),
   };
 }
 
+// Loudness options shared by merge, auto and silence remove
+function loudnessOptions(flags) {
+  return {
+    // A bare --normalize uses loudness.target from the config
+    normalize: flags.normalize || undefined,
+    loudness: Boolean(flags.loudness),
+  };
+}
+
+// Subtitle options shared by merge, auto and silence remove
+function subtitleOptions(flags) {
+  return {
+    // A bare --subtitles picks up sidecar files and embedded text streams
+    subtitles:
+      flags.subtitles === true
+        ? true
+        : flags.subtitles && flags.subtitles.split(","),
+    subtitleFormat: flags["subtitle-format"],
+    muxSubtitles: flags["mux-subtitles"] ? true : undefined,
+  };
+}
+
+// --dry-run (or --plan file.json) plans split, merge, auto, render and silence edits
+function dryRunOption(flags) {
+  return Boolean(flags["dry-run"] || flags.plan);
+}
+
+// Print a dry-run plan and save it as JSON with --plan
+function reportDryRun(plan, flags) {
+  console.log(editPlan.formatDryRun(plan));
+  if (typeof flags.plan === "string") {
+    fs.writeFileSync(flags.plan, JSON.stringify(plan, null, 2));
+    console.log(`\nPlan saved: ${flags.plan}`);
+  }
+}
+
+// Parse a byte size such as 500000, 800K or 2.5MB
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)I?B?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size: ${value} (use bytes or e.g. 800K, 2MB)`);
+  }
+  const units = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+
 // Main handler for skill calls
 async function main() {
+  // Parse arguments
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  // --ffmpeg / --ffprobe take precedence over env vars and .scene-editorrc;
+  // --no-cache / --cache-dir override the analysis cache settings
+  const { flags: globalFlags } = parseArgs(args);
+  config.configure({
+    ffmpeg:
+      typeof globalFlags.ffmpeg === "string" ? globalFlags.ffmpeg : undefined,
+    ffprobe:
+      typeof globalFlags.ffprobe === "string" ? globalFlags.ffprobe : undefined,
+    cache: {
+      enabled: globalFlags["no-cache"] ? false : undefined,
+      dir:
+        typeof globalFlags["cache-dir"] === "string"
+          ? globalFlags["cache-dir"]
+          : undefined,
+    },
+  });
+
   // Check FFmpeg
-  if (!findFFmpeg()) {
+  let toolchain;
+  try {
+    toolchain = config.verifyToolchain();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
     console.error(
-      "Error: FFmpeg not found. Please install FFmpeg and add to PATH.",
+      `Install FFmpeg and add it to PATH, or set FFMPEG_PATH / FFPROBE_PATH, --ffmpeg / --ffprobe or "ffmpeg" in ${config.RC_FILE}.`,
     );
     console.error("Windows: https://www.gyan.dev/ffmpeg/builds/");
     process.exit(1);
   }
 
-  // Parse arguments
-  const args = process.argv.slice(2);
-  const command = args[0];
+  toolchain.missingFilters.forEach(({ name, usedFor }) => {
+    console.error(
+      `[WARN] FFmpeg filter "${name}" is missing (needed for ${usedFor})`,
+    );
+  });
 
   if (!command) {
     console.log("Video Scene Editor Skill");
     console.log("");
     console.log("Usage:");
-    console.log("  node index.js detect <videoPath> [threshold]");
-    console.log("  node index.js split <videoPath> [outputDir] [threshold]");
     console.log(
-      "  node index.js merge <videoPath> [minDuration] [outputFile] [threshold]",
+      "  node index.js detect <videoPath> [threshold] [--detailed] [--project project.json]",
+    );
+    console.log(
+      "  node index.js split <videoPath> [outputDir] [threshold] [--mode copy|reencode|smart]",
+    );
+    console.log(
+      "  node index.js merge <videoPath> [minDuration] [outputFile] [threshold] [--mode ...]",
+    );
+    console.log(
+      "  node index.js auto <videoPath> [minDuration] [threshold] [--mode ...] [--remove-dead-frames] [--silence]",
+    );
+    console.log(
+      "  node index.js render <project.json> [outputFile] [--mode ...]",
+    );
+    console.log(
+      "  node index.js export <videoPath> [--format edl|fcpxml|otio] [--output file] [--threshold 0.3]",
+    );
+    console.log(
+      "  node index.js chapters <videoPath> [output] [--titles titles.json] [--threshold 0.3]",
     );
-    console.log("  node index.js auto <videoPath> [minDuration] [threshold]");
     console.log("  node index.js thumbnail <videoPath> <subCommand> [args...]");
+    console.log(
+      "  node index.js silence detect|remove|speedup|visualize <videoPath> [output] [--threshold -30] [--min-duration 0.5]",
+    );
+    console.log(
+      "  node index.js deadframes detect|remove <videoPath> [output] [--types black,freeze] [--padding 0]",
+    );
+    console.log(
+      "  node index.js loudness <videoPath> [output] [--normalize web|broadcast|<LUFS>]",
+    );
+    console.log(
+      "  node index.js batch <dir|glob|manifest.json|manifest.csv...> [--pipeline auto,silence,thumbnails] [--output-dir dir] [--concurrency 2] [--force]",
+    );
+    console.log("  node index.js cache [info|clear] [videoPath]");
+    console.log("  node index.js config");
+    console.log("");
+    console.log(
+      "Detection options (detect, split, merge, auto, export, chapters):",
+    );
+    console.log("  --gradual         Also detect fades and dissolves");
+    console.log(
+      "  --adaptive        Pick cuts relative to a rolling average of scene scores",
+    );
+    console.log("  --target-count N  With --adaptive, aim for N scenes");
+    console.log(
+      "  --min-scene-length S  With --adaptive, keep scenes at least S seconds",
+    );
+    console.log("");
+    console.log("Join options (merge, auto, render, deadframes remove):");
+    console.log(
+      "  --transition [type]        Crossfade scenes with xfade (default type: fade)",
+    );
+    console.log("  --transition-duration S    Crossfade length (default 0.5)");
+    console.log(
+      "  --audio-fade S             Audio fade at hard joins (default 0.02, 0 = off)",
+    );
+    console.log("");
+    console.log("Loudness options (merge, auto, silence remove):");
+    console.log(
+      "  --loudness                 Report integrated loudness, LRA and true peak",
+    );
+    console.log(
+      "  --normalize [target]       Normalize to web (-14 LUFS), broadcast (-23) or a LUFS value",
+    );
+    console.log(
+      "  --relative                 silence: threshold is dB below the integrated loudness",
+    );
+    console.log("");
+    console.log("Subtitle options (merge, auto, silence remove):");
+    console.log(
+      "  --subtitles [a.srt,b.vtt]  Retime subtitles to the cuts (bare: sidecars and embedded text streams)",
+    );
+    console.log(
+      "  --subtitle-format srt|vtt  Output format (default: same as input)",
+    );
+    console.log(
+      "  --mux-subtitles            Also mux the retimed subtitles into the output",
+    );
+    console.log("");
+    console.log(
+      "Dry run (split, merge, auto, render, silence remove|speedup):",
+    );
+    console.log(
+      "  --dry-run                  Print kept/dropped ranges and the ffmpeg commands without writing files",
+    );
+    console.log(
+      "  --plan <file.json>         Dry run and save the plan as JSON",
+    );
+    console.log("");
+    console.log("Global options:");
+    console.log("  --ffmpeg <path>   FFmpeg binary (overrides FFMPEG_PATH)");
+    console.log("  --ffprobe <path>  FFprobe binary (overrides FFPROBE_PATH)");
+    console.log(
+      "  --no-cache        Analyze again instead of reusing cached results",
+    );
+    console.log("  --cache-dir <dir> Where analysis results are cached");
     console.log("");
     console.log("Examples:");
     console.log("  node index.js detect video.mp4 0.3");
     console.log("  node index.js split video.mp4 scenes 0.3");
     console.log("  node index.js merge video.mp4 2.0 merged.mp4 0.3");
+    console.log("  node index.js split video.mp4 scenes 0.3 --mode smart");
     console.log("  node index.js auto video.mp4 3.0 0.3");
+    console.log("  node index.js detect video.mp4 0.3 --detailed");
+    console.log("  node index.js auto video.mp4 3.0 0.3 --gradual");
+    console.log("  node index.js detect video.mp4 --adaptive --target-count 5");
+    console.log("  node index.js auto recording.mp4 3.0 --remove-dead-frames");
+    console.log(
+      "  node index.js deadframes remove recording.mp4 clean.mp4 --mode smart",
+    );
+    console.log("  node index.js auto lecture.mp4 3.0 --silence");
+    console.log(
+      "  node index.js auto lecture.mp4 3.0 --silence --dry-run --plan plan.json",
+    );
+    console.log("  node index.js silence remove lecture.mp4 tight.mp4");
+    console.log(
+      "  node index.js silence speedup tutorial.mp4 --speed 4 --max-gap 2",
+    );
+    console.log(
+      "  node index.js merge video.mp4 2.0 merged.mp4 --transition wipeleft",
+    );
+    console.log(
+      "  node index.js merge video.mp4 2.0 merged.mp4 --normalize web",
+    );
+    console.log("  node index.js loudness video.mp4 --normalize broadcast");
+    console.log(
+      "  node index.js silence remove lecture.mp4 tight.mp4 --subtitles --mux-subtitles",
+    );
+    console.log("  node index.js detect video.mp4 0.3 --project video.json");
+    console.log("  node index.js render video.json final.mp4");
+    console.log("  node index.js export video.mp4 --format fcpxml");
+    console.log(
+      "  node index.js chapters video.mp4 video_chapters.mp4 --titles titles.json",
+    );
+    console.log(
+      '  node index.js batch "recordings/*.mp4" --pipeline auto,thumbnails --concurrency 3',
+    );
+    console.log("  node index.js batch jobs.csv --output-dir processed");
     console.log("  node index.js thumbnail video.mp4 all ./covers");
     console.log("  node index.js thumbnail video.mp4 best");
     console.log("  node index.js thumbnail video.mp4 gif 10 preview.gif");
+    console.log(
+      '  node index.js thumbnail video.mp4 cover --template cover.json --title "Episode 1" --preset 16:9,9:16',
+    );
+    console.log(
+      "  node index.js thumbnail video.mp4 sprites player/sprites.vtt --interval 2",
+    );
+    console.log(
+      "  node index.js thumbnail video.mp4 preview teaser.webp --snippets 4 --max-size 500K",
+    );
     process.exit(0);
   }
 
-  const videoPath = args[1];
+  if (command === "config") {
+    console.log(
+      JSON.stringify({ toolchain, settings: config.getConfig() }, null, 2),
+    );
+    process.exit(0);
+  }
+
+  if (command === "cache") {
+    const { positional } = parseArgs(args.slice(1));
+    const [action = "info", target] = positional;
+    try {
+      if (target && !fs.existsSync(target)) {
+        throw new Error(`Video file not found: ${target}`);
+      }
+      if (action === "clear") {
+        const removed = analysisCache.clearCache(target || null);
+        console.log(
+          `[OK] Removed ${removed} cache file(s) from ${analysisCache.getCacheDir()}`,
+        );
+      } else if (action === "info") {
+        const info = target
+          ? analysisCache.describe(target)
+          : { dir: analysisCache.getCacheDir() };
+        console.log(JSON.stringify(info, null, 2));
+      } else {
+        throw new Error(`Unknown cache action: ${action} (use info, clear)`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  // silence and deadframes take their subcommand before the video path
+  const videoPath = ["silence", "deadframes"].includes(command)
+    ? args[2]
+    : args[1];
 
   if (!videoPath) {
     console.error("Error: Video path required");
     process.exit(1);
   }
 
+  // Ctrl+C aborts the running ffmpeg process instead of orphaning it
+  const controller = new AbortController();
+  process.on("SIGINT", () => controller.abort());
+
+  const runner = new FFmpegRunner({ signal: controller.signal });
+  attachProgressBar(runner);
+
   try {
-    switch (command) {
-      case "detect": {
-        const threshold = parseFloat(args[2]) || 0.3;
-        const timestamps = detectScenes(videoPath, threshold);
-        console.log(JSON.stringify({ scenes: timestamps }, null, 2));
+    await runner.task(() => run(command, videoPath, args, runner));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(error.name === "AbortError" ? 130 : 1);
+  }
+}
+
+// Run a CLI command
+async function run(command, videoPath, args, runner) {
+  const defaults = config.getConfig();
+
+  switch (command) {
+    case "detect": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      const threshold = parseFloat(positional[0]) || defaults.threshold;
+      const options = detectionOptions(flags);
+      const result = {};
+      if (options.adaptive) {
+        const adaptive = await detectScenesAdaptive(videoPath, {
+          ...options.adaptive,
+          detailed: Boolean(flags.detailed),
+          runner,
+        });
+        result.scenes = adaptive.scenes;
+        result.adaptive = {
+          effectiveThreshold: adaptive.effectiveThreshold,
+          effectiveRatio: adaptive.effectiveRatio,
+          histogram: adaptive.histogram,
+        };
+      } else {
+        result.scenes = await detectScenes(videoPath, threshold, {
+          ...options,
+          runner,
+          detailed: Boolean(flags.detailed),
+        });
+      }
+      const timestamps = result.scenes;
+      if (flags.project) {
+        result.project = await writeProject(
+          videoPath,
+          timestamps,
+          flags.project,
+          { threshold },
+          { runner },
+        );
+      }
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
+
+    case "render": {
+      // args[1] is the project file for this command
+      const { positional, flags } = parseArgs(args.slice(2));
+      const result = await renderProject(
+        videoPath,
+        positional[0] || null,
+        flags.mode || null,
+        { ...joinOptions(flags), dryRun: dryRunOption(flags), runner },
+      );
+      if (result.dryRun) {
+        reportDryRun(result, flags);
         break;
       }
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
 
-      case "split": {
-        const outputDir = args[2] || "scenes";
-        const threshold = parseFloat(args[3]) || 0.3;
-        const timestamps = detectScenes(videoPath, threshold);
-        const outputs = splitByScenes(videoPath, timestamps, outputDir);
-        console.log(JSON.stringify({ clips: outputs }, null, 2));
+    case "split": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      const outputDir = positional[0] || defaults.output.scenes;
+      const threshold = parseFloat(positional[1]) || defaults.threshold;
+      const cutMode = flags.mode || defaults.cutMode;
+      const timestamps = await detectScenes(videoPath, threshold, {
+        ...detectionOptions(flags),
+        runner,
+      });
+      const clips = await splitByScenes(
+        videoPath,
+        timestamps,
+        outputDir,
+        cutMode,
+        { dryRun: dryRunOption(flags), runner },
+      );
+      if (clips.dryRun) {
+        reportDryRun(clips, flags);
         break;
       }
+      console.log(JSON.stringify({ cutMode, clips }, null, 2));
+      break;
+    }
 
-      case "merge": {
-        const minDuration = parseFloat(args[2]) || 2.0;
-        const outputFile = args[3] || "merged_scenes.mp4";
-        const threshold = parseFloat(args[4]) || 0.3;
-        const timestamps = detectScenes(videoPath, threshold);
-        const result = mergeScenes(
-          videoPath,
-          timestamps,
-          minDuration,
-          outputFile,
-        );
-        console.log(JSON.stringify({ mergedFile: result }, null, 2));
+    case "merge": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      const minDuration =
+        parseFloat(positional[0]) || defaults.minDuration.merge;
+      const outputFile = positional[1] || defaults.output.merged;
+      const threshold = parseFloat(positional[2]) || defaults.threshold;
+      const timestamps = await detectScenes(videoPath, threshold, {
+        ...detectionOptions(flags),
+        runner,
+      });
+      const result = await mergeScenes(
+        videoPath,
+        timestamps,
+        minDuration,
+        outputFile,
+        flags.mode || defaults.cutMode,
+        {
+          ...joinOptions(flags),
+          ...loudnessOptions(flags),
+          ...subtitleOptions(flags),
+          dryRun: dryRunOption(flags),
+          runner,
+        },
+      );
+      if (result.dryRun) {
+        reportDryRun(result, flags);
         break;
       }
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
 
-      case "auto": {
-        const minDuration = parseFloat(args[2]) || 3.0;
-        const threshold = parseFloat(args[3]) || 0.3;
-        const result = autoEdit(videoPath, minDuration, threshold);
-        console.log(JSON.stringify(result, null, 2));
+    case "auto": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      const minDuration =
+        parseFloat(positional[0]) || defaults.minDuration.auto;
+      const threshold = parseFloat(positional[1]) || defaults.threshold;
+      const result = await autoEdit(
+        videoPath,
+        minDuration,
+        threshold,
+        flags.mode || defaults.cutMode,
+        {
+          ...detectionOptions(flags),
+          ...joinOptions(flags),
+          ...loudnessOptions(flags),
+          ...subtitleOptions(flags),
+          removeDeadFrames: Boolean(flags["remove-dead-frames"]),
+          silence: flags.silence
+            ? { threshold: parseFloat(flags["silence-threshold"]) || undefined }
+            : false,
+          dryRun: dryRunOption(flags),
+          runner,
+        },
+      );
+      if (result.dryRun) {
+        reportDryRun(result, flags);
         break;
       }
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
 
-      case "thumbnail": {
-        // Import thumbnail generator
-        const thumbnailGen = require("./thumbnail_generator");
-        const subCommand = args[2] || "all";
-        const outputArg = args[3];
+    case "export": {
+      const { flags } = parseArgs(args.slice(2));
+      const format = flags.format || "edl";
+      if (!timeline.FORMATS[format]) {
+        throw new Error(`Unsupported timeline format: ${format}`);
+      }
+      const threshold = parseFloat(flags.threshold) || defaults.threshold;
+      const timestamps = await detectScenes(videoPath, threshold, {
+        ...detectionOptions(flags),
+        runner,
+      });
+      const output = await exportTimeline(
+        videoPath,
+        timestamps,
+        format,
+        flags.output || null,
+        { runner },
+      );
+      // Count the scenes actually written: cuts at 0, at the end or on
+      // the same frame as another cut add no scene
+      const info = await getVideoInfo(videoPath, { runner });
+      const scenes = timeline.buildSceneClips(
+        toCutTimestamps(timestamps),
+        await getDuration(videoPath, { runner }),
+        timeline.parseFrameRate(info.r_frame_rate),
+      ).length;
+      console.log(
+        JSON.stringify({ format, timeline: output, scenes }, null, 2),
+      );
+      break;
+    }
 
-        switch (subCommand) {
-          case "best": {
-            const time = thumbnailGen.findBestThumbnailFrame(videoPath);
-            console.log(JSON.stringify({ bestFrame: time }, null, 2));
-            break;
-          }
-          case "single": {
-            const time = args[3] ? parseFloat(args[3]) : null;
-            const output =
-              args[4] ||
-              `thumb_${require("path").basename(videoPath, ".mp4")}.jpg`;
-            thumbnailGen.generateThumbnail(videoPath, output, time);
-            console.log(JSON.stringify({ thumbnail: output }, null, 2));
-            break;
-          }
-          case "storyboard": {
-            const output =
-              outputArg ||
-              `storyboard_${require("path").basename(videoPath, ".mp4")}.jpg`;
-            thumbnailGen.generateStoryboard(videoPath, output);
-            console.log(JSON.stringify({ storyboard: output }, null, 2));
+    case "chapters": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      const threshold = parseFloat(flags.threshold) || defaults.threshold;
+      const timestamps = await detectScenes(videoPath, threshold, {
+        ...detectionOptions(flags),
+        runner,
+      });
+      const result = await writeChapters(
+        videoPath,
+        timestamps,
+        positional[0] || null,
+        { runner, titles: flags.titles },
+      );
+      console.log(JSON.stringify(result, null, 2));
+      break;
+    }
+
+    case "loudness": {
+      const { positional, flags } = parseArgs(args.slice(2));
+      if (flags.normalize) {
+        const output =
+          positional[0] || `normalized_${path.basename(videoPath)}`;
+        const result = await loudness.normalizeLoudness(
+          videoPath,
+          output,
+          flags.normalize === true ? undefined : flags.normalize,
+          { runner },
+        );
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        const result = await loudness.measureLoudness(videoPath, { runner });
+        console.log(JSON.stringify({ loudness: result }, null, 2));
+      }
+      break;
+    }
+
+    case "silence": {
+      const subCommand = args[1];
+      const { positional, flags } = parseArgs(args.slice(3));
+      const threshold =
+        parseFloat(flags.threshold) || defaults.silence.threshold;
+      const minDuration =
+        parseFloat(flags["min-duration"]) || defaults.silence.minDuration;
+      // --relative reads the threshold as dB below the integrated loudness
+      const relative = flags.relative ? true : undefined;
+
+      switch (subCommand) {
+        case "detect": {
+          const segments = await silenceDetector.detectSilence(
+            videoPath,
+            threshold,
+            minDuration,
+            { runner, relative },
+          );
+          console.log(JSON.stringify({ segments }, null, 2));
+          break;
+        }
+        case "remove": {
+          const output =
+            positional[0] || `no_silence_${path.basename(videoPath)}`;
+          const padding =
+            flags.padding !== undefined
+              ? parseFloat(flags.padding)
+              : defaults.silence.padding;
+          const cutMode = flags.mode || defaults.cutMode;
+          const dryRun = dryRunOption(flags);
+          const plan = await silenceDetector.removeSilence(
+            videoPath,
+            output,
+            threshold,
+            minDuration,
+            padding,
+            cutMode,
+            {
+              ...joinOptions(flags),
+              ...subtitleOptions(flags),
+              normalize: loudnessOptions(flags).normalize,
+              // Measured below after rendering; a dry run only notes it
+              loudness: dryRun && Boolean(flags.loudness),
+              relative,
+              dryRun,
+              runner,
+            },
+          );
+          if (dryRun) {
+            reportDryRun(plan, flags);
             break;
           }
-          case "timeline": {
-            const output =
-              outputArg ||
-              `timeline_${require("path").basename(videoPath, ".mp4")}.jpg`;
-            thumbnailGen.generateTimestampedStoryboard(videoPath, output);
-            console.log(JSON.stringify({ timeline: output }, null, 2));
-            break;
+          const result = {
+            outputFile: output,
+            cutMode,
+            originalDuration: plan.originalDuration,
+            newDuration: plan.newDuration,
+          };
+          if (flags.loudness) {
+            result.loudness = await loudness.measureLoudness(output, {
+              runner,
+            });
           }
-          case "gif": {
-            const start = outputArg ? parseFloat(outputArg) : null;
-            const output =
-              args[4] ||
-              `preview_${require("path").basename(videoPath, ".mp4")}.gif`;
-            thumbnailGen.generateGIFPreview(videoPath, output, start);
-            console.log(JSON.stringify({ gif: output }, null, 2));
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        case "speedup": {
+          const output =
+            positional[0] || `fast_silence_${path.basename(videoPath)}`;
+          const speed = parseFloat(flags.speed) || defaults.silence.speed;
+          const plan = await silenceDetector.speedUpSilence(
+            videoPath,
+            output,
+            speed,
+            {
+              runner,
+              threshold,
+              minDuration,
+              relative,
+              padding:
+                flags.padding !== undefined
+                  ? parseFloat(flags.padding)
+                  : undefined,
+              maxGap:
+                flags["max-gap"] !== undefined
+                  ? parseFloat(flags["max-gap"])
+                  : undefined,
+              dryRun: dryRunOption(flags),
+            },
+          );
+          if (plan.dryRun) {
+            reportDryRun(plan, flags);
             break;
           }
-          case "all": {
-            const outputDir = outputArg || "thumbnails";
-            const result = thumbnailGen.generateAllThumbnails(
+          console.log(
+            JSON.stringify(
+              {
+                outputFile: output,
+                speed,
+                originalDuration: plan.originalDuration,
+                newDuration: plan.newDuration,
+              },
+              null,
+              2,
+            ),
+          );
+          break;
+        }
+        case "visualize": {
+          const output =
+            positional[0] || `silence_marked_${path.basename(videoPath)}`;
+          await silenceDetector.visualizeSilence(
+            videoPath,
+            output,
+            threshold,
+            minDuration,
+            { runner, relative },
+          );
+          console.log(JSON.stringify({ outputFile: output }, null, 2));
+          break;
+        }
+        default:
+          throw new Error(
+            `Unknown silence command: ${subCommand} (expected detect, remove, speedup or visualize)`,
+          );
+      }
+      break;
+    }
+
+    case "deadframes": {
+      const subCommand = args[1];
+      const { positional, flags } = parseArgs(args.slice(3));
+      // --types black,freeze (default: both)
+      const types =
+        flags.types && flags.types !== true && flags.types !== "all"
+          ? flags.types.split(",").map((type) => type.trim())
+          : undefined;
+
+      switch (subCommand) {
+        case "detect": {
+          const segments = await deadFrameDetector.detectDeadFrames(videoPath, {
+            runner,
+            types,
+          });
+          console.log(JSON.stringify({ segments }, null, 2));
+          break;
+        }
+        case "remove": {
+          const output =
+            positional[0] || `no_dead_frames_${path.basename(videoPath)}`;
+          const cutMode = flags.mode || defaults.cutMode;
+          const result = await deadFrameDetector.removeDeadFrames(
+            videoPath,
+            output,
+            cutMode,
+            {
+              ...joinOptions(flags),
+              padding:
+                flags.padding !== undefined
+                  ? parseFloat(flags.padding)
+                  : undefined,
+              types,
+              runner,
+            },
+          );
+          console.log(
+            JSON.stringify(
+              {
+                outputFile: output,
+                cutMode,
+                originalDuration: result.originalDuration,
+                newDuration: result.newDuration,
+              },
+              null,
+              2,
+            ),
+          );
+          break;
+        }
+        default:
+          throw new Error(
+            `Unknown deadframes command: ${subCommand} (expected detect or remove)`,
+          );
+      }
+      break;
+    }
+
+    case "batch": {
+      const batch = require("./batch_processor");
+      const { positional, flags } = parseArgs(args.slice(1));
+      const auto = {
+        threshold: parseFloat(flags.threshold) || undefined,
+        minDuration: parseFloat(flags["min-duration"]) || undefined,
+      };
+      const report = await batch.runBatch(positional, {
+        runner,
+        pipeline: flags.pipeline,
+        outputDir: flags["output-dir"],
+        concurrency: flags.concurrency,
+        report: flags.report,
+        force: Boolean(flags.force),
+        options: {
+          cutMode: flags.mode,
+          auto,
+          silence: {
+            threshold: parseFloat(flags["silence-threshold"]) || undefined,
+          },
+        },
+      });
+      console.log(JSON.stringify(report.summary, null, 2));
+      // Failed files make the exit code non-zero for scripts and CI
+      if (report.summary.failed > 0) process.exitCode = 1;
+      break;
+    }
+
+    case "thumbnail": {
+      // Import thumbnail generator
+      const thumbnailGen = require("./thumbnail_generator");
+      const subCommand = args[2] || "all";
+      const { positional, flags } = parseArgs(args.slice(3));
+      const outputArg = positional[0];
+      // --scenes samples candidates from the middle of each detected scene
+      const sceneOptions = {
+        threshold: parseFloat(flags.threshold) || undefined,
+      };
+
+      switch (subCommand) {
+        case "best": {
+          const best = await thumbnailGen.findBestThumbnailFrame(
+            videoPath,
+            10,
+            {
+              runner,
+              detailed: true,
+              sceneAware: Boolean(flags.scenes),
+              ...sceneOptions,
+            },
+          );
+          console.log(
+            JSON.stringify(
+              {
+                bestFrame: best.timestamp,
+                score: best.score,
+                candidates: best.candidates,
+              },
+              null,
+              2,
+            ),
+          );
+          break;
+        }
+        case "single": {
+          const time = positional[0] ? parseFloat(positional[0]) : null;
+          const output =
+            positional[1] ||
+            `thumb_${require("path").basename(videoPath, ".mp4")}.jpg`;
+          await thumbnailGen.generateThumbnail(
+            videoPath,
+            output,
+            time,
+            1280,
+            2,
+            { runner },
+          );
+          console.log(JSON.stringify({ thumbnail: output }, null, 2));
+          break;
+        }
+        case "storyboard": {
+          const output =
+            outputArg ||
+            `storyboard_${require("path").basename(videoPath, ".mp4")}.jpg`;
+          // --scenes builds a contact sheet with one labelled tile per scene
+          if (flags.scenes) {
+            const [columns, rows] = (flags.grid || "")
+              .split("x")
+              .map((n) => parseInt(n) || undefined);
+            const result = await thumbnailGen.generateContactSheet(
               videoPath,
-              outputDir,
-            );
-            console.log(JSON.stringify(result, null, 2));
-            break;
-          }
-          default: {
-            console.log("Thumbnail sub-commands:");
-            console.log("  best     - Find best frame time");
-            console.log(
-              "  single   - Generate single thumbnail [time] [output]",
-            );
-            console.log("  storyboard - Generate storyboard [output]");
-            console.log(
-              "  timeline - Generate timestamped storyboard [output]",
+              output,
+              {
+                runner,
+                columns,
+                rows,
+                width: parseInt(flags.width) || undefined,
+                fontFile: flags.font,
+                ...sceneOptions,
+              },
             );
             console.log(
-              "  gif      - Generate GIF preview [start_time] [output]",
+              JSON.stringify(
+                { storyboard: result.pages, scenes: result.scenes.length },
+                null,
+                2,
+              ),
             );
-            console.log("  all      - Generate all thumbnails [output_dir]");
+            break;
           }
+          await thumbnailGen.generateStoryboard(videoPath, output, 3, 3, {
+            runner,
+          });
+          console.log(JSON.stringify({ storyboard: output }, null, 2));
+          break;
+        }
+        case "timeline": {
+          const output =
+            outputArg ||
+            `timeline_${require("path").basename(videoPath, ".mp4")}.jpg`;
+          await thumbnailGen.generateTimestampedStoryboard(
+            videoPath,
+            output,
+            9,
+            { runner },
+          );
+          console.log(JSON.stringify({ timeline: output }, null, 2));
+          break;
+        }
+        case "gif": {
+          const start = positional[0] ? parseFloat(positional[0]) : null;
+          const output =
+            positional[1] ||
+            `preview_${require("path").basename(videoPath, ".mp4")}.gif`;
+          await thumbnailGen.generateGIFPreview(
+            videoPath,
+            output,
+            start,
+            3,
+            480,
+            10,
+            { runner },
+          );
+          console.log(JSON.stringify({ gif: output }, null, 2));
+          break;
+        }
+        case "preview": {
+          const output =
+            outputArg ||
+            `preview_${require("path").basename(videoPath, ".mp4")}.${flags.format || "webp"}`;
+          const result = await thumbnailGen.generatePreview(videoPath, output, {
+            runner,
+            format: flags.format,
+            startTime: flags.start ? parseFloat(flags.start) : null,
+            duration: parseFloat(flags.duration) || undefined,
+            width: parseInt(flags.width) || undefined,
+            fps: parseFloat(flags.fps) || undefined,
+            maxBytes: flags["max-size"] ? parseSize(flags["max-size"]) : null,
+            snippets: flags.snippets ? parseInt(flags.snippets) || 3 : null,
+            ...sceneOptions,
+          });
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        case "all": {
+          const outputDir = outputArg || defaults.output.thumbnails;
+          const result = await thumbnailGen.generateAllThumbnails(
+            videoPath,
+            outputDir,
+            null,
+            {
+              runner,
+              alternatives: flags.alternatives
+                ? parseInt(flags.alternatives) || 3
+                : null,
+              ...sceneOptions,
+            },
+          );
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        case "cover": {
+          const coverGen = require("./cover_generator");
+          const output =
+            outputArg ||
+            `cover_${require("path").basename(videoPath, ".mp4")}.jpg`;
+          const result = await coverGen.generateCover(
+            videoPath,
+            output,
+            flags.template || null,
+            {
+              runner,
+              timestamp: flags.time ? parseFloat(flags.time) : null,
+              title: flags.title,
+              subtitle: flags.subtitle,
+              presets: flags.preset ? flags.preset.split(",") : undefined,
+              sceneAware: Boolean(flags.scenes),
+            },
+          );
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        case "sprites": {
+          const spriteGen = require("./sprite_generator");
+          const output =
+            outputArg ||
+            `sprites_${require("path").basename(videoPath, ".mp4")}.vtt`;
+          const [width, height] = (flags.size || "")
+            .split("x")
+            .map((n) => parseInt(n) || undefined);
+          const [columns, rows] = (flags.grid || "")
+            .split("x")
+            .map((n) => parseInt(n) || undefined);
+          const result = await spriteGen.generateSprites(videoPath, output, {
+            runner,
+            interval: parseFloat(flags.interval) || undefined,
+            scenes: Boolean(flags.scenes),
+            width,
+            height,
+            columns,
+            rows,
+            baseUrl:
+              typeof flags["base-url"] === "string" ? flags["base-url"] : "",
+            ...sceneOptions,
+          });
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        default: {
+          console.log("Thumbnail sub-commands:");
+          console.log(
+            "  best     - Find best frame time [--scenes] [--threshold 0.3]",
+          );
+          console.log("  single   - Generate single thumbnail [time] [output]");
+          console.log(
+            "  storyboard - Generate storyboard [output] [--scenes] [--grid 4x5] [--width 320] [--font file.ttf]",
+          );
+          console.log("  timeline - Generate timestamped storyboard [output]");
+          console.log(
+            "  gif      - Generate GIF preview [start_time] [output]",
+          );
+          console.log(
+            "  preview  - Generate GIF/WebP/MP4/WebM preview [output] [--format webp] [--start T] [--duration 3] [--width 480] [--fps 10] [--max-size 800K] [--snippets N]",
+          );
+          console.log(
+            "  all      - Generate all thumbnails [output_dir] [--alternatives N]",
+          );
+          console.log(
+            "  cover    - Generate cover from template [output] [--template t.json] [--title T] [--subtitle T] [--preset 16:9,1:1,9:16,4:5] [--time T] [--scenes]",
+          );
+          console.log(
+            "  sprites  - Generate sprite sheets and WebVTT for scrub previews [output.vtt] [--interval 5] [--scenes] [--size 160x90] [--grid 10x10] [--base-url URL]",
+          );
         }
-        break;
       }
-
-      default:
-        console.error(`Unknown command: ${command}`);
-        process.exit(1);
+      break;
     }
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
   }
 }
 
 // Export functions for skill system
 module.exports = {
   detectScenes,
+  detectScenesAdaptive,
   splitByScenes,
   mergeScenes,
   autoEdit,
+  exportTimeline,
+  writeChapters,
+  writeProject,
+  renderProject,
   getDuration,
   getVideoInfo,
+  detectSilence: silenceDetector.detectSilence,
+  removeSilence: silenceDetector.removeSilence,
+  speedUpSilence: silenceDetector.speedUpSilence,
+  visualizeSilence: silenceDetector.visualizeSilence,
+  detectDeadFrames: deadFrameDetector.detectDeadFrames,
+  removeDeadFrames: deadFrameDetector.removeDeadFrames,
+  measureLoudness: loudness.measureLoudness,
+  normalizeLoudness: loudness.normalizeLoudness,
+  retimeSubtitles: subtitleRetimer.retimeSubtitles,
+  // CLI argument parsing, exported for tests
+  parseArgs,
 };
 
 // Run if called directly
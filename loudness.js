@@ -0,0 +1,254 @@
+// loudness.js - 响度分析与标准化模块
+/**
+ * 按 EBU R128 测量响度（loudnorm 第一遍），并用两遍 loudnorm 把输出标准化到目标响度
+ *   integrated - 综合响度 (LUFS)
+ *   truePeak   - 真峰值 (dBTP)
+ *   lra        - 响度范围 (LU)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+// 常用目标：网络平台 -14 LUFS，广播 -23 LUFS (EBU R128)
+const LOUDNESS_PRESETS = {
+  web: { integrated: -14, truePeak: -1, lra: 11 },
+  broadcast: { integrated: -23, truePeak: -1, lra: 15 },
+};
+
+async function probeAudio(videoPath, runner) {
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "a:0",
+    "-show_entries",
+    "stream=sample_rate:format=duration",
+    "-of",
+    "default=noprint_wrappers=1",
+    mediaPath(videoPath),
+  ]);
+  const info = {};
+  output.split("\n").forEach((line) => {
+    if (line.includes("=")) {
+      const [key, value] = line.split("=");
+      info[key] = value.trim();
+    }
+  });
+  if (!info.sample_rate) {
+    throw new Error(`No audio stream: ${videoPath}`);
+  }
+  return {
+    sampleRate: parseInt(info.sample_rate),
+    duration: parseFloat(info.duration) || 0,
+  };
+}
+
+/**
+ * 解析目标响度：预设名称、LUFS 数值或 {integrated, truePeak, lra}
+ */
+function resolveTarget(target = config.getConfig().loudness.target) {
+  if (typeof target === "string" && LOUDNESS_PRESETS[target]) {
+    return { name: target, ...LOUDNESS_PRESETS[target] };
+  }
+  if (!isNaN(parseFloat(target)) && typeof target !== "object") {
+    return {
+      ...LOUDNESS_PRESETS.web,
+      name: null,
+      integrated: parseFloat(target),
+    };
+  }
+  if (target && typeof target === "object") {
+    return { ...LOUDNESS_PRESETS.web, name: null, ...target };
+  }
+  throw new Error(
+    `Unknown loudness target: ${target} (use ${Object.keys(LOUDNESS_PRESETS).join(", ")} or a LUFS value)`,
+  );
+}
+
+/**
+ * 解析 loudnorm print_format=json 的输出
+ */
+function parseLoudnormJson(log) {
+  const blocks = log.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) {
+    throw new Error("Could not read loudnorm measurements");
+  }
+  return JSON.parse(blocks[blocks.length - 1]);
+}
+
+// 静音素材的测量值为 -inf
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+function summarize(data, prefix) {
+  return {
+    integrated: toNumber(data[`${prefix}_i`]),
+    truePeak: toNumber(data[`${prefix}_tp`]),
+    lra: toNumber(data[`${prefix}_lra`]),
+    threshold: toNumber(data[`${prefix}_thresh`]),
+  };
+}
+
+function loudnormFilter(target, extra = "") {
+  return `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}${extra}:print_format=json`;
+}
+
+/**
+ * 测量响度
+ * @param {string} videoPath - 视频或音频文件
+ * @param {object} options - {runner, signal}
+ * @returns {Promise<{integrated: number, truePeak: number, lra: number, threshold: number}>}
+ */
+async function measureLoudness(videoPath, options = {}) {
+  const runner = getRunner(options);
+  const { duration } = await probeAudio(videoPath, runner);
+
+  runner.stage("Measuring loudness");
+  const { stderr } = await runner.ffmpeg(
+    [
+      "-i",
+      mediaPath(videoPath),
+      "-vn",
+      "-af",
+      loudnormFilter(LOUDNESS_PRESETS.web),
+      "-f",
+      "null",
+      "-",
+    ],
+    { duration },
+  );
+
+  const data = parseLoudnormJson(stderr);
+  return summarize(data, "input");
+}
+
+/**
+ * 两遍 loudnorm 标准化响度（视频流复制，音频重新编码）
+ * @param {string} videoPath - 输入文件
+ * @param {string} outputFile - 输出文件
+ * @param {string|number|object} target - web | broadcast | LUFS 数值 | {integrated, truePeak, lra}
+ * @param {object} options - {runner, signal}
+ * @returns {Promise<{outputFile: string, target: object, before: object, after: object}>}
+ */
+async function normalizeLoudness(
+  videoPath,
+  outputFile,
+  target = config.getConfig().loudness.target,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const goal = resolveTarget(target);
+  const { sampleRate, duration } = await probeAudio(videoPath, runner);
+
+  // 1. 测量
+  runner.stage("Measuring loudness");
+  const { stderr: first } = await runner.ffmpeg(
+    [
+      "-i",
+      mediaPath(videoPath),
+      "-vn",
+      "-af",
+      loudnormFilter(goal),
+      "-f",
+      "null",
+      "-",
+    ],
+    { duration },
+  );
+  const measured = parseLoudnormJson(first);
+  const before = summarize(measured, "input");
+  if (before.integrated === null) {
+    throw new Error(`Audio is silent, cannot normalize: ${videoPath}`);
+  }
+
+  // 2. 按测量值线性调整（超出真峰值限制时 loudnorm 自动改用动态模式）
+  const secondPass = `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+  runner.stage(`Normalizing to ${goal.integrated} LUFS`);
+  const { stderr: second } = await runner.ffmpeg(
+    [
+      "-y",
+      "-i",
+      mediaPath(videoPath),
+      "-map",
+      "0",
+      "-c",
+      "copy",
+      "-af",
+      loudnormFilter(goal, secondPass),
+      "-c:a",
+      "aac",
+      "-b:a",
+      "192k",
+      // loudnorm 内部以 192 kHz 处理，输出恢复原采样率
+      "-ar",
+      sampleRate,
+      mediaPath(outputFile),
+    ],
+    { duration },
+  );
+  const result = parseLoudnormJson(second);
+
+  console.log(
+    `[OK] Loudness ${before.integrated} LUFS -> ${toNumber(result.output_i)} LUFS: ${outputFile}`,
+  );
+
+  return {
+    outputFile,
+    target: goal,
+    before,
+    after: summarize(result, "output"),
+  };
+}
+
+/**
+ * 生成文件并处理响度：normalize 时先输出到临时文件再标准化到 outputFile，
+ * 否则直接输出，loudness 为 true 时再测量最终文件
+ * @param {string} outputFile - 最终输出文件
+ * @param {function} render - (file) => Promise，把结果写到 file
+ * @param {object} options - {runner, signal, normalize, loudness}
+ * @returns {Promise<{result: *, loudness: object|null}>}
+ *   loudness 为 {target, before, after}（标准化）、测量值或 null
+ */
+async function renderWithLoudness(outputFile, render, options = {}) {
+  const runner = getRunner(options);
+
+  if (options.normalize) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+    const raw = path.join(
+      workDir,
+      `unnormalized${path.extname(outputFile) || ".mp4"}`,
+    );
+    try {
+      const result = await render(raw);
+      const { target, before, after } = await normalizeLoudness(
+        raw,
+        outputFile,
+        options.normalize === true ? undefined : options.normalize,
+        { runner },
+      );
+      return { result, loudness: { target, before, after } };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  const result = await render(outputFile);
+  const loudness = options.loudness
+    ? await measureLoudness(outputFile, { runner })
+    : null;
+  return { result, loudness };
+}
+
+// 导出模块
+module.exports = {
+  LOUDNESS_PRESETS,
+  resolveTarget,
+  measureLoudness,
+  normalizeLoudness,
+  renderWithLoudness,
+};
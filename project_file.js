@@ -0,0 +1,243 @@
+// project_file.js - 剪辑工程文件模块
+/**
+ * JSON 工程文件：记录源视频、探测信息和场景列表
+ * 每个场景可单独设置保留/丢弃、入点/出点、顺序和备注，
+ * 可以手动或由其他工具编辑后再交给 render 命令确定性地重新渲染
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_VERSION = 1;
+
+// 允许的时间误差（秒），吸收 ffprobe 时长的舍入
+const RANGE_TOLERANCE = 0.05;
+
+/**
+ * 根据场景切换点创建工程
+ * @param {string} videoPath - 源视频路径
+ * @param {Array<number>} timestamps - 场景切换时间点（秒）
+ * @param {object} probe - 探测信息 {duration, width, height, frameRate}
+ * @param {object} settings - 生成工程时使用的参数（如 threshold）
+ * @returns {object} 工程对象
+ */
+function createProject(videoPath, timestamps, probe, settings = {}) {
+  const duration = probe.duration;
+  const bounds = [
+    0,
+    ...timestamps.filter((t) => t > 0 && t < duration),
+    duration,
+  ];
+
+  const scenes = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    scenes.push({
+      index: i + 1,
+      start: bounds[i],
+      end: bounds[i + 1],
+      keep: true,
+      in: bounds[i],
+      out: bounds[i + 1],
+      order: i + 1,
+      notes: "",
+    });
+  }
+
+  return {
+    version: PROJECT_VERSION,
+    source: {
+      path: path.resolve(videoPath),
+      duration,
+      width: probe.width,
+      height: probe.height,
+      frameRate: probe.frameRate,
+    },
+    settings,
+    scenes,
+  };
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * 校验工程结构，并找出超出源视频时长的场景
+ * @param {object} project - 工程对象
+ * @returns {{errors: Array<string>, outOfRange: Array<{index: number, reason: string}>}}
+ */
+function validateProject(project) {
+  const errors = [];
+  const outOfRange = [];
+
+  if (!project || typeof project !== "object" || Array.isArray(project)) {
+    return { errors: ["project must be a JSON object"], outOfRange };
+  }
+
+  if (project.version !== PROJECT_VERSION) {
+    errors.push(
+      `unsupported project version: ${project.version} (expected ${PROJECT_VERSION})`,
+    );
+  }
+
+  const source = project.source;
+  if (!source || typeof source !== "object") {
+    errors.push("source is required");
+  } else {
+    if (typeof source.path !== "string" || !source.path) {
+      errors.push("source.path must be a non-empty string");
+    }
+    if (!isNumber(source.duration) || source.duration <= 0) {
+      errors.push("source.duration must be a positive number");
+    }
+  }
+
+  if (!Array.isArray(project.scenes) || project.scenes.length === 0) {
+    errors.push("scenes must be a non-empty array");
+    return { errors, outOfRange };
+  }
+
+  const duration = source && isNumber(source.duration) ? source.duration : null;
+  const seen = new Set();
+
+  project.scenes.forEach((scene, i) => {
+    const label = `scenes[${i}]`;
+
+    if (!scene || typeof scene !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(scene.index)) {
+      errors.push(`${label}.index must be an integer`);
+    } else if (seen.has(scene.index)) {
+      errors.push(`${label}.index ${scene.index} is duplicated`);
+    } else {
+      seen.add(scene.index);
+    }
+
+    ["start", "end"].forEach((key) => {
+      if (!isNumber(scene[key]))
+        errors.push(`${label}.${key} must be a number`);
+    });
+    ["in", "out", "order"].forEach((key) => {
+      if (scene[key] !== undefined && !isNumber(scene[key])) {
+        errors.push(`${label}.${key} must be a number`);
+      }
+    });
+    if (typeof scene.keep !== "boolean") {
+      errors.push(`${label}.keep must be true or false`);
+    }
+    if (scene.notes !== undefined && typeof scene.notes !== "string") {
+      errors.push(`${label}.notes must be a string`);
+    }
+
+    const inPoint = isNumber(scene.in) ? scene.in : scene.start;
+    const outPoint = isNumber(scene.out) ? scene.out : scene.end;
+    if (!isNumber(inPoint) || !isNumber(outPoint)) return;
+
+    if (outPoint <= inPoint) {
+      errors.push(
+        `${label} (scene ${scene.index}) out ${outPoint}s must be after in ${inPoint}s`,
+      );
+    }
+
+    if (duration !== null) {
+      if (inPoint < 0) {
+        outOfRange.push({
+          index: scene.index,
+          reason: `in ${inPoint}s is before the start of the source`,
+        });
+      } else if (outPoint > duration + RANGE_TOLERANCE) {
+        outOfRange.push({
+          index: scene.index,
+          reason: `out ${outPoint}s exceeds source duration ${duration}s`,
+        });
+      }
+    }
+  });
+
+  return { errors, outOfRange };
+}
+
+/**
+ * 读取并校验工程文件
+ * 源视频的相对路径以工程文件所在目录为基准
+ * @param {string} projectFile - 工程文件路径
+ * @returns {object} 工程对象
+ */
+function loadProject(projectFile) {
+  if (!fs.existsSync(projectFile)) {
+    throw new Error(`Project file not found: ${projectFile}`);
+  }
+
+  let project;
+  try {
+    project = JSON.parse(fs.readFileSync(projectFile, "utf-8"));
+  } catch (e) {
+    throw new Error(`Invalid project file ${projectFile}: ${e.message}`);
+  }
+
+  const { errors, outOfRange } = validateProject(project);
+  if (errors.length > 0 || outOfRange.length > 0) {
+    const lines = [
+      ...errors,
+      ...outOfRange.map((r) => `scene ${r.index} out of range: ${r.reason}`),
+    ];
+    const error = new Error(
+      `Invalid project file ${projectFile}:\n  - ${lines.join("\n  - ")}`,
+    );
+    error.errors = errors;
+    error.outOfRange = outOfRange;
+    throw error;
+  }
+
+  project.source.path = path.resolve(
+    path.dirname(projectFile),
+    project.source.path,
+  );
+  return project;
+}
+
+/**
+ * 保存工程文件
+ */
+function saveProject(project, projectFile) {
+  fs.writeFileSync(projectFile, JSON.stringify(project, null, 2) + "\n");
+  // 写到 stderr：detect --project 的 stdout 只输出 JSON 结果
+  console.error(`[OK] Project saved: ${projectFile}`);
+  return projectFile;
+}
+
+/**
+ * 计算需要渲染的片段：只取 keep=true 的场景，按 order（相同时按 index）排序
+ * @param {object} project - 工程对象
+ * @returns {Array} [{index, start, end, duration}]
+ */
+function getRenderSegments(project) {
+  return project.scenes
+    .filter((scene) => scene.keep)
+    .map((scene) => {
+      const start = isNumber(scene.in) ? scene.in : scene.start;
+      const end = Math.min(
+        isNumber(scene.out) ? scene.out : scene.end,
+        project.source.duration,
+      );
+      return {
+        index: scene.index,
+        order: isNumber(scene.order) ? scene.order : scene.index,
+        start,
+        end,
+        duration: end - start,
+      };
+    })
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(({ order, ...segment }) => segment);
+}
+
+// 导出模块
+module.exports = {
+  PROJECT_VERSION,
+  createProject,
+  validateProject,
+  loadProject,
+  saveProject,
+  getRenderSegments,
+};
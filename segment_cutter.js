@@ -0,0 +1,924 @@
+// segment_cutter.js - 片段裁剪模块
+/**
+ * 按时间段裁剪视频并拼接
+ * 支持三种裁剪模式：
+ *   copy     - 直接流复制（最快，起点对齐到前一个关键帧）
+ *   reencode - 整段重新编码（帧级精确）
+ *   smart    - 只重新编码首尾不完整的 GOP，中间部分流复制，音频整段重新编码
+ *
+ * 拼接处理（配置项 joins）：
+ *   transition - xfade 转场类型（如 fade、wipeleft），同时用 acrossfade 交叉淡化音频，
+ *                需要整体重新编码；null 表示直接拼接
+ *   audioFade  - 直接拼接时每个接缝处音频淡出/淡入的时长，避免爆音（只重新编码音频）
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getRunner, mediaPath, concatListEntry } = require("./ffmpeg_runner");
+
+const CUT_MODES = ["copy", "reencode", "smart"];
+
+// 源编码 -> 重新编码时使用的编码器
+const ENCODERS = {
+  h264: "libx264",
+  hevc: "libx265",
+  vp9: "libvpx-vp9",
+  vp8: "libvpx",
+  mpeg4: "mpeg4",
+};
+
+// 关键帧时间比较的容差（秒）
+const EPSILON = 0.001;
+
+// 预演时不创建临时目录，计划中的临时文件都记录在这个占位目录下
+const DRY_RUN_WORK_DIR = path.join(os.tmpdir(), "scene-editor-XXXXXX");
+
+// smart 模式中间文件的格式：MPEG-TS 在每个关键帧前带有 SPS/PPS，
+// 源视频和重新编码部分的参数集不同也能流复制拼接；其他编码用 Matroska
+const PART_FORMATS = { h264: "mpegts", hevc: "mpegts", mpeg4: "mpegts" };
+
+// ffprobe 的 profile 名称 -> 编码器的 -profile:v
+const PROFILES = {
+  libx264: {
+    Baseline: "baseline",
+    "Constrained Baseline": "baseline",
+    Main: "main",
+    High: "high",
+    "High 10": "high10",
+    "High 4:2:2": "high422",
+    "High 4:4:4 Predictive": "high444",
+  },
+  libx265: { Main: "main", "Main 10": "main10" },
+};
+
+async function probeDuration(file, runner) {
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    mediaPath(file),
+  ]);
+  return parseFloat(output.trim()) || 0;
+}
+
+/**
+ * 获取视频流的编码参数，用于让重新编码的片段与流复制的片段保持一致
+ */
+async function probeVideoStream(videoPath, runner) {
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "stream=codec_name,profile,level,pix_fmt,time_base,r_frame_rate",
+    "-of",
+    "default=noprint_wrappers=1",
+    mediaPath(videoPath),
+  ]);
+  const info = {};
+  output.split("\n").forEach((line) => {
+    if (line.includes("=")) {
+      const [key, value] = line.split("=");
+      info[key] = value.trim();
+    }
+  });
+
+  const timescale = info.time_base ? parseInt(info.time_base.split("/")[1]) : 0;
+  const level = parseInt(info.level);
+  return {
+    codec: info.codec_name,
+    profile: info.profile || null,
+    level: level > 0 ? level : null,
+    pixFmt: info.pix_fmt || "yuv420p",
+    timescale: timescale > 0 ? timescale : null,
+    frameRate: info.r_frame_rate || null,
+  };
+}
+
+async function hasAudio(videoPath, runner) {
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "a",
+    "-show_entries",
+    "stream=index",
+    "-of",
+    "csv=p=0",
+    mediaPath(videoPath),
+  ]);
+  return output.trim() !== "";
+}
+
+/**
+ * 读取视频流所有数据包的显示时间和关键帧（读取数据包标记，无需解码）
+ * @returns {Promise<{times: Array<number>, keyframes: Array<number>}>} 均为升序（秒）
+ */
+async function getPackets(videoPath, options = {}) {
+  const runner = getRunner(options);
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "packet=pts_time,flags",
+    "-of",
+    "csv=p=0",
+    mediaPath(videoPath),
+  ]);
+  const times = [];
+  const keyframes = [];
+
+  output.split("\n").forEach((line) => {
+    const [time, flags] = line.trim().split(",");
+    const t = parseFloat(time);
+    if (isNaN(t)) return;
+    times.push(t);
+    if (flags && flags.includes("K")) keyframes.push(t);
+  });
+
+  const ascending = (a, b) => a - b;
+  return { times: times.sort(ascending), keyframes: keyframes.sort(ascending) };
+}
+
+/**
+ * 获取所有关键帧的时间点
+ * @returns {Promise<Array<number>>} 升序排列的关键帧时间（秒）
+ */
+async function getKeyframes(videoPath, options = {}) {
+  return (await getPackets(videoPath, options)).keyframes;
+}
+
+/**
+ * [from, to) 内的帧数（按显示时间）
+ * @param {Array<number>} times - getPackets 返回的 times
+ */
+function countFrames(times, from, to) {
+  return times.filter((t) => t >= from - EPSILON && t < to - EPSILON).length;
+}
+
+/**
+ * 视频重新编码参数
+ */
+function videoEncodeArgs(stream) {
+  const encoder = ENCODERS[stream.codec] || "libx264";
+  const quality =
+    encoder === "libx264" || encoder === "libx265"
+      ? ["-preset", "veryfast", "-crf", 18]
+      : ["-b:v", 0, "-crf", 30];
+  return ["-c:v", encoder, ...quality, "-pix_fmt", stream.pixFmt];
+}
+
+/**
+ * 重新编码参数
+ */
+function encodeArgs(stream) {
+  const timescale = stream.timescale
+    ? ["-video_track_timescale", stream.timescale]
+    : [];
+  return [...videoEncodeArgs(stream), "-c:a", "aac", ...timescale];
+}
+
+/**
+ * 与源视频一致的 profile 和 level，用于要和流复制部分拼接的片段
+ */
+function matchArgs(stream) {
+  const encoder = ENCODERS[stream.codec] || "libx264";
+  const profile = (PROFILES[encoder] || {})[stream.profile];
+  const args = profile ? ["-profile:v", profile] : [];
+  if (encoder === "libx264" && stream.level) {
+    args.push("-level", stream.level / 10);
+  }
+  return args;
+}
+
+function reencodeSegment(
+  videoPath,
+  start,
+  duration,
+  outputFile,
+  stream,
+  runner,
+) {
+  return runner.ffmpeg(
+    [
+      "-y",
+      "-ss",
+      start,
+      "-i",
+      mediaPath(videoPath),
+      "-t",
+      duration,
+      ...encodeArgs(stream),
+      mediaPath(outputFile),
+    ],
+    { duration },
+  );
+}
+
+/**
+ * 用 concat demuxer 拼接多个文件（流复制）
+ * @param {object} options - {runner, signal, workDir, duration, inputs, outputArgs}
+ *   inputs 为列表之后的其他输入参数，outputArgs 替换默认的 -c copy
+ */
+async function concatFiles(files, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const dir = options.workDir || path.dirname(outputFile);
+  const listFile = path.join(dir, `concat_${process.pid}_${Date.now()}.txt`);
+  const listContent = files.map(concatListEntry).join("\n");
+  // 预演时不写列表文件，列表内容随命令一起记录
+  if (!runner.dryRun) fs.writeFileSync(listFile, listContent);
+
+  try {
+    await runner.ffmpeg(
+      [
+        "-y",
+        "-f",
+        "concat",
+        "-safe",
+        0,
+        "-i",
+        mediaPath(listFile),
+        ...(options.inputs || []),
+        ...(options.outputArgs || ["-c", "copy"]),
+        mediaPath(outputFile),
+      ],
+      { duration: options.duration || 0, concat: files },
+    );
+  } finally {
+    if (fs.existsSync(listFile)) fs.unlinkSync(listFile);
+  }
+
+  return outputFile;
+}
+
+/**
+ * 拼接设置：options 中的 transition / transitionDuration / audioFade 覆盖配置中的 joins
+ */
+function joinSettings(options) {
+  const defaults = config.getConfig().joins;
+  const pick = (key, fallback) =>
+    options[key] !== undefined ? options[key] : fallback;
+  let transition = pick("transition", defaults.transition);
+  if (transition === "none" || transition === "") transition = null;
+  if (transition !== null && !/^[a-z]+$/.test(transition)) {
+    throw new Error(`Invalid transition type: ${transition}`);
+  }
+
+  return {
+    transition,
+    duration: parseFloat(pick("transitionDuration", defaults.duration)),
+    audioFade: parseFloat(pick("audioFade", defaults.audioFade)) || 0,
+  };
+}
+
+/**
+ * 给每个接缝两侧的音频加短淡出/淡入（视频流复制）
+ * @param {Array} clips - cutSegments 返回的片段，file 会被替换为处理后的文件
+ */
+async function fadeJoinAudio(clips, fade, runner, workDir) {
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i];
+    const duration = clip.actualEnd - clip.actualStart;
+    const d = Math.min(fade, duration / 2);
+    const filters = [];
+    if (i > 0) filters.push(`afade=t=in:st=0:d=${d}`);
+    if (i < clips.length - 1) {
+      filters.push(`afade=t=out:st=${(duration - d).toFixed(3)}:d=${d}`);
+    }
+
+    const faded = path.join(workDir, `faded_${String(i).padStart(4, "0")}.mp4`);
+    runner.stage(`Fading audio ${i + 1}/${clips.length}`);
+    await runner.ffmpeg(
+      [
+        "-y",
+        "-i",
+        mediaPath(clip.file),
+        "-map",
+        "0",
+        "-c:v",
+        "copy",
+        "-af",
+        filters.join(","),
+        "-c:a",
+        "aac",
+        mediaPath(faded),
+      ],
+      { duration },
+    );
+    clip.file = faded;
+  }
+}
+
+/**
+ * 用 xfade / acrossfade 拼接片段（一次重新编码）
+ * 每个转场与前后两段各重叠 duration 秒，因此输出比片段总时长短 (n - 1) * duration
+ * @returns {Promise<{segments: Array, duration: number, transitionDuration: number}>}
+ */
+async function crossfadeSegments(
+  videoPath,
+  segments,
+  outputFile,
+  joins,
+  runner,
+) {
+  const stream = await probeVideoStream(videoPath, runner);
+  const withAudio = await hasAudio(videoPath, runner);
+  const lengths = segments.map((seg) => seg.end - seg.start);
+
+  // 中间的片段两端都有转场，转场不能超过最短片段的一半
+  const d = Math.min(joins.duration, Math.min(...lengths) / 2);
+  if (!(d > 0)) {
+    throw new Error(`Invalid transition duration: ${joins.duration}`);
+  }
+
+  const inputs = [];
+  const filters = [];
+  segments.forEach((seg, i) => {
+    inputs.push("-ss", seg.start, "-t", lengths[i], "-i", mediaPath(videoPath));
+    filters.push(
+      `[${i}:v]settb=AVTB,setpts=PTS-STARTPTS,format=${stream.pixFmt}[v${i}]`,
+    );
+    if (withAudio) filters.push(`[${i}:a]asetpts=PTS-STARTPTS[a${i}]`);
+  });
+
+  let video = "v0";
+  let audio = "a0";
+  let offset = 0;
+  for (let i = 1; i < segments.length; i++) {
+    offset += lengths[i - 1] - d;
+    filters.push(
+      `[${video}][v${i}]xfade=transition=${joins.transition}:duration=${d}:offset=${offset.toFixed(3)}[xv${i}]`,
+    );
+    video = `xv${i}`;
+    if (withAudio) {
+      filters.push(`[${audio}][a${i}]acrossfade=d=${d}[xa${i}]`);
+      audio = `xa${i}`;
+    }
+  }
+
+  const duration =
+    lengths.reduce((sum, l) => sum + l, 0) - (segments.length - 1) * d;
+  const maps = ["-map", `[${video}]`];
+  if (withAudio) maps.push("-map", `[${audio}]`);
+
+  runner.stage(`Joining ${segments.length} segments with ${joins.transition}`);
+  await runner.ffmpeg(
+    [
+      "-y",
+      ...inputs,
+      "-filter_complex",
+      filters.join(";"),
+      ...maps,
+      ...encodeArgs(stream),
+      mediaPath(outputFile),
+    ],
+    { duration },
+  );
+
+  return {
+    segments: segments.map((seg) => ({
+      mode: "reencode",
+      start: seg.start,
+      end: seg.end,
+      actualStart: seg.start,
+      actualEnd: seg.end,
+    })),
+    duration,
+    transitionDuration: d,
+  };
+}
+
+/**
+ * 从关键帧开始流复制若干帧
+ * 用 concat demuxer 的 inpoint 定位：MP4 上的 -ss 会为 B 帧多往前退一点，可能落到前一个关键帧；
+ * 视频按帧数而不是 -t 截止，-t 按解码时间判断，有 B 帧时会多出无法解码的帧
+ * @param {object} range - {start, end, frames}，start 为关键帧时间
+ * @param {Array} outputArgs - 选择流和输出格式的参数
+ */
+async function copyFromKeyframe(
+  videoPath,
+  range,
+  outputFile,
+  outputArgs,
+  context,
+) {
+  const { workDir, runner } = context;
+  const listFile = path.join(workDir, `${path.parse(outputFile).name}.txt`);
+  if (!runner.dryRun) {
+    fs.writeFileSync(
+      listFile,
+      `${concatListEntry(videoPath)}\ninpoint ${range.start}\n`,
+    );
+  }
+
+  try {
+    await runner.ffmpeg(
+      [
+        "-y",
+        "-f",
+        "concat",
+        "-safe",
+        0,
+        "-i",
+        mediaPath(listFile),
+        ...outputArgs,
+        "-frames:v",
+        range.frames,
+        "-c",
+        "copy",
+        mediaPath(outputFile),
+      ],
+      { duration: range.end - range.start, concat: [videoPath] },
+    );
+  } finally {
+    if (fs.existsSync(listFile)) fs.unlinkSync(listFile);
+  }
+}
+
+/**
+ * 创建临时目录；预演时不创建，返回占位路径
+ */
+function makeWorkDir(runner) {
+  return runner.dryRun
+    ? DRY_RUN_WORK_DIR
+    : fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+}
+
+function removeWorkDir(workDir, runner) {
+  if (!runner.dryRun) fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+/**
+ * 中间分段的容器格式和扩展名
+ */
+function partFormat(stream) {
+  const format = PART_FORMATS[stream.codec] || "matroska";
+  return { format, ext: format === "mpegts" ? "ts" : "mkv" };
+}
+
+/**
+ * 拼接只含视频的分段，同时从源视频取 [start, end) 的音频
+ * @param {object} context - {start, end, stream, withAudio, audioArgs, workDir, runner}
+ */
+function joinParts(videoPath, parts, outputFile, context) {
+  const { start, end, stream, withAudio, audioArgs, workDir, runner } = context;
+  const duration = end - start;
+  const audio = withAudio
+    ? {
+        inputs: ["-ss", start, "-t", duration, "-i", mediaPath(videoPath)],
+        args: ["-map", "1:a:0", ...audioArgs],
+      }
+    : { inputs: [], args: [] };
+  const timescale = stream.timescale
+    ? ["-video_track_timescale", stream.timescale]
+    : [];
+  return concatFiles(parts, outputFile, {
+    runner,
+    workDir,
+    duration,
+    inputs: audio.inputs,
+    outputArgs: ["-map", "0:v", "-c:v", "copy", ...audio.args, ...timescale],
+  });
+}
+
+/**
+ * smart 模式：首尾不完整的 GOP 重新编码，中间从关键帧开始流复制
+ * 三部分只含视频，首尾按源视频的编码、profile 和 level 编码，写为 PART_FORMATS 中的格式；
+ * 拼接时音频从源视频整段重新编码一次，接缝处不会累积 AAC 的编码延迟
+ * @returns {Promise<number>} 输出第一帧在源视频中的时间（秒）
+ */
+async function smartCutSegment(videoPath, seg, outputFile, context) {
+  const { packets, stream, withAudio, workDir, runner } = context;
+  const { times, keyframes } = packets;
+  const first = keyframes.find((k) => k >= seg.start - EPSILON);
+  const last = [...keyframes].reverse().find((k) => k <= seg.end + EPSILON);
+  const firstFrame = times.find((t) => t >= seg.start - EPSILON);
+  const actualStart = firstFrame === undefined ? seg.start : firstFrame;
+
+  // 片段内没有完整 GOP，整段重新编码
+  if (first === undefined || last === undefined || last - first <= EPSILON) {
+    await reencodeSegment(
+      videoPath,
+      seg.start,
+      seg.end - seg.start,
+      outputFile,
+      stream,
+      runner,
+    );
+    return actualStart;
+  }
+
+  const { format, ext } = partFormat(stream);
+  const base = path.join(workDir, path.parse(outputFile).name);
+  const parts = [];
+
+  const encodePart = async (name, from, to) => {
+    const file = `${base}_${name}.${ext}`;
+    parts.push(file);
+    await runner.ffmpeg(
+      [
+        "-y",
+        "-ss",
+        from,
+        "-i",
+        mediaPath(videoPath),
+        "-t",
+        to - from,
+        "-map",
+        "0:v:0",
+        "-frames:v",
+        countFrames(times, from, to),
+        ...videoEncodeArgs(stream),
+        ...matchArgs(stream),
+        "-f",
+        format,
+        mediaPath(file),
+      ],
+      { duration: to - from },
+    );
+  };
+
+  try {
+    if (first - seg.start > EPSILON) {
+      await encodePart("head", seg.start, first);
+    }
+
+    const body = `${base}_body.${ext}`;
+    parts.push(body);
+    await copyFromKeyframe(
+      videoPath,
+      { start: first, end: last, frames: countFrames(times, first, last) },
+      body,
+      ["-map", "0:v:0", "-f", format],
+      context,
+    );
+
+    if (seg.end - last > EPSILON) {
+      await encodePart("tail", last, seg.end);
+    }
+
+    await joinParts(videoPath, parts, outputFile, {
+      ...context,
+      start: actualStart,
+      end: seg.end,
+      audioArgs: ["-c:a", "aac"],
+    });
+  } finally {
+    parts.forEach((f) => {
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    });
+  }
+
+  return actualStart;
+}
+
+/**
+ * copy 模式：从关键帧开始流复制视频，经中间分段拼接，音频同样流复制
+ * 直接从 concat demuxer 写 MP4 时，音频会带上关键帧之前的一小段，画面随之后移
+ * @param {object} range - {start, end}，start 为关键帧时间
+ */
+async function copyWholeGops(videoPath, range, outputFile, context) {
+  const { packets, stream, workDir } = context;
+  const { format, ext } = partFormat(stream);
+  const body = path.join(workDir, `${path.parse(outputFile).name}_body.${ext}`);
+
+  try {
+    await copyFromKeyframe(
+      videoPath,
+      { ...range, frames: countFrames(packets.times, range.start, range.end) },
+      body,
+      ["-map", "0:v:0", "-f", format],
+      context,
+    );
+    // 丢弃 -ss 之前的音频包，否则音频会从前一个 AAC 帧开始
+    await joinParts(videoPath, [body], outputFile, {
+      ...context,
+      ...range,
+      audioArgs: ["-c:a", "copy", "-copypriorss:a", 0],
+    });
+  } finally {
+    if (fs.existsSync(body)) fs.unlinkSync(body);
+  }
+}
+
+/**
+ * 按指定模式裁剪多个片段
+ * @param {string} videoPath - 源视频
+ * @param {Array} segments - [{start, end}]（秒）
+ * @param {function} nameFor - (segment, index) => 输出文件路径
+ * @param {string} mode - copy | reencode | smart
+ * @param {object} options - {runner, signal}
+ * @returns {Promise<Array>} [{file, mode, start, end, actualStart, actualEnd}]
+ */
+async function cutSegments(
+  videoPath,
+  segments,
+  nameFor,
+  mode = "copy",
+  options = {},
+) {
+  if (!CUT_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown cut mode: ${mode} (expected ${CUT_MODES.join(", ")})`,
+    );
+  }
+
+  const runner = getRunner(options);
+  const packets =
+    mode === "reencode" ? null : await getPackets(videoPath, { runner });
+  const keyframes = packets ? packets.keyframes : [];
+  const stream = await probeVideoStream(videoPath, runner);
+  const withAudio = mode !== "reencode" && (await hasAudio(videoPath, runner));
+  const workDir = makeWorkDir(runner);
+  const clips = [];
+
+  try {
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      const file = nameFor(seg, i);
+      const duration = seg.end - seg.start;
+      let actualStart = seg.start;
+
+      runner.stage(`Cutting segment ${i + 1}/${segments.length} (${mode})`);
+
+      if (mode === "copy") {
+        // 流复制时起点会落在前一个关键帧上
+        const before = keyframes.filter((k) => k <= seg.start + EPSILON);
+        actualStart = before.length ? before[before.length - 1] : 0;
+        await copyWholeGops(videoPath, { ...seg, start: actualStart }, file, {
+          packets,
+          stream,
+          withAudio,
+          workDir,
+          runner,
+        });
+      } else if (mode === "reencode") {
+        await reencodeSegment(
+          videoPath,
+          seg.start,
+          duration,
+          file,
+          stream,
+          runner,
+        );
+      } else {
+        actualStart = await smartCutSegment(videoPath, seg, file, {
+          packets,
+          stream,
+          withAudio,
+          workDir,
+          runner,
+        });
+      }
+
+      clips.push({
+        file,
+        mode,
+        start: seg.start,
+        end: seg.end,
+        actualStart,
+        // 终点按输出文件实测时长计算；预演时没有输出文件，按请求的终点估算
+        actualEnd: runner.dryRun
+          ? seg.end
+          : actualStart + (await probeDuration(file, runner)),
+      });
+    }
+
+    return clips;
+  } finally {
+    removeWorkDir(workDir, runner);
+  }
+}
+
+/**
+ * 裁剪片段并拼接为一个文件
+ * @param {string} videoPath - 源视频
+ * @param {Array} segments - [{start, end}]（秒）
+ * @param {string} outputFile - 输出文件
+ * @param {string} mode - copy | reencode | smart（使用转场时整体重新编码，忽略此参数）
+ * @param {object} options - {runner, signal, transition, transitionDuration, audioFade}
+ * @returns {Promise<{outputFile: string, mode: string, transition: object|null, segments: Array, duration: number}>}
+ *   duration 为输出时长，已扣除转场重叠
+ */
+async function renderSegments(
+  videoPath,
+  segments,
+  outputFile,
+  mode = "copy",
+  options = {},
+) {
+  const runner = getRunner(options);
+  const joins = joinSettings(options);
+
+  if (joins.transition && segments.length > 1) {
+    const result = await crossfadeSegments(
+      videoPath,
+      segments,
+      outputFile,
+      joins,
+      runner,
+    );
+    return {
+      outputFile,
+      mode: "reencode",
+      transition: {
+        type: joins.transition,
+        duration: result.transitionDuration,
+      },
+      segments: result.segments,
+      duration: result.duration,
+    };
+  }
+
+  const workDir = makeWorkDir(runner);
+
+  try {
+    const clips = await cutSegments(
+      videoPath,
+      segments,
+      (seg, i) =>
+        path.join(workDir, `segment_${String(i).padStart(4, "0")}.mp4`),
+      mode,
+      { runner },
+    );
+    const duration = clips.reduce(
+      (sum, c) => sum + (c.actualEnd - c.actualStart),
+      0,
+    );
+
+    if (
+      joins.audioFade > 0 &&
+      clips.length > 1 &&
+      (await hasAudio(videoPath, runner))
+    ) {
+      await fadeJoinAudio(clips, joins.audioFade, runner, workDir);
+    }
+
+    runner.stage("Joining segments");
+    await concatFiles(
+      clips.map((c) => c.file),
+      outputFile,
+      { runner, workDir, duration },
+    );
+
+    return {
+      outputFile,
+      mode,
+      transition: null,
+      segments: clips.map(({ file, ...clip }) => clip),
+      // 实测拼接结果的时长；预演时为各片段时长之和
+      duration: runner.dryRun
+        ? duration
+        : await probeDuration(outputFile, runner),
+    };
+  } finally {
+    removeWorkDir(workDir, runner);
+  }
+}
+
+/**
+ * atempo 每级只支持 0.5 - 2 倍，更高的倍速拆成多级
+ */
+function atempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push("atempo=2");
+    remaining /= 2;
+  }
+  filters.push(`atempo=${remaining.toFixed(4)}`);
+  return filters.join(",");
+}
+
+/**
+ * 按各自的倍速重新编码片段并拼接（画面调整 PTS，声音用 atempo 保持音调）
+ * @param {string} videoPath - 源视频
+ * @param {Array} segments - [{start, end, speed}]（秒），speed 为 1 时原速
+ * @param {string} outputFile - 输出文件
+ * @param {object} options - {runner, signal}
+ * @returns {Promise<{outputFile: string, segments: Array, duration: number}>}
+ *   segments 中的 outputDuration 为倍速后的时长
+ */
+async function renderRetimed(videoPath, segments, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const stream = await probeVideoStream(videoPath, runner);
+  const withAudio = await hasAudio(videoPath, runner);
+  const workDir = makeWorkDir(runner);
+  // 加速后保持源帧率，多余的帧丢弃
+  const rate = stream.frameRate ? ["-r", stream.frameRate] : [];
+
+  try {
+    const files = [];
+    const results = [];
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      const speed = seg.speed || 1;
+      const duration = seg.end - seg.start;
+      const file = path.join(
+        workDir,
+        `retimed_${String(i).padStart(4, "0")}.mp4`,
+      );
+      const filters = [];
+      if (speed !== 1) {
+        filters.push("-filter:v", `setpts=(PTS-STARTPTS)/${speed}`, ...rate);
+        if (withAudio) filters.push("-filter:a", atempoChain(speed));
+      }
+
+      runner.stage(
+        `Encoding segment ${i + 1}/${segments.length}${speed !== 1 ? ` (${speed.toFixed(2)}x)` : ""}`,
+      );
+      await runner.ffmpeg(
+        [
+          "-y",
+          "-ss",
+          seg.start,
+          "-t",
+          duration,
+          "-i",
+          mediaPath(videoPath),
+          ...filters,
+          ...encodeArgs(stream),
+          mediaPath(file),
+        ],
+        { duration: duration / speed },
+      );
+
+      files.push(file);
+      results.push({
+        start: seg.start,
+        end: seg.end,
+        speed,
+        outputDuration: runner.dryRun
+          ? duration / speed
+          : await probeDuration(file, runner),
+      });
+    }
+
+    const total = results.reduce((sum, r) => sum + r.outputDuration, 0);
+    runner.stage("Joining segments");
+    await concatFiles(files, outputFile, { runner, workDir, duration: total });
+
+    return { outputFile, segments: results, duration: total };
+  } finally {
+    removeWorkDir(workDir, runner);
+  }
+}
+
+/**
+ * 从 [start, end] 中去掉若干时间段，返回剩余部分
+ * @param {number} start - 起点（秒）
+ * @param {number} end - 终点（秒）
+ * @param {Array} drops - 要去掉的时间段 [{start, end}]，end 为 null 表示到结尾，可重叠
+ * @param {number} padding - 每个去掉的时间段两端各保留的时长（秒）
+ * @returns {Array} 保留的时间段 [{start, end, duration}]
+ */
+function keepRanges(start, end, drops, padding = 0) {
+  const ranges = drops
+    .map((d) => ({
+      start: d.start + padding,
+      end: (d.end === null || d.end === undefined ? end : d.end) - padding,
+    }))
+    .filter((d) => d.end > d.start)
+    .sort((a, b) => a.start - b.start);
+
+  const kept = [];
+  let current = start;
+  for (const drop of ranges) {
+    if (drop.start > current) {
+      const keepEnd = Math.min(drop.start, end);
+      if (keepEnd > current) {
+        kept.push({
+          start: current,
+          end: keepEnd,
+          duration: keepEnd - current,
+        });
+      }
+    }
+    current = Math.max(current, drop.end);
+    if (current >= end) break;
+  }
+  if (current < end) {
+    kept.push({ start: current, end, duration: end - current });
+  }
+
+  return kept;
+}
+
+// 导出模块
+module.exports = {
+  CUT_MODES,
+  getKeyframes,
+  cutSegments,
+  concatFiles,
+  renderSegments,
+  renderRetimed,
+  keepRanges,
+};
@@ -1,32 +1,58 @@
 // silence_detector.js - 音频静音检测模块
 /**
  * 智能静音检测和剪辑
- * 自动识别视频中的静音段落并删除
+ * 自动识别视频中的静音段落并删除，或加速播放
  */
 
-const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
-
-const FFMPEG =
-  process.platform === "win32"
-    ? "D:\\WorkSpace\\ffmpeg\\bin\\ffmpeg.exe"
-    : "ffmpeg";
+const cutter = require("./segment_cutter");
+const config = require("./config");
+const analysisCache = require("./analysis_cache");
+const loudness = require("./loudness");
+const subtitleRetimer = require("./subtitle_retimer");
+const editPlan = require("./edit_plan");
+const { getRunner, PlanRunner, mediaPath } = require("./ffmpeg_runner");
 
 /**
- * 检测视频中的静音段落
- * @param {string} videoPath - 视频文件路径
- * @param {number} noiseThreshold - 噪音阈值 (dB), 默认 -30
- * @param {number} minDuration - 最短静音时长 (秒), 默认 0.5
- * @returns {Array} 静音时间段数组 [{start, end, duration}]
+ * 获取媒体时长（秒）
  */
-function detectSilence(videoPath, noiseThreshold = -30, minDuration = 0.5) {
-  console.log(
-    `[Detecting] Silence segments (threshold: ${noiseThreshold}dB, min: ${minDuration}s)...`,
+async function probeDuration(videoPath, runner) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      mediaPath(videoPath),
+    ],
+    { runner },
   );
+  return parseFloat(output.trim());
+}
 
-  const cmd = `${FFMPEG} -i "${videoPath}" -af "silencedetect=noise=${noiseThreshold}dB:d=${minDuration}" -f null - 2>&1`;
-  const output = execSync(cmd, { encoding: "utf-8", stdio: "pipe" });
+/**
+ * 运行 silencedetect 并解析静音段落
+ */
+async function runSilenceDetect(videoPath, threshold, minDuration, runner) {
+  const totalDuration = await probeDuration(videoPath, runner);
+
+  runner.stage("Detecting silence");
+  const { stderr: output } = await runner.ffmpeg(
+    [
+      "-i",
+      mediaPath(videoPath),
+      "-af",
+      `silencedetect=noise=${threshold}dB:d=${minDuration}`,
+      "-f",
+      "null",
+      "-",
+    ],
+    { duration: totalDuration },
+  );
 
   const silenceStarts = [];
   const silenceEnds = [];
@@ -58,6 +84,56 @@ function detectSilence(videoPath, noiseThreshold = -30, minDuration = 0.5) {
     });
   }
 
+  return segments;
+}
+
+/**
+ * 检测视频中的静音段落
+ * @param {string} videoPath - 视频文件路径
+ * @param {number} noiseThreshold - 噪音阈值 (dB), 默认 -30
+ * @param {number} minDuration - 最短静音时长 (秒), 默认 0.5
+ * @param {object} options - {runner, signal, relative}
+ *   relative 为 true 时阈值相对于实测综合响度，如 -25 表示比 -14 LUFS 低 25 dB
+ * @returns {Promise<Array>} 静音时间段数组 [{start, end, duration}]
+ */
+async function detectSilence(
+  videoPath,
+  noiseThreshold = config.getConfig().silence.threshold,
+  minDuration = config.getConfig().silence.minDuration,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const relative =
+    options.relative !== undefined
+      ? options.relative
+      : config.getConfig().silence.relative;
+
+  let threshold = noiseThreshold;
+  if (relative) {
+    const { integrated } = await analysisCache.remember(
+      videoPath,
+      "silence",
+      "loudness",
+      () => loudness.measureLoudness(videoPath, { runner }),
+    );
+    // 整段静音时无法测量，按绝对阈值处理
+    if (integrated !== null) threshold = integrated + noiseThreshold;
+    console.log(
+      `[Detecting] Silence segments (threshold: ${noiseThreshold}dB relative to ${integrated} LUFS = ${threshold}dB, min: ${minDuration}s)...`,
+    );
+  } else {
+    console.log(
+      `[Detecting] Silence segments (threshold: ${threshold}dB, min: ${minDuration}s)...`,
+    );
+  }
+
+  const segments = await analysisCache.remember(
+    videoPath,
+    "silence",
+    `${threshold}dB:${minDuration}`,
+    () => runSilenceDetect(videoPath, threshold, minDuration, runner),
+  );
+
   console.log(`[OK] Found ${segments.length} silence segments`);
   return segments;
 }
@@ -69,123 +145,341 @@ function detectSilence(videoPath, noiseThreshold = -30, minDuration = 0.5) {
  * @param {number} noiseThreshold - 噪音阈值
  * @param {number} minDuration - 最短静音时长
  * @param {number} padding - 保留静音前后的缓冲时间 (秒)
+ * @param {string} cutMode - 裁剪模式 copy | reencode | smart
+ * @param {object} options - {runner, signal, relative, transition, transitionDuration, audioFade, normalize, loudness,
+ *   subtitles, subtitleFormat, muxSubtitles}
+ *   transition 为 xfade 转场类型，设置后片段之间交叉淡化
+ *   normalize 为目标响度（web | broadcast | LUFS），loudness 为 true 时测量输出响度
+ *   subtitles 为 true 或字幕文件时按保留段落重新定时字幕（见 subtitle_retimer.js）
+ *   dryRun 为 true 时只做检测，返回预演计划（见 edit_plan.createDryRun）而不写文件
+ * @returns {Promise<object>} {outputFile, originalDuration, newDuration}；预演时为计划
  */
-function removeSilence(
+async function removeSilence(
   videoPath,
   outputFile,
-  noiseThreshold = -30,
-  minDuration = 0.5,
-  padding = 0.1,
+  noiseThreshold = config.getConfig().silence.threshold,
+  minDuration = config.getConfig().silence.minDuration,
+  padding = config.getConfig().silence.padding,
+  cutMode = config.getConfig().cutMode,
+  options = {},
 ) {
+  const runner = getRunner(options);
   console.log(
     `\n[Processing] Removing silence from ${path.basename(videoPath)}...`,
   );
 
   // 1. 检测静音
-  const silenceSegments = detectSilence(videoPath, noiseThreshold, minDuration);
+  const silenceSegments = await detectSilence(
+    videoPath,
+    noiseThreshold,
+    minDuration,
+    { runner, relative: options.relative },
+  );
+
+  if (silenceSegments.length === 0 && options.dryRun) {
+    const totalDuration = await probeDuration(videoPath, runner);
+    return editPlan.createDryRun("silence remove", videoPath, {
+      duration: totalDuration,
+      timeline: editPlan.labelTimeline(totalDuration, [
+        { start: 0, end: totalDuration },
+      ]),
+      outputs: [outputFile],
+      notes: [
+        "No silence detected, the original file is copied",
+        ...editPlan.dryRunNotes(options),
+      ],
+    });
+  }
 
   if (silenceSegments.length === 0) {
     console.log("[INFO] No silence detected, copying original file");
-    fs.copyFileSync(videoPath, outputFile);
-    return outputFile;
+    await loudness.renderWithLoudness(
+      outputFile,
+      (file) => fs.copyFileSync(videoPath, file),
+      { ...options, runner },
+    );
+    const totalDuration = await probeDuration(videoPath, runner);
+    if (options.subtitles) {
+      await subtitleRetimer.retimeSubtitles(
+        videoPath,
+        outputFile,
+        { segments: [{ start: 0, end: totalDuration }], transition: null },
+        { ...options, runner },
+      );
+    }
+    return {
+      outputFile,
+      originalDuration: totalDuration,
+      newDuration: totalDuration,
+    };
   }
 
   // 2. 获取视频时长
-  const durationCmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`;
-  const totalDuration = parseFloat(
-    execSync(durationCmd, { encoding: "utf-8" }).trim(),
+  const totalDuration = await probeDuration(videoPath, runner);
+
+  // 3. 计算有声段落（静音的补集，加上padding避免截断）
+  const audioSegments = cutter.keepRanges(
+    0,
+    totalDuration,
+    silenceSegments,
+    padding,
   );
-
-  // 3. 计算有声段落（静音的补集）
-  const audioSegments = [];
-  let currentTime = 0;
-
-  for (const silence of silenceSegments) {
-    if (silence.start > currentTime) {
-      // 添加有声段落（加上padding避免截断）
-      audioSegments.push({
-        start: currentTime,
-        end: Math.min(silence.start + padding, silence.end),
-        duration: silence.start - currentTime + padding,
-      });
-    }
-    currentTime = Math.max(silence.end - padding, silence.start);
+  if (audioSegments.length === 0) {
+    throw new Error("The whole video is silent, nothing to keep");
   }
 
-  // 添加最后一段（如果有）
-  if (currentTime < totalDuration) {
-    audioSegments.push({
-      start: currentTime,
-      end: totalDuration,
-      duration: totalDuration - currentTime,
+  console.log(`[OK] Will keep ${audioSegments.length} audio segments`);
+
+  if (options.dryRun) {
+    const planner = new PlanRunner(runner);
+    const render = await cutter.renderSegments(
+      videoPath,
+      audioSegments,
+      outputFile,
+      cutMode,
+      { ...options, runner: planner },
+    );
+    return editPlan.createDryRun("silence remove", videoPath, {
+      duration: totalDuration,
+      timeline: editPlan.labelTimeline(
+        totalDuration,
+        audioSegments,
+        [],
+        "silent",
+      ),
+      render,
+      outputs: [outputFile],
+      operations: planner.operations,
+      notes: editPlan.dryRunNotes(options),
     });
   }
 
-  console.log(`[OK] Will keep ${audioSegments.length} audio segments`);
-
   // 4. 提取并合并有声段落
-  const tempFiles = [];
+  const { result, loudness: level } = await loudness.renderWithLoudness(
+    outputFile,
+    (file) =>
+      cutter.renderSegments(videoPath, audioSegments, file, cutMode, {
+        ...options,
+        runner,
+      }),
+    { ...options, runner },
+  );
+  result.segments.forEach((seg, i) => {
+    console.log(
+      `  Extracted segment ${i + 1}: ${seg.actualStart.toFixed(2)}s - ${seg.actualEnd.toFixed(2)}s`,
+    );
+  });
 
-  audioSegments.forEach((seg, i) => {
-    const tempFile = `temp_audio_${i}.mp4`;
-    tempFiles.push(tempFile);
+  // 5. 字幕跟随保留段落
+  if (options.subtitles) {
+    await subtitleRetimer.retimeSubtitles(videoPath, outputFile, result, {
+      ...options,
+      runner,
+    });
+  }
 
-    const cmd = `${FFMPEG} -y -ss ${seg.start} -i "${videoPath}" -t ${seg.duration} -c copy -avoid_negative_ts make_zero "${tempFile}"`;
-    execSync(cmd, { stdio: "pipe" });
+  const originalDuration = totalDuration;
+  const newDuration = result.duration;
+  const savedTime = originalDuration - newDuration;
+  const compressionRatio = ((savedTime / originalDuration) * 100).toFixed(1);
+
+  console.log(`\n[OK] Silence removal complete!`);
+  console.log(`  Original: ${originalDuration.toFixed(2)}s`);
+  console.log(`  New: ${newDuration.toFixed(2)}s`);
+  console.log(`  Saved: ${savedTime.toFixed(2)}s (${compressionRatio}%)`);
+  console.log(`  Cut mode: ${result.mode}`);
+  if (result.transition) {
     console.log(
-      `  Extracted segment ${i + 1}: ${seg.start.toFixed(2)}s - ${seg.end.toFixed(2)}s`,
+      `  Transition: ${result.transition.type} (${result.transition.duration}s)`,
     );
-  });
+  }
+  if (level) {
+    const after = level.after || level;
+    console.log(
+      `  Loudness: ${after.integrated} LUFS, LRA ${after.lra} LU, true peak ${after.truePeak} dBTP`,
+    );
+  }
+  console.log(`  Output: ${outputFile}`);
+
+  return { outputFile, originalDuration, newDuration };
+}
+
+/**
+ * 加速播放静音段落（不删除），适合教程录屏等需要保持连贯的视频
+ * @param {string} videoPath - 输入视频
+ * @param {string} outputFile - 输出文件
+ * @param {number} speed - 静音段落的播放倍速，默认 4
+ * @param {object} options - {runner, signal, threshold, minDuration, padding, maxGap, relative}
+ *   maxGap 为每个静音段加速后的最长时长（秒），超过时自动提高倍速；0 或 null 表示不限
+ *   dryRun 为 true 时返回预演计划，时间线中每段带 speed
+ * @returns {Promise<object>} {outputFile, originalDuration, newDuration}；预演时为计划
+ */
+async function speedUpSilence(
+  videoPath,
+  outputFile,
+  speed = config.getConfig().silence.speed,
+  options = {},
+) {
+  const defaults = config.getConfig().silence;
+  const setting = (key) =>
+    options[key] !== undefined && options[key] !== null
+      ? options[key]
+      : defaults[key];
+  const maxGap = setting("maxGap");
+  const padding = setting("padding");
+
+  if (!(speed > 1)) {
+    throw new Error(`Speed factor must be greater than 1: ${speed}`);
+  }
+
+  const runner = getRunner(options);
+  console.log(
+    `\n[Processing] Speeding up silence in ${path.basename(videoPath)} (${speed}x)...`,
+  );
+
+  // 1. 检测静音
+  const silenceSegments = await detectSilence(
+    videoPath,
+    setting("threshold"),
+    setting("minDuration"),
+    { runner, relative: setting("relative") },
+  );
+
+  const totalDuration = await probeDuration(videoPath, runner);
+  if (silenceSegments.length === 0 && options.dryRun) {
+    return editPlan.createDryRun("silence speedup", videoPath, {
+      duration: totalDuration,
+      timeline: editPlan.labelTimeline(totalDuration, [
+        { start: 0, end: totalDuration },
+      ]),
+      outputs: [outputFile],
+      notes: ["No silence detected, the original file is copied"],
+    });
+  }
+
+  if (silenceSegments.length === 0) {
+    console.log("[INFO] No silence detected, copying original file");
+    fs.copyFileSync(videoPath, outputFile);
+    return {
+      outputFile,
+      originalDuration: totalDuration,
+      newDuration: totalDuration,
+    };
+  }
 
-  // 5. 合并所有段落
-  const listContent = tempFiles.map((f) => `file '${f}'`).join("\n");
-  fs.writeFileSync("audio_merge_list.txt", listContent);
+  // 2. 有声段落原速，静音段落（去掉两侧 padding）加速
+  const normal = cutter.keepRanges(0, totalDuration, silenceSegments, padding);
+  const silent = cutter.keepRanges(0, totalDuration, normal);
+  const segments = [
+    ...normal.map((seg) => ({ ...seg, speed: 1 })),
+    ...silent.map((seg) => ({
+      ...seg,
+      speed: maxGap > 0 ? Math.max(speed, seg.duration / maxGap) : speed,
+    })),
+  ].sort((a, b) => a.start - b.start);
 
-  const mergeCmd = `${FFMPEG} -y -f concat -safe 0 -i audio_merge_list.txt -c copy "${outputFile}"`;
-  execSync(mergeCmd, { stdio: "pipe" });
+  console.log(
+    `[OK] ${silent.length} silent segments will play at ${speed}x or faster`,
+  );
+
+  // 3. 重新编码并合并（预演时只记录命令）
+  if (options.dryRun) {
+    const planner = new PlanRunner(runner);
+    const render = await cutter.renderRetimed(videoPath, segments, outputFile, {
+      runner: planner,
+    });
+    return editPlan.createDryRun("silence speedup", videoPath, {
+      duration: totalDuration,
+      // 加速的段落也保留，只是播放更快
+      timeline: segments.map((seg) => ({
+        start: seg.start,
+        end: seg.end,
+        duration: seg.duration,
+        keep: true,
+        reason: null,
+        speed: seg.speed,
+      })),
+      render: { duration: render.duration, mode: "reencode" },
+      outputs: [outputFile],
+      operations: planner.operations,
+    });
+  }
 
-  // 6. 清理临时文件
-  tempFiles.forEach((f) => {
-    if (fs.existsSync(f)) fs.unlinkSync(f);
+  const result = await cutter.renderRetimed(videoPath, segments, outputFile, {
+    runner,
   });
-  if (fs.existsSync("audio_merge_list.txt"))
-    fs.unlinkSync("audio_merge_list.txt");
 
   const originalDuration = totalDuration;
-  const newDuration = audioSegments.reduce((sum, seg) => sum + seg.duration, 0);
+  const newDuration = result.duration;
   const savedTime = originalDuration - newDuration;
   const compressionRatio = ((savedTime / originalDuration) * 100).toFixed(1);
 
-  console.log(`\n[OK] Silence removal complete!`);
+  console.log(`\n[OK] Silence speed-up complete!`);
   console.log(`  Original: ${originalDuration.toFixed(2)}s`);
   console.log(`  New: ${newDuration.toFixed(2)}s`);
   console.log(`  Saved: ${savedTime.toFixed(2)}s (${compressionRatio}%)`);
+  console.log(
+    `  Speed: ${speed}x${maxGap > 0 ? ` (gaps capped at ${maxGap}s)` : ""}`,
+  );
   console.log(`  Output: ${outputFile}`);
 
-  return outputFile;
+  return { outputFile, originalDuration, newDuration };
 }
 
 /**
  * 可视化静音段落（生成带标记的视频）
  * @param {string} videoPath - 输入视频
  * @param {string} outputFile - 输出文件
+ * @param {number} noiseThreshold - 噪音阈值 (dB)
+ * @param {number} minDuration - 最短静音时长 (秒)
+ * @param {object} options - {runner, signal, relative}
  */
-function visualizeSilence(videoPath, outputFile) {
-  const silenceSegments = detectSilence(videoPath);
-
-  // 使用 FFmpeg drawbox 滤镜标记静音段落
-  let filterComplex = "";
+async function visualizeSilence(
+  videoPath,
+  outputFile,
+  noiseThreshold = config.getConfig().silence.threshold,
+  minDuration = config.getConfig().silence.minDuration,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const silenceSegments = await detectSilence(
+    videoPath,
+    noiseThreshold,
+    minDuration,
+    { runner, relative: options.relative },
+  );
 
-  silenceSegments.forEach((seg, i) => {
-    // 在静音时间段添加红色半透明遮罩
-    filterComplex += `drawbox=x=0:y=0:w=iw:h=ih:color=red@0.3:t=${seg.start}-${seg.end}:enable='between(t,${seg.start},${seg.end})'`;
-    if (i < silenceSegments.length - 1) {
-      filterComplex += ",";
-    }
-  });
+  if (silenceSegments.length === 0) {
+    console.log("[INFO] No silence detected, copying original file");
+    fs.copyFileSync(videoPath, outputFile);
+    return outputFile;
+  }
 
-  const cmd = `${FFMPEG} -y -i "${videoPath}" -vf "${filterComplex}" -c:a copy "${outputFile}"`;
-  execSync(cmd, { stdio: "pipe" });
+  const totalDuration = await probeDuration(videoPath, runner);
+
+  // 使用 FFmpeg drawbox 滤镜标记静音段落：t=fill 填满整个画面，时间范围只由 enable 控制
+  const filter = silenceSegments
+    .map((seg) => {
+      // 视频在静音中结束时没有 end，标记到结尾
+      const end = seg.end === null ? totalDuration : seg.end;
+      return `drawbox=x=0:y=0:w=iw:h=ih:color=red@0.3:t=fill:enable='between(t,${seg.start},${end})'`;
+    })
+    .join(",");
+
+  runner.stage("Rendering silence markers");
+  await runner.ffmpeg(
+    [
+      "-y",
+      "-i",
+      mediaPath(videoPath),
+      "-vf",
+      filter,
+      "-c:a",
+      "copy",
+      mediaPath(outputFile),
+    ],
+    { duration: totalDuration },
+  );
 
   console.log(`[OK] Visualization saved: ${outputFile}`);
   return outputFile;
@@ -195,6 +489,7 @@ function visualizeSilence(videoPath, outputFile) {
 module.exports = {
   detectSilence,
   removeSilence,
+  speedUpSilence,
   visualizeSilence,
 };
 
@@ -210,39 +505,66 @@ if (require.main === module) {
       "  node silence_detector.js detect <video.mp4> [threshold] [minDuration]",
     );
     console.log(
-      "  node silence_detector.js remove <video.mp4> [output.mp4] [threshold]",
+      "  node silence_detector.js remove <video.mp4> [output.mp4] [threshold] [copy|reencode|smart] [transition]",
     );
     console.log(
-      "  node silence_detector.js visualize <video.mp4> [output.mp4]",
+      "  node silence_detector.js speedup <video.mp4> [output.mp4] [speed]",
+    );
+    console.log(
+      "  node silence_detector.js visualize <video.mp4> [output.mp4] [threshold] [minDuration]",
     );
     process.exit(1);
   }
 
-  switch (command) {
-    case "detect": {
-      const threshold = parseFloat(args[2]) || -30;
-      const minDur = parseFloat(args[3]) || 0.5;
-      const segments = detectSilence(videoPath, threshold, minDur);
-      console.log("\nSilence segments:");
-      segments.forEach((seg, i) => {
-        console.log(
-          `  ${i + 1}. ${seg.start.toFixed(2)}s - ${seg.end ? seg.end.toFixed(2) + "s" : "end"} (${seg.duration ? seg.duration.toFixed(2) + "s" : "unknown"})`,
+  const defaults = config.getConfig().silence;
+
+  (async () => {
+    switch (command) {
+      case "detect": {
+        const threshold = parseFloat(args[2]) || defaults.threshold;
+        const minDur = parseFloat(args[3]) || defaults.minDuration;
+        const segments = await detectSilence(videoPath, threshold, minDur);
+        console.log("\nSilence segments:");
+        segments.forEach((seg, i) => {
+          console.log(
+            `  ${i + 1}. ${seg.start.toFixed(2)}s - ${seg.end ? seg.end.toFixed(2) + "s" : "end"} (${seg.duration ? seg.duration.toFixed(2) + "s" : "unknown"})`,
+          );
+        });
+        break;
+      }
+      case "remove": {
+        const output = args[2] || "no_silence_" + path.basename(videoPath);
+        const threshold = parseFloat(args[3]) || defaults.threshold;
+        const cutMode = args[4] || config.getConfig().cutMode;
+        await removeSilence(
+          videoPath,
+          output,
+          threshold,
+          defaults.minDuration,
+          defaults.padding,
+          cutMode,
+          { transition: args[5] },
         );
-      });
-      break;
-    }
-    case "remove": {
-      const output = args[2] || "no_silence_" + path.basename(videoPath);
-      const threshold = parseFloat(args[3]) || -30;
-      removeSilence(videoPath, output, threshold);
-      break;
-    }
-    case "visualize": {
-      const output = args[2] || "silence_marked_" + path.basename(videoPath);
-      visualizeSilence(videoPath, output);
-      break;
+        break;
+      }
+      case "speedup": {
+        const output = args[2] || "fast_silence_" + path.basename(videoPath);
+        const speed = parseFloat(args[3]) || defaults.speed;
+        await speedUpSilence(videoPath, output, speed);
+        break;
+      }
+      case "visualize": {
+        const output = args[2] || "silence_marked_" + path.basename(videoPath);
+        const threshold = parseFloat(args[3]) || defaults.threshold;
+        const minDur = parseFloat(args[4]) || defaults.minDuration;
+        await visualizeSilence(videoPath, output, threshold, minDur);
+        break;
+      }
+      default:
+        console.log("Unknown command:", command);
     }
-    default:
-      console.log("Unknown command:", command);
-  }
+  })().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
 }
@@ -0,0 +1,283 @@
+// sprite_generator.js - 缩略图精灵图模块
+/**
+ * 为播放器的进度条悬停预览生成精灵图（sprite sheet）和 WebVTT 索引
+ *   - 按固定间隔或在每个场景开头取帧
+ *   - 按网格拼成一张或多张精灵图，帧数超过一张的容量时自动分页
+ *   - WebVTT 中每个时间段指向精灵图中的一格：sprites_001.jpg#xywh=160,0,160,90
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getVideoInfo } = require("./thumbnail_generator");
+const { formatSubtitles } = require("./subtitle_retimer");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+// 场景模式下在切换点之后取帧，避开切换前的最后一帧
+const SCENE_FRAME_OFFSET = 0.1;
+
+/**
+ * 计算取帧时间段
+ * @param {number} duration - 视频总时长（秒）
+ * @param {object} options - {interval, cuts}，cuts 存在时按场景
+ * @returns {Array<{start: number, end: number, time: number}>} time 为取帧时间
+ */
+function buildSpriteCues(duration, options = {}) {
+  if (options.cuts) {
+    const bounds = [
+      0,
+      ...options.cuts.filter((t) => t > 0 && t < duration),
+      duration,
+    ];
+    const cues = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const start = bounds[i];
+      const end = bounds[i + 1];
+      cues.push({
+        start,
+        end,
+        time: start + Math.min(SCENE_FRAME_OFFSET, (end - start) / 2),
+      });
+    }
+    return cues;
+  }
+
+  const interval = options.interval;
+  if (!(interval > 0)) {
+    throw new Error(`Invalid sprite interval: ${interval}`);
+  }
+  const cues = [];
+  for (let i = 0; i * interval < duration; i++) {
+    const start = i * interval;
+    cues.push({
+      start,
+      end: Math.min(start + interval, duration),
+      time: start,
+    });
+  }
+  return cues;
+}
+
+/**
+ * 把时间段按顺序排进精灵图网格，一张排满后换到下一张
+ * @param {Array} cues - buildSpriteCues 的结果
+ * @param {Array<string>} sheets - 精灵图文件名（按页序）
+ * @param {object} tile - {width, height, columns, rows}
+ * @returns {Array<{start, end, sheet, x, y, width, height}>}
+ */
+function placeSpriteCues(cues, sheets, tile) {
+  const { width, height, columns, rows } = tile;
+  const perSheet = columns * rows;
+  return cues.map((cue, i) => {
+    const cell = i % perSheet;
+    return {
+      start: cue.start,
+      end: cue.end,
+      sheet: sheets[Math.floor(i / perSheet)],
+      x: (cell % columns) * width,
+      y: Math.floor(cell / columns) * height,
+      width,
+      height,
+    };
+  });
+}
+
+/**
+ * 生成 WebVTT：每个时间段指向对应精灵图中的一格
+ * @param {Array} cues - [{start, end, sheet, x, y, width, height}]
+ * @param {string} baseUrl - 精灵图地址前缀（默认与 VTT 同目录的相对路径）
+ */
+function formatSpriteVTT(cues, baseUrl = "") {
+  return formatSubtitles(
+    cues.map((cue) => ({
+      start: cue.start,
+      end: cue.end,
+      text: `${baseUrl}${cue.sheet}#xywh=${cue.x},${cue.y},${cue.width},${cue.height}`,
+    })),
+    "vtt",
+  );
+}
+
+/**
+ * 生成精灵图和 WebVTT 索引
+ * @param {string} videoPath - 视频路径
+ * @param {string} outputFile - 输出的 .vtt；精灵图写在同一目录（<name>_001.jpg, <name>_002.jpg ...）
+ * @param {object} options - {runner, signal, interval, scenes, threshold, width, height, columns, rows, baseUrl}
+ *   scenes 为 true 时检测场景（threshold），也可直接传 detectScenes 的结果，每个场景一格；
+ *   否则每 interval 秒一格。height 默认按视频宽高比计算
+ * @returns {Promise<{vtt: string, sheets: Array<string>, frames: number, tile: object}>}
+ */
+async function generateSprites(videoPath, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const defaults = config.getConfig().sprites;
+  const interval = options.interval || defaults.interval;
+  let columns = options.columns || defaults.columns;
+  let rows = options.rows || defaults.rows;
+  if (!(columns > 0 && rows > 0)) {
+    throw new Error(`Invalid sprite grid: ${columns}x${rows}`);
+  }
+
+  // 与 index.js 互相引用，延迟加载
+  const index = require("./index");
+  const info = await getVideoInfo(videoPath, { runner });
+  const duration = await index.getDuration(videoPath, { runner });
+  if (!(duration > 0)) {
+    throw new Error(`Could not read video duration: ${videoPath}`);
+  }
+  const width = options.width || defaults.width;
+  const height =
+    options.height || Math.round((width * info.height) / info.width / 2) * 2;
+
+  let cuts = null;
+  if (options.scenes) {
+    const scenes = Array.isArray(options.scenes)
+      ? options.scenes
+      : await index.detectScenes(
+          videoPath,
+          options.threshold || config.getConfig().threshold,
+          { runner },
+        );
+    cuts = scenes.map((scene) =>
+      typeof scene === "number" ? scene : scene.start,
+    );
+  }
+  const cues = buildSpriteCues(duration, { interval, cuts });
+  // 一张就能放下时缩小网格，避免大片空白
+  if (cues.length < columns * rows) {
+    columns = Math.min(columns, cues.length);
+    rows = Math.ceil(cues.length / columns);
+  }
+
+  const perSheet = columns * rows;
+  const sheetCount = Math.ceil(cues.length / perSheet);
+  console.log(
+    `[Generating] ${cues.length} sprite frames (${width}x${height}) in ${sheetCount} sheet(s) of ${columns}x${rows}...`,
+  );
+
+  const { dir, name } = path.parse(outputFile);
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+  try {
+    const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+
+    // 1. 取帧
+    runner.stage("Extracting sprite frames");
+    if (cuts) {
+      for (let i = 0; i < cues.length; i++) {
+        const frame = path.join(
+          workDir,
+          `frame_${String(i).padStart(5, "0")}.png`,
+        );
+        await runner.ffmpeg([
+          "-y",
+          "-ss",
+          cues[i].time,
+          "-i",
+          mediaPath(videoPath),
+          "-vf",
+          fit,
+          "-frames:v",
+          1,
+          frame,
+        ]);
+        // 缺一帧会让后面的帧和场景错位
+        if (!fs.existsSync(frame)) {
+          throw new Error(
+            `Could not extract the sprite frame for the scene at ${cues[i].start}s`,
+          );
+        }
+      }
+    } else {
+      // 一次解码按间隔取帧；数量以 cues 为准
+      await runner.ffmpeg(
+        [
+          "-y",
+          "-i",
+          mediaPath(videoPath),
+          "-vf",
+          `fps=1/${interval},${fit}`,
+          "-frames:v",
+          cues.length,
+          "-start_number",
+          0,
+          path.join(workDir, "frame_%05d.png"),
+        ],
+        { duration },
+      );
+    }
+    const frames = fs
+      .readdirSync(workDir)
+      .filter((file) => file.startsWith("frame_")).length;
+    if (frames === 0) {
+      throw new Error(`No frames extracted from ${videoPath}`);
+    }
+    // 按间隔取帧时视频末尾可能取不到帧，最后一格延续到结尾
+    if (frames < cues.length) {
+      cues.splice(frames);
+      cues[frames - 1].end = duration;
+    }
+
+    // 2. 拼成精灵图，tile 在输入结束时输出未填满的最后一张
+    runner.stage("Tiling sprite sheets");
+    await runner.ffmpeg([
+      "-y",
+      "-framerate",
+      1,
+      "-start_number",
+      0,
+      "-i",
+      path.join(workDir, "frame_%05d.png"),
+      "-vf",
+      `tile=${columns}x${rows}`,
+      "-q:v",
+      options.quality || defaults.quality,
+      path.join(workDir, "sheet_%03d.jpg"),
+    ]);
+
+    const sheets = [];
+    for (let i = 0; i < Math.ceil(cues.length / perSheet); i++) {
+      const source = path.join(
+        workDir,
+        `sheet_${String(i + 1).padStart(3, "0")}.jpg`,
+      );
+      if (!fs.existsSync(source)) {
+        throw new Error(`Sprite sheet ${i + 1} was not generated`);
+      }
+      const sheet = path.join(
+        dir,
+        `${name}_${String(i + 1).padStart(3, "0")}.jpg`,
+      );
+      fs.copyFileSync(source, sheet);
+      sheets.push(sheet);
+    }
+
+    // 3. WebVTT 索引
+    const placed = placeSpriteCues(
+      cues,
+      sheets.map((sheet) => path.basename(sheet)),
+      { width, height, columns, rows },
+    );
+    fs.writeFileSync(outputFile, formatSpriteVTT(placed, options.baseUrl));
+
+    console.log(
+      `[OK] ${placed.length} sprite frames in ${sheets.length} sheet(s): ${outputFile}`,
+    );
+    return {
+      vtt: outputFile,
+      sheets,
+      frames: placed.length,
+      tile: { width, height, columns, rows },
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// 导出模块
+module.exports = {
+  buildSpriteCues,
+  placeSpriteCues,
+  formatSpriteVTT,
+  generateSprites,
+};
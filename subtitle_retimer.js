@@ -0,0 +1,458 @@
+// subtitle_retimer.js - 字幕重新定时模块
+/**
+ * 删除片段后让 SRT / WebVTT 字幕与输出视频保持同步
+ *   - 字幕来源：外挂字幕文件，或从源视频中提取的文字字幕流
+ *   - 完全落在删除段内的字幕丢弃
+ *   - 跨越剪切点的字幕按保留部分裁剪；在输出中连续的部分合并为一条，
+ *     不连续时拆成多条，短于 minCueDuration 的部分丢弃
+ *   - 结果写在输出文件旁边，可选封装进输出文件
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+
+const SUBTITLE_FORMATS = ["srt", "vtt"];
+
+// 可以转换为 SRT / WebVTT 的字幕编码（图形字幕如 PGS、DVD 无法转换）
+const TEXT_CODECS = [
+  "subrip",
+  "srt",
+  "webvtt",
+  "mov_text",
+  "ass",
+  "ssa",
+  "text",
+];
+
+// 各容器封装字幕使用的编码
+const MUX_CODECS = {
+  ".mp4": "mov_text",
+  ".m4v": "mov_text",
+  ".mov": "mov_text",
+  ".mkv": "srt",
+  ".webm": "webvtt",
+};
+
+// 判断两段字幕在输出中是否相连时允许的误差（秒）
+const EPSILON = 0.001;
+
+/**
+ * 解析时间码：HH:MM:SS,mmm（SRT）或 [HH:]MM:SS.mmm（WebVTT）
+ */
+function parseTimecode(value) {
+  const match = value
+    .trim()
+    .match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!match) {
+    throw new Error(`Invalid subtitle timecode: ${value}`);
+  }
+  return (
+    parseInt(match[1] || 0) * 3600 +
+    parseInt(match[2]) * 60 +
+    parseInt(match[3]) +
+    parseInt(match[4].padEnd(3, "0")) / 1000
+  );
+}
+
+function formatTimecode(seconds, format) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const time = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+  return `${time}${format === "vtt" ? "." : ","}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * 解析 SRT / WebVTT 文本
+ * @param {string} text - 字幕文件内容
+ * @returns {{format: string, header: string, cues: Array}}
+ *   cues: [{start, end, text, settings}]，settings 为 WebVTT 的位置设置
+ */
+function parseSubtitles(text) {
+  const normalized = text.replace(/^﻿/, "").replace(/\r\n?/g, "\n");
+  const blocks = normalized.split(/\n{2,}/);
+  const format = /^WEBVTT/.test(normalized) ? "vtt" : "srt";
+  let header = "";
+  const cues = [];
+
+  blocks.forEach((block, i) => {
+    const lines = block.replace(/^\n+|\n+$/g, "").split("\n");
+    if (!lines[0].trim()) return;
+    if (format === "vtt" && i === 0) {
+      header = block.trim();
+      return;
+    }
+
+    const timing = lines.findIndex((line) => line.includes("-->"));
+    // WebVTT 的 NOTE / STYLE / REGION 块和无法识别的块原样忽略
+    if (timing === -1) return;
+
+    const [start, rest] = lines[timing].split("-->");
+    const [end, ...settings] = rest.trim().split(/\s+/);
+    cues.push({
+      start: parseTimecode(start),
+      end: parseTimecode(end),
+      text: lines.slice(timing + 1).join("\n"),
+      settings: settings.join(" "),
+    });
+  });
+
+  return { format, header, cues };
+}
+
+/**
+ * 生成 SRT / WebVTT 文本，编号按顺序重新生成
+ */
+function formatSubtitles(cues, format = "srt", header = "") {
+  const blocks = cues.map((cue, i) => {
+    const settings = format === "vtt" && cue.settings ? ` ${cue.settings}` : "";
+    const timing = `${formatTimecode(cue.start, format)} --> ${formatTimecode(cue.end, format)}${settings}`;
+    return format === "vtt"
+      ? `${timing}\n${cue.text}`
+      : `${i + 1}\n${timing}\n${cue.text}`;
+  });
+  if (format === "vtt") {
+    blocks.unshift(header || "WEBVTT");
+  }
+  return blocks.join("\n\n") + "\n";
+}
+
+/**
+ * 按保留片段重新计算字幕时间
+ * @param {Array} cues - [{start, end, text, settings}]（源视频时间）
+ * @param {Array} segments - 按输出顺序排列的保留片段 [{start, end}] 或 renderSegments 返回的
+ *   [{actualStart, actualEnd}]（流复制时起点对齐到关键帧，以实际范围为准）
+ * @param {object} options
+ * @param {number} options.transitionDuration - 转场重叠时长（秒），无转场为 0
+ * @param {number} options.minCueDuration - 裁剪后短于此值的字幕丢弃（秒）
+ * @returns {{cues: Array, dropped: number, split: number}}
+ *   dropped 为整条丢弃的字幕数，split 为被剪切点拆开的字幕数
+ */
+function retimeCues(cues, segments, options = {}) {
+  const overlap = options.transitionDuration || 0;
+  const minCueDuration =
+    options.minCueDuration !== undefined
+      ? options.minCueDuration
+      : config.getConfig().subtitles.minCueDuration;
+
+  // 每个片段在输出中的起点
+  let offset = 0;
+  const ranges = segments.map((seg, i) => {
+    const start = seg.actualStart !== undefined ? seg.actualStart : seg.start;
+    const end = seg.actualEnd !== undefined ? seg.actualEnd : seg.end;
+    const range = { start, end, offset: i === 0 ? 0 : offset - overlap };
+    offset = range.offset + (end - start);
+    return range;
+  });
+
+  const result = [];
+  let dropped = 0;
+  let split = 0;
+
+  cues.forEach((cue) => {
+    const pieces = [];
+    ranges.forEach((range) => {
+      const start = Math.max(cue.start, range.start);
+      const end = Math.min(cue.end, range.end);
+      if (end <= start) return;
+
+      const piece = {
+        ...cue,
+        start: range.offset + (start - range.start),
+        end: range.offset + (end - range.start),
+      };
+      const last = pieces[pieces.length - 1];
+      if (last && piece.start <= last.end + EPSILON) {
+        last.end = Math.max(last.end, piece.end);
+      } else {
+        pieces.push(piece);
+      }
+    });
+
+    // 原本就很短的字幕只要完整保留就不丢弃
+    const shortest = Math.min(minCueDuration, cue.end - cue.start - EPSILON);
+    const kept = pieces.filter((p) => p.end - p.start >= shortest);
+    if (kept.length === 0) dropped++;
+    if (kept.length > 1) split++;
+    result.push(...kept);
+  });
+
+  result.sort((a, b) => a.start - b.start);
+  return { cues: result, dropped, split };
+}
+
+/**
+ * 列出视频中的字幕流
+ * @returns {Promise<Array>} [{index, codec, language, text}]，index 为字幕流序号 (0:s:N)
+ */
+async function listSubtitleStreams(videoPath, options = {}) {
+  const runner = getRunner(options);
+  const output = await runner.ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "s",
+    "-show_entries",
+    "stream=codec_name:stream_tags=language",
+    "-of",
+    "json",
+    mediaPath(videoPath),
+  ]);
+  const streams = JSON.parse(output).streams || [];
+  return streams.map((stream, index) => ({
+    index,
+    codec: stream.codec_name,
+    // "und" 表示未指定语言
+    language:
+      stream.tags && stream.tags.language !== "und"
+        ? stream.tags.language || null
+        : null,
+    text: TEXT_CODECS.includes(stream.codec_name),
+  }));
+}
+
+/**
+ * 从视频中提取字幕流
+ * @param {string} videoPath - 视频文件
+ * @param {string} outputFile - 输出文件（.srt 或 .vtt）
+ * @param {number} streamIndex - 字幕流序号 (0:s:N)
+ * @param {object} options - {runner, signal}
+ */
+async function extractSubtitles(
+  videoPath,
+  outputFile,
+  streamIndex = 0,
+  options = {},
+) {
+  const runner = getRunner(options);
+  runner.stage(`Extracting subtitle stream ${streamIndex}`);
+  await runner.ffmpeg([
+    "-y",
+    "-i",
+    mediaPath(videoPath),
+    "-map",
+    `0:s:${streamIndex}`,
+    mediaPath(outputFile),
+  ]);
+  return outputFile;
+}
+
+/**
+ * 查找与视频同名的外挂字幕：video.srt、video.vtt、video.en.srt 等
+ * @returns {Array<{file: string, language: string|null}>}
+ */
+function findSidecarSubtitles(videoPath) {
+  const dir = path.dirname(videoPath);
+  const base = path.parse(videoPath).name;
+  const pattern = new RegExp(
+    `^${base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:\\.([\\w-]+))?\\.(srt|vtt)$`,
+    "i",
+  );
+  return fs
+    .readdirSync(dir)
+    .sort()
+    .map((name) => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({
+      file: path.join(dir, name),
+      language: match[1] || null,
+    }));
+}
+
+/**
+ * 把字幕文件封装进视频（原有的音视频流复制）
+ * @param {string} videoPath - 视频文件
+ * @param {Array<{file: string, language: string|null}>} subtitles - 字幕文件
+ * @param {string} outputFile - 输出文件，可与 videoPath 相同
+ * @param {object} options - {runner, signal}
+ */
+async function muxSubtitles(videoPath, subtitles, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const ext = path.extname(outputFile).toLowerCase();
+  const codec = MUX_CODECS[ext];
+  if (!codec) {
+    throw new Error(
+      `Cannot mux subtitles into ${ext || "this container"} (use ${Object.keys(MUX_CODECS).join(", ")})`,
+    );
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+  const muxed = path.join(workDir, `muxed${ext}`);
+  const inputs = [];
+  const maps = ["-map", "0:v", "-map", "0:a?"];
+  const metadata = [];
+  subtitles.forEach((sub, i) => {
+    inputs.push("-i", mediaPath(sub.file));
+    maps.push("-map", `${i + 1}:0`);
+    if (sub.language) {
+      metadata.push(`-metadata:s:s:${i}`, `language=${sub.language}`);
+    }
+  });
+
+  try {
+    runner.stage("Muxing subtitles");
+    await runner.ffmpeg([
+      "-y",
+      "-i",
+      mediaPath(videoPath),
+      ...inputs,
+      ...maps,
+      "-c",
+      "copy",
+      "-c:s",
+      codec,
+      ...metadata,
+      mediaPath(muxed),
+    ]);
+    fs.copyFileSync(muxed, outputFile);
+    return outputFile;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 收集字幕来源
+ *   true     - 外挂字幕和视频中的文字字幕流
+ *   string / Array<string> - 指定的字幕文件
+ */
+async function collectSources(videoPath, subtitles, workDir, runner) {
+  if (subtitles !== true) {
+    return [].concat(subtitles).map((file) => {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Subtitle file not found: ${file}`);
+      }
+      return { file, source: file, language: null };
+    });
+  }
+
+  const sources = findSidecarSubtitles(videoPath).map((sub) => ({
+    ...sub,
+    source: sub.file,
+  }));
+  const streams = await listSubtitleStreams(videoPath, { runner });
+  for (const stream of streams) {
+    if (!stream.text) {
+      console.log(
+        `[INFO] Skipping ${stream.codec} subtitle stream ${stream.index} (not text)`,
+      );
+      continue;
+    }
+    const file = path.join(workDir, `stream_${stream.index}.srt`);
+    await extractSubtitles(videoPath, file, stream.index, { runner });
+    sources.push({
+      file,
+      source: `${path.basename(videoPath)}#s:${stream.index}`,
+      language: stream.language,
+    });
+  }
+  return sources;
+}
+
+/**
+ * 为剪辑后的输出文件生成重新定时的字幕
+ * @param {string} videoPath - 源视频
+ * @param {string} outputFile - 剪辑后的输出视频，字幕写在它旁边（output.srt、output.en.srt）
+ * @param {object} render - renderSegments 的返回值 {segments, transition}
+ * @param {object} options - {runner, signal, subtitles, subtitleFormat, muxSubtitles, minCueDuration}
+ *   subtitles 为 true（自动查找外挂字幕和内嵌字幕流）、字幕文件路径或路径数组；
+ *   subtitleFormat 为 srt | vtt，默认与来源相同；muxSubtitles 为 true 时同时封装进 outputFile
+ * @returns {Promise<Array>} [{source, file, format, language, cues, dropped, split}]
+ */
+async function retimeSubtitles(videoPath, outputFile, render, options = {}) {
+  const runner = getRunner(options);
+  const defaults = config.getConfig().subtitles;
+  const format = options.subtitleFormat || defaults.format;
+  if (format && !SUBTITLE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown subtitle format: ${format} (expected ${SUBTITLE_FORMATS.join(" or ")})`,
+    );
+  }
+  const mux =
+    options.muxSubtitles !== undefined ? options.muxSubtitles : defaults.mux;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+
+  try {
+    const sources = await collectSources(
+      videoPath,
+      options.subtitles,
+      workDir,
+      runner,
+    );
+    if (sources.length === 0) {
+      console.log("[INFO] No subtitles found");
+      return [];
+    }
+
+    const base = path.join(
+      path.dirname(outputFile),
+      path.parse(outputFile).name,
+    );
+    const used = new Set();
+    const results = [];
+
+    sources.forEach((sub) => {
+      const parsed = parseSubtitles(fs.readFileSync(sub.file, "utf8"));
+      const outFormat = format || parsed.format;
+      const retimed = retimeCues(parsed.cues, render.segments, {
+        transitionDuration: render.transition ? render.transition.duration : 0,
+        minCueDuration: options.minCueDuration,
+      });
+
+      // 同一语言有多个来源时加序号避免覆盖
+      let name = sub.language ? `${base}.${sub.language}` : base;
+      for (let n = 2; used.has(`${name}.${outFormat}`); n++) {
+        name = `${sub.language ? `${base}.${sub.language}` : base}.${n}`;
+      }
+      const file = `${name}.${outFormat}`;
+      used.add(file);
+
+      fs.writeFileSync(
+        file,
+        formatSubtitles(
+          retimed.cues,
+          outFormat,
+          parsed.format === "vtt" ? parsed.header : "",
+        ),
+      );
+      console.log(
+        `[OK] Subtitles: ${retimed.cues.length} cues (${retimed.dropped} dropped, ${retimed.split} split): ${file}`,
+      );
+      results.push({
+        source: sub.source,
+        file,
+        format: outFormat,
+        language: sub.language,
+        cues: retimed.cues.length,
+        dropped: retimed.dropped,
+        split: retimed.split,
+      });
+    });
+
+    if (mux) {
+      await muxSubtitles(outputFile, results, outputFile, { runner });
+      console.log(
+        `[OK] Muxed ${results.length} subtitle tracks: ${outputFile}`,
+      );
+    }
+
+    return results;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// 导出模块
+module.exports = {
+  SUBTITLE_FORMATS,
+  parseSubtitles,
+  formatSubtitles,
+  retimeCues,
+  listSubtitleStreams,
+  extractSubtitles,
+  findSidecarSubtitles,
+  muxSubtitles,
+  retimeSubtitles,
+};
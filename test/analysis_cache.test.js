@@ -0,0 +1,106 @@
+// analysis_cache.test.js - 分析缓存测试
+/**
+ * 进程内只保留最近一个视频的数据，切换视频后结果仍从缓存文件读回；
+ * 同一视频的并发写入不会互相覆盖
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const analysisCache = require("../analysis_cache");
+
+// scene-editor- 开头的临时目录中的文件不缓存，这里用别的前缀
+function makeSourceDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "analysis-cache-test-"));
+}
+
+test("analysis cache keeps results when switching between sources", async (t) => {
+  const dir = makeSourceDir();
+  config.configure({ cache: { enabled: true, dir: path.join(dir, "cache") } });
+  t.after(() => {
+    config.configure({ cache: { enabled: false, dir: null } });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const a = path.join(dir, "a.mp4");
+  const b = path.join(dir, "b.mp4");
+  fs.writeFileSync(a, "first source");
+  fs.writeFileSync(b, "second source");
+
+  let computed = 0;
+  const compute = (value) => async () => {
+    computed++;
+    return value;
+  };
+
+  await analysisCache.remember(a, "silence", "x", compute(1));
+  await analysisCache.remember(b, "silence", "x", compute(2));
+  await analysisCache.remember(a, "silence", "y", compute(3));
+
+  assert.deepStrictEqual(analysisCache.cachedKeys(a, "silence"), ["x", "y"]);
+  assert.strictEqual(analysisCache.lookup(b, "silence", "x"), 2);
+  assert.strictEqual(await analysisCache.remember(a, "silence", "x"), 1);
+  assert.strictEqual(computed, 3);
+});
+
+test("concurrent analyses of two sources keep every key", async (t) => {
+  const dir = makeSourceDir();
+  config.configure({ cache: { enabled: true, dir: path.join(dir, "cache") } });
+  t.after(() => {
+    config.configure({ cache: { enabled: false, dir: null } });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const a = path.join(dir, "a.mp4");
+  const b = path.join(dir, "b.mp4");
+  fs.writeFileSync(a, "first source");
+  fs.writeFileSync(b, "second source");
+
+  // a 的两次分析之间插入 b，a 的进程内数据在两次写入之间被丢弃
+  let release;
+  const slow = analysisCache.remember(
+    a,
+    "silence",
+    "slow",
+    () => new Promise((resolve) => (release = () => resolve("slow"))),
+  );
+  await analysisCache.remember(b, "silence", "x", async () => "b");
+  await analysisCache.remember(a, "silence", "fast", async () => "fast");
+  await analysisCache.remember(b, "silence", "y", async () => "b");
+  release();
+  await slow;
+
+  assert.deepStrictEqual(analysisCache.cachedKeys(a, "silence").sort(), [
+    "fast",
+    "slow",
+  ]);
+});
+
+test("cache diagnostics go to stderr, not stdout", async (t) => {
+  const dir = makeSourceDir();
+  const cacheDir = path.join(dir, "cache");
+  config.configure({ cache: { enabled: true, dir: cacheDir } });
+  t.after(() => {
+    config.configure({ cache: { enabled: false, dir: null } });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const a = path.join(dir, "a.mp4");
+  fs.writeFileSync(a, "corrupt cache source");
+  const { hash } = analysisCache.fingerprint(a);
+  fs.mkdirSync(cacheDir);
+  fs.writeFileSync(path.join(cacheDir, `${hash}.silence.json`), "{not json");
+
+  const log = t.mock.method(console, "log", () => {});
+  const error = t.mock.method(console, "error", () => {});
+  assert.strictEqual(
+    await analysisCache.remember(a, "silence", "x", async () => 1),
+    1,
+  );
+
+  assert.strictEqual(log.mock.callCount(), 0);
+  assert.match(error.mock.calls[0].arguments[0], /unreadable analysis cache/);
+});
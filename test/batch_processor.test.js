@@ -0,0 +1,167 @@
+// batch_processor.test.js - 批量处理测试
+/**
+ * CSV 清单解析、** 通配符展开，以及根据报告续跑：
+ * 已完成的文件跳过，失败和中断的文件重试，选项改变时重新处理
+ * 处理步骤用替身代替，不需要 FFmpeg
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  PIPELINES,
+  globToRegExp,
+  expandGlob,
+  parseCsv,
+  runBatch,
+} = require("../batch_processor");
+const { makeTempDir } = require("./helpers");
+
+function touch(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, "");
+}
+
+test("parseCsv handles quoted commas, newlines, quotes and CRLF", () => {
+  const text = [
+    "﻿file,pipeline,title",
+    'a.mp4,"auto,thumbnails","Intro, part 1"',
+    'b.mp4,silence,"two',
+    'lines ""quoted"""',
+    ",,",
+    "c.mp4,,",
+  ].join("\r\n");
+  assert.deepStrictEqual(parseCsv(text), [
+    ["file", "pipeline", "title"],
+    ["a.mp4", "auto,thumbnails", "Intro, part 1"],
+    ["b.mp4", "silence", 'two\r\nlines "quoted"'],
+    ["c.mp4", "", ""],
+  ]);
+  // 最后一行没有换行也能读出
+  assert.deepStrictEqual(parseCsv("file\nx.mp4"), [["file"], ["x.mp4"]]);
+});
+
+test("globToRegExp keeps * inside a directory and lets ** cross them", () => {
+  const deep = globToRegExp("**/*.mp4");
+  assert.ok(deep.test("a.mp4"));
+  assert.ok(deep.test("x/y/a.mp4"));
+  assert.ok(!deep.test("x/a.mov"));
+
+  const flat = globToRegExp("*.mp4");
+  assert.ok(flat.test("a.mp4"));
+  assert.ok(!flat.test("x/a.mp4"));
+
+  assert.ok(globToRegExp("rec/**").test("rec/a/b.mp4"));
+  assert.ok(globToRegExp("take?.mp4").test("take1.mp4"));
+  assert.ok(!globToRegExp("take?.mp4").test("take12.mp4"));
+  // 其它正则字符按字面匹配
+  assert.ok(!globToRegExp("a+b.mp4").test("aab.mp4"));
+});
+
+test("expandGlob walks directories for ** and skips hidden entries", (t) => {
+  const dir = makeTempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  ["a.mp4", "sub/deep/b.mp4", "sub/c.mov", ".hidden/d.mp4", ".e.mp4"].forEach(
+    (name) => touch(path.join(dir, "rec", name)),
+  );
+  const rec = path.join(dir, "rec");
+
+  assert.deepStrictEqual(expandGlob(`${rec}/**/*.mp4`), [
+    path.join(rec, "a.mp4"),
+    path.join(rec, "sub/deep/b.mp4"),
+  ]);
+  assert.deepStrictEqual(expandGlob(`${rec}/*.mp4`), [path.join(rec, "a.mp4")]);
+  assert.deepStrictEqual(expandGlob(`${rec}/*/*.mov`), [
+    path.join(rec, "sub/c.mov"),
+  ]);
+  assert.deepStrictEqual(expandGlob(`${dir}/missing/**/*.mp4`), []);
+});
+
+test("runBatch resumes from its report", async (t) => {
+  const dir = makeTempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const files = ["a.mp4", "b.mp4", "c.mp4"].map((name) => {
+    const file = path.join(dir, "in", name);
+    touch(file);
+    return file;
+  });
+  const outputDir = path.join(dir, "out");
+  const settings = { pipeline: "thumbnails", outputDir, concurrency: 1 };
+
+  // 替身步骤：按文件名决定成功、失败或中断
+  const calls = [];
+  let outcomes = {};
+  t.mock.method(PIPELINES, "thumbnails", async (job) => {
+    calls.push(path.basename(job.file));
+    const outcome = outcomes[path.basename(job.file)];
+    if (outcome === "fail") throw new Error("step failed");
+    if (outcome === "abort") {
+      const error = new Error("interrupted");
+      error.name = "AbortError";
+      throw error;
+    }
+    return { ok: true };
+  });
+  const run = async (options = {}) => {
+    calls.length = 0;
+    return runBatch(files, { ...settings, ...options });
+  };
+  const statuses = (report) => report.jobs.map((job) => job.status);
+
+  await t.test("first run records done and failed files", async () => {
+    outcomes = { "b.mp4": "fail" };
+    const report = await run();
+    assert.deepStrictEqual(calls, ["a.mp4", "b.mp4", "c.mp4"]);
+    assert.deepStrictEqual(statuses(report), ["done", "failed", "done"]);
+    assert.strictEqual(report.jobs[1].error, "step failed");
+    assert.deepStrictEqual(report.summary, {
+      total: 3,
+      done: 2,
+      failed: 1,
+      pending: 0,
+    });
+  });
+
+  await t.test("rerun skips done files and retries failed ones", async () => {
+    outcomes = {};
+    const report = await run();
+    assert.deepStrictEqual(calls, ["b.mp4"]);
+    assert.deepStrictEqual(statuses(report), ["done", "done", "done"]);
+    assert.strictEqual(report.jobs[1].attempts, 2);
+    assert.strictEqual(report.jobs[0].attempts, 1);
+    assert.ok(!("error" in report.jobs[1]));
+  });
+
+  await t.test("changed options re-run files under a new id", async () => {
+    const options = { thumbnails: { count: 3 } };
+    const report = await run({ options });
+    assert.deepStrictEqual(calls, ["a.mp4", "b.mp4", "c.mp4"]);
+    assert.ok(
+      report.jobs.every((job) => job.id.endsWith(JSON.stringify(options))),
+    );
+
+    await run({ options });
+    assert.deepStrictEqual(calls, []);
+  });
+
+  await t.test("interrupted files are retried on the next run", async () => {
+    outcomes = { "a.mp4": "abort" };
+    await assert.rejects(run({ force: true }), { name: "AbortError" });
+    assert.deepStrictEqual(calls, ["a.mp4"]);
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(outputDir, "batch_report.json"), "utf8"),
+    );
+    assert.deepStrictEqual(statuses(saved), [
+      "interrupted",
+      "pending",
+      "pending",
+    ]);
+
+    outcomes = {};
+    const report = await run();
+    assert.deepStrictEqual(calls, ["a.mp4", "b.mp4", "c.mp4"]);
+    assert.deepStrictEqual(statuses(report), ["done", "done", "done"]);
+  });
+});
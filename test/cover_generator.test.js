@@ -0,0 +1,97 @@
+// cover_generator.test.js - 封面模板测试
+/**
+ * 模板与默认值的合并、null / false 关闭某一部分、
+ * 相对路径按模板文件所在目录解析，以及未知预设和位置的报错
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_TEMPLATE, loadTemplate } = require("../cover_generator");
+const { makeTempDir } = require("./helpers");
+
+test("loadTemplate merges sections with the defaults", () => {
+  const template = loadTemplate({
+    presets: "1:1",
+    focus: { y: 0.3 },
+    title: { text: "Episode 1", color: "yellow" },
+    border: { width: 8 },
+  });
+  assert.deepStrictEqual(template.presets, ["1:1"]);
+  assert.deepStrictEqual(template.focus, { x: 0.5, y: 0.3 });
+  assert.deepStrictEqual(template.title, {
+    ...DEFAULT_TEMPLATE.title,
+    text: "Episode 1",
+    color: "yellow",
+  });
+  assert.deepStrictEqual(template.subtitle, DEFAULT_TEMPLATE.subtitle);
+  assert.deepStrictEqual(template.scrim, DEFAULT_TEMPLATE.scrim);
+  assert.deepStrictEqual(template.border, { width: 8 });
+  assert.strictEqual(template.logo, null);
+  // 默认模板不被修改
+  assert.strictEqual(DEFAULT_TEMPLATE.title.text, "");
+  assert.deepStrictEqual(loadTemplate().presets, ["16:9"]);
+});
+
+test("loadTemplate turns sections off with null or false", () => {
+  const template = loadTemplate({ scrim: null, subtitle: false, title: null });
+  assert.strictEqual(template.scrim, null);
+  assert.strictEqual(template.subtitle, null);
+  assert.strictEqual(template.title, null);
+});
+
+test("loadTemplate resolves relative files against the template file", (t) => {
+  const dir = makeTempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "brand"));
+  fs.writeFileSync(path.join(dir, "brand", "logo.png"), "");
+  const font = path.join(dir, "abs.ttf");
+  const file = path.join(dir, "cover.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      title: { fontFile: "fonts/bold.ttf" },
+      subtitle: { fontFile: font },
+      logo: { file: "brand/logo.png", position: "top-right" },
+    }),
+  );
+
+  const template = loadTemplate(file);
+  assert.strictEqual(template.title.fontFile, path.join(dir, "fonts/bold.ttf"));
+  assert.strictEqual(template.subtitle.fontFile, font);
+  assert.strictEqual(template.logo.file, path.join(dir, "brand/logo.png"));
+  assert.strictEqual(template.logo.position, "top-right");
+
+  fs.writeFileSync(file, JSON.stringify({ logo: { file: "missing.png" } }));
+  assert.throws(
+    () => loadTemplate(file),
+    (error) =>
+      error.message === `Logo file not found: ${path.join(dir, "missing.png")}`,
+  );
+  fs.writeFileSync(file, "{ not json");
+  assert.throws(() => loadTemplate(file), /Invalid cover template/);
+  assert.throws(
+    () => loadTemplate(path.join(dir, "none.json")),
+    /Cover template not found/,
+  );
+});
+
+test("loadTemplate rejects unknown presets and positions", () => {
+  assert.throws(
+    () => loadTemplate({ presets: ["16:9", "3:2"] }),
+    /Unknown cover preset: 3:2 \(use 16:9, 1:1, 9:16, 4:5\)/,
+  );
+  assert.throws(
+    () => loadTemplate({ title: { position: "middle" } }),
+    /Unknown position: middle/,
+  );
+  assert.throws(
+    () => loadTemplate({ scrim: { position: "diagonal" } }),
+    /Unknown scrim position: diagonal/,
+  );
+  assert.throws(
+    () => loadTemplate({ logo: { position: "top" } }),
+    /Cover template logo needs a file/,
+  );
+});
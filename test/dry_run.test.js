@@ -0,0 +1,61 @@
+// dry_run.test.js - 预演测试
+/**
+ * 预演只记录命令：不创建临时目录，也不写任何文件
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { PlanRunner } = require("../ffmpeg_runner");
+const cutter = require("../segment_cutter");
+const { ffmpegMissing, makeTempDir, makeVideo } = require("./helpers");
+
+test("dry runs create no work directory", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  config.configure({ cache: { enabled: false } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const source = await makeVideo(path.join(dir, "source.mp4"));
+  const segments = [
+    { start: 0.5, end: 1.5 },
+    { start: 2.5, end: 3.5 },
+  ];
+  const mkdtemp = t.mock.method(fs, "mkdtempSync");
+
+  for (const mode of cutter.CUT_MODES) {
+    await t.test(mode, async () => {
+      const runner = new PlanRunner();
+      const output = path.join(dir, `${mode}.mp4`);
+
+      await cutter.renderSegments(source, segments, output, mode, { runner });
+      await cutter.cutSegments(
+        source,
+        segments,
+        (seg, i) => path.join(dir, `${mode}_${i}.mp4`),
+        mode,
+        { runner },
+      );
+      await cutter.renderRetimed(
+        source,
+        [
+          { start: 0, end: 2, speed: 1 },
+          { start: 2, end: 4, speed: 2 },
+        ],
+        output,
+        { runner },
+      );
+
+      assert.strictEqual(mkdtemp.mock.callCount(), 0);
+      assert.ok(runner.operations.length > 0);
+      assert.deepStrictEqual(fs.readdirSync(dir), ["source.mp4"]);
+    });
+  }
+});
@@ -0,0 +1,52 @@
+// edit_plan.test.js - 预演时间线测试
+/**
+ * labelTimeline 在丢弃原因的边界处切开连续的丢弃部分
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { labelTimeline } = require("../edit_plan");
+
+const summary = (timeline) =>
+  timeline.map((seg) => [seg.start, seg.end, seg.keep, seg.reason]);
+
+test("labelTimeline labels each part of a dropped gap with its own reason", () => {
+  const timeline = labelTimeline(
+    12.52,
+    [{ start: 0, end: 4 }],
+    [
+      { start: 4, end: 5.52, reason: "black" },
+      { start: 4, end: 5.52, reason: "silent" },
+      { start: 5.52, end: null, reason: "frozen" },
+    ],
+  );
+  assert.deepStrictEqual(summary(timeline), [
+    [0, 4, true, null],
+    [4, 5.52, false, "black"],
+    [5.52, 12.52, false, "frozen"],
+  ]);
+});
+
+test("labelTimeline uses the fallback for uncovered parts and merges equal neighbours", () => {
+  const timeline = labelTimeline(
+    10,
+    [
+      { start: 0, end: 2 },
+      { start: 8, end: 10 },
+    ],
+    [
+      { start: 1, end: 3, reason: "silent" },
+      { start: 3, end: 4, reason: "silent" },
+      { start: 6, end: 7, reason: "excluded" },
+    ],
+    "trimmed",
+  );
+  assert.deepStrictEqual(summary(timeline), [
+    [0, 2, true, null],
+    [2, 4, false, "silent"],
+    [4, 6, false, "trimmed"],
+    [6, 7, false, "excluded"],
+    [7, 8, false, "trimmed"],
+    [8, 10, true, null],
+  ]);
+});
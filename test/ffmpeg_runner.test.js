@@ -0,0 +1,156 @@
+// ffmpeg_runner.test.js - 参数数组与转义测试
+/**
+ * mediaPath、concatListEntry、escapeFilterValue 对特殊文件名的处理，
+ * 以及这些文件名交给真实的 FFmpeg / FFprobe 时能否原样打开
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  FFmpegRunner,
+  mediaPath,
+  concatListEntry,
+  escapeFilterValue,
+} = require("../ffmpeg_runner");
+const {
+  ADVERSARIAL_NAME,
+  ffmpegMissing,
+  makeTempDir,
+  makeVideo,
+  probeDuration,
+} = require("./helpers");
+
+test("mediaPath keeps ordinary and shell-special names unchanged", () => {
+  assert.strictEqual(mediaPath("video.mp4"), "video.mp4");
+  assert.strictEqual(
+    mediaPath("it's $HOME `id` é.mp4"),
+    "it's $HOME `id` é.mp4",
+  );
+  assert.strictEqual(mediaPath("dir/clip.mp4"), "dir/clip.mp4");
+});
+
+test("mediaPath prefixes names FFmpeg would read as options or protocols", () => {
+  assert.strictEqual(mediaPath("-y.mp4"), "./-y.mp4");
+  assert.strictEqual(mediaPath("a:b.mp4"), "./a:b.mp4");
+  assert.strictEqual(mediaPath("file:x.mp4"), "./file:x.mp4");
+  assert.strictEqual(mediaPath(ADVERSARIAL_NAME), `./${ADVERSARIAL_NAME}`);
+});
+
+test("mediaPath leaves absolute and ./ paths alone", () => {
+  assert.strictEqual(mediaPath("/tmp/a:b.mp4"), "/tmp/a:b.mp4");
+  assert.strictEqual(mediaPath("./-y.mp4"), "./-y.mp4");
+});
+
+test("concatListEntry quotes the absolute path and escapes single quotes", () => {
+  assert.strictEqual(
+    concatListEntry("/media/it's $HOME `id` é.mp4"),
+    "file '/media/it'\\''s $HOME `id` é.mp4'",
+  );
+  assert.strictEqual(
+    concatListEntry("-a:b.mp4"),
+    `file '${path.resolve("-a:b.mp4")}'`,
+  );
+});
+
+test("escapeFilterValue escapes option and filtergraph special characters", () => {
+  assert.strictEqual(escapeFilterValue("plain"), "plain");
+  assert.strictEqual(escapeFilterValue("00:01:02"), "00\\\\:01\\\\:02");
+  assert.strictEqual(escapeFilterValue("it's"), "it\\\\\\'s");
+  assert.strictEqual(escapeFilterValue("a,b;[c]"), "a\\,b\\;\\[c\\]");
+  assert.strictEqual(escapeFilterValue("c:\\dir"), "c\\\\:\\\\\\\\dir");
+  assert.strictEqual(escapeFilterValue("$HOME `id` é"), "$HOME `id` é");
+});
+
+test("adversarial file names reach FFmpeg and FFprobe verbatim", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await makeVideo(ADVERSARIAL_NAME, 1);
+  // $HOME 和反引号没有被展开，文件名原样写入
+  assert.ok(fs.existsSync(path.join(dir, ADVERSARIAL_NAME)));
+  assert.ok(Math.abs((await probeDuration(ADVERSARIAL_NAME)) - 2) < 0.1);
+
+  await t.test("concat list", async () => {
+    const copy = "it's `b` $x.mp4";
+    fs.copyFileSync(ADVERSARIAL_NAME, copy);
+    fs.writeFileSync(
+      "list.txt",
+      [ADVERSARIAL_NAME, copy].map(concatListEntry).join("\n"),
+    );
+    await new FFmpegRunner().ffmpeg([
+      "-y",
+      "-f",
+      "concat",
+      "-safe",
+      0,
+      "-i",
+      "list.txt",
+      "-c",
+      "copy",
+      "joined.mp4",
+    ]);
+    assert.ok(Math.abs((await probeDuration("joined.mp4")) - 4) < 0.2);
+  });
+
+  await t.test("filter value", async () => {
+    const source = escapeFilterValue(path.resolve(ADVERSARIAL_NAME));
+    await new FFmpegRunner().ffmpeg([
+      "-y",
+      "-filter_complex",
+      `movie=${source},trim=end_frame=1`,
+      "-f",
+      "null",
+      "-",
+    ]);
+  });
+});
+
+test("onStderrLine receives stderr line by line instead of the result", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const lines = [];
+  const { stderr } = await new FFmpegRunner().ffmpeg(
+    [
+      "-f",
+      "lavfi",
+      "-i",
+      "testsrc=duration=0.2:rate=25",
+      "-vf",
+      "metadata=print:key=lavfi.none,showinfo",
+      "-f",
+      "null",
+      "-",
+    ],
+    { onStderrLine: (line) => lines.push(line) },
+  );
+  assert.strictEqual(stderr, "");
+  assert.strictEqual(
+    lines.filter((line) => /showinfo.*\] n: *\d+ /.test(line)).length,
+    5,
+  );
+
+  // 失败时错误信息仍带有末尾几行
+  await assert.rejects(
+    new FFmpegRunner().ffmpeg(["-i", "missing-input.mp4", "-f", "null", "-"], {
+      onStderrLine: () => {},
+    }),
+    /missing-input\.mp4: No such file or directory/,
+  );
+});
@@ -0,0 +1,89 @@
+// helpers.js - 测试辅助模块
+/**
+ * 检查 FFmpeg 是否可用，并用 lavfi 生成测试视频
+ * 需要 FFmpeg 的测试在找不到时跳过（skip 为原因字符串）
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const { FFmpegRunner, mediaPath } = require("../ffmpeg_runner");
+
+// 包含引号、$、反引号、非 ASCII 字符和冒号，并以 "-" 开头
+const ADVERSARIAL_NAME = "-it's $HOME `id` é:b.mp4";
+
+function ffmpegMissing() {
+  try {
+    config.verifyToolchain();
+    return false;
+  } catch (error) {
+    return `FFmpeg not available: ${error.message.split("\n")[0]}`;
+  }
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-test-"));
+}
+
+/**
+ * 生成两个场景（各 seconds 秒）并带正弦音频的测试视频，第二个场景从第一个关键帧之后开始
+ * @param {object} options - {tone}：正弦音频的时长（秒），之后补静音到结尾；默认覆盖整个视频
+ */
+async function makeVideo(file, seconds = 2, options = {}) {
+  const tone = options.tone === undefined ? seconds * 2 : options.tone;
+  const scene = (source) =>
+    `${source}=size=320x240:rate=25:duration=${seconds}`;
+  await new FFmpegRunner().ffmpeg([
+    "-y",
+    "-f",
+    "lavfi",
+    "-i",
+    scene("testsrc"),
+    "-f",
+    "lavfi",
+    "-i",
+    scene("smptebars"),
+    "-f",
+    "lavfi",
+    "-i",
+    `sine=frequency=440:sample_rate=48000:duration=${tone}`,
+    "-filter_complex",
+    `[0:v][1:v]concat=n=2:v=1:a=0,format=yuv420p[v];[2:a]apad,atrim=end=${seconds * 2}[a]`,
+    "-map",
+    "[v]",
+    "-map",
+    "[a]",
+    "-c:v",
+    "libx264",
+    "-g",
+    25,
+    "-c:a",
+    "aac",
+    "-shortest",
+    mediaPath(file),
+  ]);
+  return file;
+}
+
+async function probeDuration(file) {
+  const output = await new FFmpegRunner().ffprobe([
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    mediaPath(file),
+  ]);
+  return parseFloat(output.trim());
+}
+
+// 导出模块
+module.exports = {
+  ADVERSARIAL_NAME,
+  ffmpegMissing,
+  makeTempDir,
+  makeVideo,
+  probeDuration,
+};
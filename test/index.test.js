@@ -0,0 +1,106 @@
+// index.test.js - 命令行参数解析测试
+/**
+ * 可以不带值的参数（--transition、--normalize 等）只在下一个参数像它的值时读取，
+ * 不会吞掉后面的位置参数
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseArgs } = require("../index");
+
+test("parseArgs reads values, inline values and boolean flags", () => {
+  assert.deepStrictEqual(
+    parseArgs([
+      "v.mp4",
+      "--mode",
+      "smart",
+      "--threshold=-35",
+      "--detailed",
+      "scenes",
+      "--dry-run",
+    ]),
+    {
+      positional: ["v.mp4", "scenes"],
+      flags: {
+        mode: "smart",
+        threshold: "-35",
+        detailed: true,
+        "dry-run": true,
+      },
+    },
+  );
+  // 下一个参数是 --flag 时按无值处理
+  assert.deepStrictEqual(parseArgs(["--mode", "--gradual"]).flags, {
+    mode: true,
+    gradual: true,
+  });
+});
+
+test("optional-value flags do not swallow positionals", () => {
+  assert.deepStrictEqual(
+    parseArgs(["v.mp4", "--transition", "2.0", "out.mp4"]),
+    {
+      positional: ["v.mp4", "2.0", "out.mp4"],
+      flags: { transition: true },
+    },
+  );
+  assert.deepStrictEqual(
+    parseArgs(["v.mp4", "--normalize", "3", "--subtitles", "out.mp4"]),
+    {
+      positional: ["v.mp4", "3", "out.mp4"],
+      flags: { normalize: true, subtitles: true },
+    },
+  );
+  assert.deepStrictEqual(
+    parseArgs(["all", "--alternatives", "./thumbs", "--snippets", "out.gif"]),
+    {
+      positional: ["all", "./thumbs", "out.gif"],
+      flags: { alternatives: true, snippets: true },
+    },
+  );
+  assert.deepStrictEqual(parseArgs(["--plan", "out.mp4"]), {
+    positional: ["out.mp4"],
+    flags: { plan: true },
+  });
+});
+
+test("optional-value flags take values that look like theirs", () => {
+  assert.deepStrictEqual(
+    parseArgs([
+      "v.mp4",
+      "--transition",
+      "wipeleft",
+      "--normalize",
+      "-16.5",
+      "--subtitles",
+      "a.srt,b.de.VTT",
+      "--snippets",
+      "4",
+      "--alternatives",
+      "3",
+      "--plan",
+      "plan.json",
+      "out.mp4",
+    ]),
+    {
+      positional: ["v.mp4", "out.mp4"],
+      flags: {
+        transition: "wipeleft",
+        normalize: "-16.5",
+        subtitles: "a.srt,b.de.VTT",
+        snippets: "4",
+        alternatives: "3",
+        plan: "plan.json",
+      },
+    },
+  );
+  assert.strictEqual(
+    parseArgs(["--normalize", "broadcast"]).flags.normalize,
+    "broadcast",
+  );
+  // --flag=value 总是读取值
+  assert.deepStrictEqual(parseArgs(["--transition=2.0", "out.mp4"]), {
+    positional: ["out.mp4"],
+    flags: { transition: "2.0" },
+  });
+});
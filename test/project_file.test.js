@@ -0,0 +1,147 @@
+// project_file.test.js - 工程文件测试
+/**
+ * 工程校验（结构错误和超出源视频时长的场景）、
+ * 渲染片段的排序和入点 / 出点裁剪，以及读取时的报错和相对路径
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  PROJECT_VERSION,
+  createProject,
+  validateProject,
+  loadProject,
+  getRenderSegments,
+} = require("../project_file");
+const { makeTempDir } = require("./helpers");
+
+const PROBE = { duration: 10, width: 320, height: 240, frameRate: 25 };
+
+// 切点 3 和 6 秒，三个场景
+const makeProject = () => createProject("in.mp4", [0, 3, 6, 12], PROBE);
+
+test("createProject builds a valid project from scene cuts", () => {
+  const project = makeProject();
+  assert.strictEqual(project.version, PROJECT_VERSION);
+  assert.strictEqual(project.source.path, path.resolve("in.mp4"));
+  assert.deepStrictEqual(
+    project.scenes.map((scene) => [scene.index, scene.in, scene.out]),
+    [
+      [1, 0, 3],
+      [2, 3, 6],
+      [3, 6, 10],
+    ],
+  );
+  assert.deepStrictEqual(validateProject(project), {
+    errors: [],
+    outOfRange: [],
+  });
+});
+
+test("getRenderSegments keeps, orders and trims scenes", () => {
+  const project = makeProject();
+  const [first, second, third] = project.scenes;
+  first.order = 3;
+  second.order = 1;
+  second.in = 3.5;
+  second.out = 5;
+  // 顺序相同时按 index
+  third.order = 1;
+  // 在误差范围内超出时长，裁到源视频结尾
+  third.out = 10.03;
+
+  assert.deepStrictEqual(getRenderSegments(project), [
+    { index: 2, start: 3.5, end: 5, duration: 1.5 },
+    { index: 3, start: 6, end: 10, duration: 4 },
+    { index: 1, start: 0, end: 3, duration: 3 },
+  ]);
+
+  first.keep = false;
+  delete second.order;
+  assert.deepStrictEqual(
+    getRenderSegments(project).map((segment) => segment.index),
+    [3, 2],
+  );
+});
+
+test("validateProject reports scenes outside the source", () => {
+  const project = makeProject();
+  project.scenes[0].in = -1;
+  project.scenes[1].out = 10.04;
+  project.scenes[2].out = 12;
+
+  const { errors, outOfRange } = validateProject(project);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(outOfRange, [
+    { index: 1, reason: "in -1s is before the start of the source" },
+    { index: 3, reason: "out 12s exceeds source duration 10s" },
+  ]);
+});
+
+test("validateProject reports structural errors", () => {
+  assert.deepStrictEqual(validateProject([]).errors, [
+    "project must be a JSON object",
+  ]);
+  assert.deepStrictEqual(
+    validateProject({ version: 2, source: { path: "", duration: 0 } }).errors,
+    [
+      "unsupported project version: 2 (expected 1)",
+      "source.path must be a non-empty string",
+      "source.duration must be a positive number",
+      "scenes must be a non-empty array",
+    ],
+  );
+
+  const project = makeProject();
+  project.scenes[1].index = 1;
+  project.scenes[1].keep = "yes";
+  project.scenes[2].in = 8;
+  project.scenes[2].out = 7;
+  project.scenes[2].order = "1";
+  assert.deepStrictEqual(validateProject(project).errors, [
+    "scenes[1].index 1 is duplicated",
+    "scenes[1].keep must be true or false",
+    "scenes[2].order must be a number",
+    "scenes[2] (scene 3) out 7s must be after in 8s",
+  ]);
+});
+
+test("loadProject resolves the source and lists every problem", (t) => {
+  const dir = makeTempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "edit.json");
+  const project = {
+    ...makeProject(),
+    source: { path: "in.mp4", duration: 10 },
+  };
+  fs.writeFileSync(file, JSON.stringify(project));
+
+  assert.strictEqual(loadProject(file).source.path, path.join(dir, "in.mp4"));
+
+  project.scenes[2].out = 12;
+  project.scenes[1].keep = null;
+  fs.writeFileSync(file, JSON.stringify(project));
+  assert.throws(
+    () => loadProject(file),
+    (error) => {
+      assert.deepStrictEqual(error.errors, [
+        "scenes[1].keep must be true or false",
+      ]);
+      assert.deepStrictEqual(
+        error.outOfRange.map((r) => r.index),
+        [3],
+      );
+      assert.match(
+        error.message,
+        /- scene 3 out of range: out 12s exceeds source duration 10s/,
+      );
+      return true;
+    },
+  );
+  assert.throws(
+    () => loadProject(path.join(dir, "none.json")),
+    /Project file not found/,
+  );
+});
@@ -0,0 +1,119 @@
+// silence_detector.test.js - 静音可视化测试
+/**
+ * visualizeSilence 在没有静音和以静音结尾的视频上实际运行，
+ * 并取样画面颜色确认只有静音段被标红；removeSilence / speedUpSilence 返回前后时长
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { FFmpegRunner, mediaPath } = require("../ffmpeg_runner");
+const {
+  visualizeSilence,
+  removeSilence,
+  speedUpSilence,
+} = require("../silence_detector");
+const {
+  ffmpegMissing,
+  makeTempDir,
+  makeVideo,
+  probeDuration,
+} = require("./helpers");
+
+/**
+ * 把 time 处的一帧缩成 1x1 像素，返回 [r, g, b]
+ */
+async function sampleColor(file, time) {
+  const pixel = `${file}.rgb`;
+  await new FFmpegRunner().ffmpeg([
+    "-y",
+    "-ss",
+    time,
+    "-i",
+    mediaPath(file),
+    "-frames:v",
+    1,
+    "-vf",
+    "scale=1:1,format=rgb24",
+    "-f",
+    "rawvideo",
+    mediaPath(pixel),
+  ]);
+  const [r, g, b] = fs.readFileSync(pixel);
+  fs.unlinkSync(pixel);
+  return [r, g, b];
+}
+
+// 红色遮罩会拉开红色和绿色通道的差
+async function redShift(source, output, time) {
+  const [r0, g0] = await sampleColor(source, time);
+  const [r1, g1] = await sampleColor(output, time);
+  return r1 - g1 - (r0 - g0);
+}
+
+test("visualizeSilence marks silence on real videos", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  config.configure({ cache: { enabled: false } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test("no silence copies the input", async () => {
+    const source = await makeVideo(path.join(dir, "tone.mp4"));
+    const output = path.join(dir, "tone_marked.mp4");
+
+    await visualizeSilence(source, output);
+
+    assert.deepStrictEqual(fs.readFileSync(output), fs.readFileSync(source));
+  });
+
+  await t.test("trailing silence is marked to the end", async () => {
+    const source = await makeVideo(path.join(dir, "tail.mp4"), 2, {
+      tone: 1.5,
+    });
+    const output = path.join(dir, "tail_marked.mp4");
+
+    await visualizeSilence(source, output);
+
+    const duration = await probeDuration(output);
+    assert.ok(Math.abs(duration - 4) < 0.1, `duration ${duration}`);
+    assert.ok((await redShift(source, output, 0.5)) < 10);
+    assert.ok((await redShift(source, output, 3.8)) > 30);
+
+    // 静音短于 minDuration 时不标记
+    const unmarked = path.join(dir, "tail_unmarked.mp4");
+    await visualizeSilence(source, unmarked, -30, 3);
+    assert.deepStrictEqual(fs.readFileSync(unmarked), fs.readFileSync(source));
+  });
+
+  await t.test("remove and speedup report both durations", async () => {
+    const source = await makeVideo(path.join(dir, "pause.mp4"), 2, {
+      tone: 1.5,
+    });
+    t.mock.method(console, "log", () => {});
+
+    const trimmed = path.join(dir, "pause_trimmed.mp4");
+    const removed = await removeSilence(source, trimmed, -30, 0.5, 0.1, "copy");
+    assert.strictEqual(removed.outputFile, trimmed);
+    assert.ok(Math.abs(removed.originalDuration - 4) < 0.1);
+    assert.ok(removed.newDuration < 3, `new ${removed.newDuration}`);
+
+    const fast = path.join(dir, "pause_fast.mp4");
+    const sped = await speedUpSilence(source, fast, 4, { maxGap: 0 });
+    assert.strictEqual(sped.outputFile, fast);
+    assert.ok(Math.abs(sped.originalDuration - 4) < 0.1);
+    // 1.6 秒原速加上 2.4 秒静音的四倍速
+    assert.ok(
+      Math.abs(sped.newDuration - 2.2) < 0.3,
+      `new ${sped.newDuration}`,
+    );
+    const probed = await probeDuration(fast);
+    assert.ok(Math.abs(probed - sped.newDuration) < 0.2, `probed ${probed}`);
+  });
+});
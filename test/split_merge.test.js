@@ -0,0 +1,76 @@
+// split_merge.test.js - 特殊文件名的分割与合并测试
+/**
+ * 在以 "-" 开头、含引号、$、反引号、é 和冒号的文件名上实际运行 split 和 merge
+ * smart 模式会把源视频写入 concat 列表，copy 合并会把输出文件名交给 FFmpeg
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { splitByScenes, mergeScenes } = require("../index");
+const {
+  ADVERSARIAL_NAME,
+  ffmpegMissing,
+  makeTempDir,
+  makeVideo,
+  probeDuration,
+} = require("./helpers");
+
+test("split and merge a video with an adversarial file name", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  config.configure({ cache: { enabled: false } });
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await makeVideo(ADVERSARIAL_NAME);
+  const scenesDir = "-scènes $x 'y'";
+
+  await t.test("split (smart)", async () => {
+    const clips = await splitByScenes(
+      ADVERSARIAL_NAME,
+      [1.6],
+      scenesDir,
+      "smart",
+    );
+    assert.strictEqual(clips.length, 2);
+    assert.deepStrictEqual(
+      clips.map((clip) => path.basename(clip.file)),
+      [
+        "-it's $HOME `id` é:b_scene_001.mp4",
+        "-it's $HOME `id` é:b_scene_002.mp4",
+      ],
+    );
+    for (const clip of clips) {
+      assert.ok(fs.existsSync(clip.file));
+      const duration = await probeDuration(clip.file);
+      assert.ok(Math.abs(duration - (clip.end - clip.start)) < 0.05);
+    }
+  });
+
+  await t.test("merge (copy)", async () => {
+    const output = "-merged 'ü' $x:y.mp4";
+    const result = await mergeScenes(
+      ADVERSARIAL_NAME,
+      [2],
+      0.5,
+      output,
+      "copy",
+    );
+    assert.strictEqual(result.mergedFile, output);
+    assert.strictEqual(result.segments.length, 2);
+    assert.ok(fs.existsSync(path.join(dir, output)));
+    assert.ok(Math.abs((await probeDuration(output)) - 4) < 0.1);
+  });
+});
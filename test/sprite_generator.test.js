@@ -0,0 +1,142 @@
+// sprite_generator.test.js - 精灵图测试
+/**
+ * 取帧时间段、多张精灵图的换页和 #xywh= 偏移，
+ * 以及场景模式下某一帧取不到时报错而不是让后面的格子错位
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { FFmpegRunner } = require("../ffmpeg_runner");
+const { parseSubtitles } = require("../subtitle_retimer");
+const {
+  buildSpriteCues,
+  placeSpriteCues,
+  formatSpriteVTT,
+  generateSprites,
+} = require("../sprite_generator");
+const { ffmpegMissing, makeTempDir, makeVideo } = require("./helpers");
+
+// 时间取到毫秒比较
+const times = (cues) =>
+  cues.map((cue) =>
+    [cue.start, cue.end, cue.time].map((t) => Math.round(t * 1000)),
+  );
+
+test("buildSpriteCues splits by interval and by scene", () => {
+  assert.deepStrictEqual(times(buildSpriteCues(12, { interval: 5 })), [
+    [0, 5000, 0],
+    [5000, 10000, 5000],
+    [10000, 12000, 10000],
+  ]);
+  assert.throws(
+    () => buildSpriteCues(12, { interval: 0 }),
+    /Invalid sprite interval/,
+  );
+
+  // 0 和超出时长的切点忽略；短场景在中点取帧
+  assert.deepStrictEqual(
+    times(buildSpriteCues(10, { interval: 5, cuts: [0, 4, 9.9, 12] })),
+    [
+      [0, 4000, 100],
+      [4000, 9900, 4100],
+      [9900, 10000, 9950],
+    ],
+  );
+});
+
+test("placeSpriteCues fills each sheet row by row, then rolls over", () => {
+  const cues = buildSpriteCues(14, { interval: 2 });
+  const placed = placeSpriteCues(cues, ["s_001.jpg", "s_002.jpg"], {
+    width: 160,
+    height: 90,
+    columns: 2,
+    rows: 2,
+  });
+  assert.deepStrictEqual(
+    placed.map((cue) => [cue.sheet, cue.x, cue.y]),
+    [
+      ["s_001.jpg", 0, 0],
+      ["s_001.jpg", 160, 0],
+      ["s_001.jpg", 0, 90],
+      ["s_001.jpg", 160, 90],
+      ["s_002.jpg", 0, 0],
+      ["s_002.jpg", 160, 0],
+      ["s_002.jpg", 0, 90],
+    ],
+  );
+  assert.deepStrictEqual(
+    [placed[6].start, placed[6].end, placed[6].width, placed[6].height],
+    [12, 14, 160, 90],
+  );
+
+  assert.strictEqual(
+    formatSpriteVTT(placed.slice(3, 5), "https://cdn.example.com/v/"),
+    [
+      "WEBVTT",
+      "",
+      "00:00:06.000 --> 00:00:08.000",
+      "https://cdn.example.com/v/s_001.jpg#xywh=160,90,160,90",
+      "",
+      "00:00:08.000 --> 00:00:10.000",
+      "https://cdn.example.com/v/s_002.jpg#xywh=0,0,160,90",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("generateSprites in scene mode", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  config.configure({ cache: { enabled: false } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const source = await makeVideo(path.join(dir, "in.mp4"));
+
+  await t.test("one tile per scene", async () => {
+    const output = path.join(dir, "ok", "sprites.vtt");
+    const result = await generateSprites(source, output, {
+      scenes: [0, 2],
+      width: 160,
+      height: 120,
+    });
+    assert.strictEqual(result.frames, 2);
+    assert.deepStrictEqual(result.tile, {
+      width: 160,
+      height: 120,
+      columns: 2,
+      rows: 1,
+    });
+    const { cues } = parseSubtitles(fs.readFileSync(output, "utf8"));
+    assert.deepStrictEqual(
+      cues.map((cue) => cue.text),
+      [
+        "sprites_001.jpg#xywh=0,0,160,120",
+        "sprites_001.jpg#xywh=160,0,160,120",
+      ],
+    );
+  });
+
+  await t.test("a missing scene frame is an error", async (t) => {
+    // 第二个场景的帧不写出
+    const ffmpeg = FFmpegRunner.prototype.ffmpeg;
+    t.mock.method(FFmpegRunner.prototype, "ffmpeg", function (args, ...rest) {
+      if (String(args[args.length - 1]).endsWith("frame_00001.png")) {
+        return Promise.resolve("");
+      }
+      return ffmpeg.call(this, args, ...rest);
+    });
+    const output = path.join(dir, "gap", "sprites.vtt");
+    await assert.rejects(
+      generateSprites(source, output, { scenes: [0, 2], width: 160 }),
+      /Could not extract the sprite frame for the scene at 2s/,
+    );
+    assert.ok(!fs.existsSync(output));
+  });
+});
@@ -0,0 +1,176 @@
+// subtitle_retimer.test.js - 字幕解析与重新定时测试
+/**
+ * SRT / WebVTT 的解析和往返格式化，以及删除片段后字幕的裁剪、合并、拆分和丢弃
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseSubtitles,
+  formatSubtitles,
+  retimeCues,
+} = require("../subtitle_retimer");
+
+const SRT = [
+  "1",
+  "00:00:01,000 --> 00:00:02,500",
+  "Hello",
+  "",
+  "2",
+  "00:01:02,040 --> 01:00:00,000",
+  "Two",
+  "lines",
+  "",
+].join("\n");
+
+const VTT = [
+  "WEBVTT - Lecture",
+  "",
+  "NOTE speaker notes are ignored",
+  "",
+  "00:01.000 --> 00:02.500 align:start position:10%",
+  "Hello",
+  "",
+  "intro",
+  "01:00:00.000 --> 01:00:01.250",
+  "<v Ann>Bye",
+  "",
+].join("\n");
+
+// 只比较时间（毫秒）和文本
+const summary = (cues) =>
+  cues.map((cue) => [
+    Math.round(cue.start * 1000),
+    Math.round(cue.end * 1000),
+    cue.text,
+  ]);
+
+test("parseSubtitles reads SRT with BOM, CRLF and multi-line text", () => {
+  const text = `﻿${SRT.replace(/\n/g, "\r\n")}`;
+  const { format, cues } = parseSubtitles(text);
+  assert.strictEqual(format, "srt");
+  assert.deepStrictEqual(summary(cues), [
+    [1000, 2500, "Hello"],
+    [62040, 3600000, "Two\nlines"],
+  ]);
+});
+
+test("parseSubtitles reads WebVTT header, short timings, settings and identifiers", () => {
+  const { format, header, cues } = parseSubtitles(VTT);
+  assert.strictEqual(format, "vtt");
+  assert.strictEqual(header, "WEBVTT - Lecture");
+  assert.deepStrictEqual(summary(cues), [
+    [1000, 2500, "Hello"],
+    [3600000, 3601250, "<v Ann>Bye"],
+  ]);
+  assert.strictEqual(cues[0].settings, "align:start position:10%");
+  assert.strictEqual(cues[1].settings, "");
+});
+
+test("parseSubtitles pads short milliseconds and rejects invalid timecodes", () => {
+  const { cues } = parseSubtitles("1\n00:00:01,5 --> 00:00:02,25\nA\n");
+  assert.deepStrictEqual(summary(cues), [[1500, 2250, "A"]]);
+  assert.throws(
+    () => parseSubtitles("1\n00:00:01 --> 00:00:02,000\nA\n"),
+    /Invalid subtitle timecode: 00:00:01/,
+  );
+});
+
+test("formatSubtitles round-trips SRT and WebVTT", () => {
+  const srt = parseSubtitles(SRT);
+  assert.strictEqual(formatSubtitles(srt.cues, "srt"), SRT);
+
+  const vtt = parseSubtitles(VTT);
+  assert.strictEqual(
+    formatSubtitles(vtt.cues, "vtt", vtt.header),
+    [
+      "WEBVTT - Lecture",
+      "",
+      "00:00:01.000 --> 00:00:02.500 align:start position:10%",
+      "Hello",
+      "",
+      "01:00:00.000 --> 01:00:01.250",
+      "<v Ann>Bye",
+      "",
+    ].join("\n"),
+  );
+  // WebVTT 的位置设置不写入 SRT
+  assert.strictEqual(
+    formatSubtitles(vtt.cues.slice(0, 1), "srt"),
+    "1\n00:00:01,000 --> 00:00:02,500\nHello\n",
+  );
+});
+
+test("retimeCues shifts, trims, merges and drops cues around a removed range", () => {
+  const cues = [
+    { start: 1, end: 1.5, text: "inside" },
+    { start: 1.5, end: 6, text: "straddles the cut" },
+    { start: 3, end: 4, text: "removed" },
+    { start: 7.5, end: 9, text: "past the end" },
+  ];
+  // 删除 2-5 秒和 8 秒之后
+  const result = retimeCues(
+    cues,
+    [
+      { start: 0, end: 2 },
+      { start: 5, end: 8 },
+    ],
+    { minCueDuration: 0.2 },
+  );
+
+  assert.deepStrictEqual(summary(result.cues), [
+    [1000, 1500, "inside"],
+    // 剪切点两侧在输出中相连，合并为一条
+    [1500, 3000, "straddles the cut"],
+    [4500, 5000, "past the end"],
+  ]);
+  assert.strictEqual(result.dropped, 1);
+  assert.strictEqual(result.split, 0);
+});
+
+test("retimeCues splits cues whose kept parts are not contiguous in the output", () => {
+  // 输出顺序与源视频相反
+  const result = retimeCues(
+    [{ start: 1, end: 6, text: "both" }],
+    [
+      { start: 5, end: 8 },
+      { start: 0, end: 2 },
+    ],
+    { minCueDuration: 0.2 },
+  );
+  assert.deepStrictEqual(summary(result.cues), [
+    [0, 1000, "both"],
+    [4000, 5000, "both"],
+  ]);
+  assert.strictEqual(result.split, 1);
+  assert.strictEqual(result.dropped, 0);
+});
+
+test("retimeCues drops slivers but keeps cues that were short to begin with", () => {
+  const result = retimeCues(
+    [
+      { start: 1.9, end: 3, text: "sliver" },
+      { start: 0.5, end: 0.55, text: "short" },
+    ],
+    [
+      { start: 0, end: 2 },
+      { start: 5, end: 8 },
+    ],
+    { minCueDuration: 0.2 },
+  );
+  assert.deepStrictEqual(summary(result.cues), [[500, 550, "short"]]);
+  assert.strictEqual(result.dropped, 1);
+});
+
+test("retimeCues uses actual ranges and transition overlap", () => {
+  const result = retimeCues(
+    [{ start: 6, end: 7, text: "after" }],
+    [
+      { start: 0.2, end: 2, actualStart: 0, actualEnd: 2 },
+      { start: 5, end: 8 },
+    ],
+    { transitionDuration: 0.5, minCueDuration: 0.2 },
+  );
+  // 第二段从 2 - 0.5 = 1.5 秒开始
+  assert.deepStrictEqual(summary(result.cues), [[2500, 3500, "after"]]);
+});
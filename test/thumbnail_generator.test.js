@@ -0,0 +1,54 @@
+// thumbnail_generator.test.js - 故事板测试
+/**
+ * 故事板按网格排列：输出尺寸为 列数 x 320 乘 行数 x 180
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { FFmpegRunner, mediaPath } = require("../ffmpeg_runner");
+const { generateStoryboard } = require("../thumbnail_generator");
+const { ffmpegMissing, makeTempDir, makeVideo } = require("./helpers");
+
+async function probeSize(file) {
+  const output = await new FFmpegRunner().ffprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "stream=width,height",
+    "-of",
+    "csv=p=0",
+    mediaPath(file),
+  ]);
+  return output.trim();
+}
+
+test("generateStoryboard lays tiles out as a grid", async (t) => {
+  const missing = ffmpegMissing();
+  if (missing) {
+    t.skip(missing);
+    return;
+  }
+
+  const dir = makeTempDir();
+  config.configure({ cache: { enabled: false } });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const source = await makeVideo(path.join(dir, "source.mp4"));
+
+  await t.test("3x3", async () => {
+    const output = path.join(dir, "sb.jpg");
+    await generateStoryboard(source, output);
+    assert.strictEqual(await probeSize(output), "960,540");
+  });
+
+  await t.test("2 rows x 4 columns", async () => {
+    const output = path.join(dir, "sb_2x4.jpg");
+    await generateStoryboard(source, output, 2, 4);
+    assert.strictEqual(await probeSize(output), "1280,360");
+  });
+});
@@ -0,0 +1,86 @@
+// timeline_exporter.test.js - 帧率、时间码和场景片段测试
+/**
+ * 丢帧时间码在每分钟、每十分钟和整点的进位，非丢帧时间码，
+ * NTSC 小数帧率的还原，以及重复和超出范围的切点
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseFrameRate,
+  framesToTimecode,
+  buildSceneClips,
+} = require("../timeline_exporter");
+
+const NTSC = parseFrameRate("30000/1001");
+
+test("29.97 drop-frame timecode skips ;00 and ;01 at minute 1", () => {
+  assert.strictEqual(framesToTimecode(0, NTSC), "00:00:00;00");
+  assert.strictEqual(framesToTimecode(1799, NTSC), "00:00:59;29");
+  assert.strictEqual(framesToTimecode(1800, NTSC), "00:01:00;02");
+  assert.strictEqual(framesToTimecode(1801, NTSC), "00:01:00;03");
+});
+
+test("29.97 drop-frame timecode keeps ;00 at minute 10", () => {
+  assert.strictEqual(framesToTimecode(17981, NTSC), "00:09:59;29");
+  assert.strictEqual(framesToTimecode(17982, NTSC), "00:10:00;00");
+  assert.strictEqual(framesToTimecode(19782, NTSC), "00:11:00;02");
+});
+
+test("29.97 drop-frame timecode rolls over to hour 1", () => {
+  assert.strictEqual(framesToTimecode(107891, NTSC), "00:59:59;29");
+  assert.strictEqual(framesToTimecode(107892, NTSC), "01:00:00;00");
+});
+
+test("59.94 drop-frame timecode drops four frame numbers per minute", () => {
+  const rate = parseFrameRate("60000/1001");
+  assert.strictEqual(framesToTimecode(3599, rate), "00:00:59;59");
+  assert.strictEqual(framesToTimecode(3600, rate), "00:01:00;04");
+  assert.strictEqual(framesToTimecode(35964, rate), "00:10:00;00");
+});
+
+test("25 fps timecode is non-drop-frame", () => {
+  const rate = parseFrameRate("25/1");
+  assert.strictEqual(framesToTimecode(1, rate), "00:00:00:01");
+  assert.strictEqual(framesToTimecode(1499, rate), "00:00:59:24");
+  assert.strictEqual(framesToTimecode(1500, rate), "00:01:00:00");
+  assert.strictEqual(framesToTimecode(90000, rate), "01:00:00:00");
+});
+
+test("parseFrameRate restores NTSC rates and reduces fractions", () => {
+  assert.deepStrictEqual(parseFrameRate("29.97"), {
+    num: 30000,
+    den: 1001,
+    fps: 30000 / 1001,
+  });
+  assert.deepStrictEqual(parseFrameRate(29.97), parseFrameRate("29.97"));
+  assert.strictEqual(parseFrameRate("23.976").num, 24000);
+  assert.strictEqual(parseFrameRate("23.976").den, 1001);
+  assert.deepStrictEqual(parseFrameRate("25"), { num: 25, den: 1, fps: 25 });
+  assert.deepStrictEqual(parseFrameRate("50/2"), { num: 25, den: 1, fps: 25 });
+  // ffprobe 对未知帧率返回 0/0，使用默认的 30
+  assert.deepStrictEqual(parseFrameRate("0/0"), { num: 30, den: 1, fps: 30 });
+});
+
+test("buildSceneClips ignores duplicate, unsorted and out-of-range cuts", () => {
+  const rate = parseFrameRate("25/1");
+  // 2.01 秒与 2 秒落在同一帧；0、负数和不小于总时长的切点不产生场景
+  const clips = buildSceneClips([5, 2, 2, 0, -1, 12, 2.01, 10], 10, rate);
+  assert.deepStrictEqual(
+    clips.map((clip) => [clip.name, clip.sourceIn, clip.sourceOut]),
+    [
+      ["Scene 1", 0, 50],
+      ["Scene 2", 50, 125],
+      ["Scene 3", 125, 250],
+    ],
+  );
+  assert.deepStrictEqual(
+    clips.map((clip) => [clip.recordIn, clip.recordOut]),
+    [
+      [0, 50],
+      [50, 125],
+      [125, 250],
+    ],
+  );
+  assert.strictEqual(buildSceneClips([], 10, rate).length, 1);
+});
@@ -4,26 +4,38 @@
  * 自动选择最佳帧、生成缩略图、故事板、GIF预览
  */
 
-const { execSync } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const config = require("./config");
+const analysisCache = require("./analysis_cache");
+const { getRunner, mediaPath, escapeFilterValue } = require("./ffmpeg_runner");
 
-const FFMPEG =
-  process.platform === "win32"
-    ? "D:\\WorkSpace\\ffmpeg\\bin\\ffmpeg.exe"
-    : "ffmpeg";
+// 单张图片输出：-update 1 让 image2 不把文件名中的 % 当作序号模板
+const SINGLE_IMAGE = ["-frames:v", 1, "-update", 1];
 
-const FFPROBE =
-  process.platform === "win32"
-    ? "D:\\WorkSpace\\ffmpeg\\bin\\ffprobe.exe"
-    : "ffprobe";
+// 故事板中每格的尺寸（像素）
+const STORYBOARD_TILE = { width: 320, height: 180 };
 
 /**
  * 获取视频信息
  */
-function getVideoInfo(videoPath) {
-  const cmd = `${FFPROBE} -v error -select_streams v:0 -show_entries stream=width,height,duration,r_frame_rate -of default=noprint_wrappers=1 "${videoPath}"`;
-  const output = execSync(cmd, { encoding: "utf-8" });
+async function getVideoInfo(videoPath, options = {}) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "v:0",
+      "-show_entries",
+      "stream=width,height,duration,r_frame_rate",
+      "-of",
+      "default=noprint_wrappers=1",
+      mediaPath(videoPath),
+    ],
+    options,
+  );
 
   const info = {};
   output.split("\n").forEach((line) => {
@@ -41,24 +53,227 @@ function getVideoInfo(videoPath) {
   };
 }
 
+/**
+ * 候选帧评分权重（合计 1）
+ *   exposure      - 平均亮度 (YAVG) 越接近中间调越高
+ *   contrast      - 亮度分布范围 (YHIGH - YLOW)
+ *   sharpness     - 边缘密度（edgedetect 后的平均值），模糊的帧边缘少
+ *   saturation    - 平均饱和度 (SATAVG)
+ *   colourfulness - 色度的离散程度和偏离灰色的程度（Hasler-Süsstrunk 的 YUV 近似）
+ *   position      - 越靠近视频中间越高
+ */
+const SCORE_WEIGHTS = {
+  exposure: 0.2,
+  contrast: 0.15,
+  sharpness: 0.3,
+  saturation: 0.1,
+  colourfulness: 0.15,
+  position: 0.1,
+};
+
+// 各项指标达到此值时得满分（8 位 limited range）
+const SCORE_SCALES = {
+  contrast: 160,
+  sharpness: 0.05,
+  saturation: 60,
+  colourfulness: 50,
+};
+
+// 白场亮度下限；黑场使用 transitions.blackLuma
+const WHITE_LUMA = 225;
+
+// 亮度分布范围小于此值视为纯色画面
+const FLAT_RANGE = 8;
+
+// 评分时缩小到的宽度，只影响速度
+const SCORE_WIDTH = 320;
+
+/**
+ * 解析 metadata=print 输出的 signalstats，按滤镜实例分组（先原始画面，后边缘图）
+ */
+function parseSignalStats(log) {
+  const groups = new Map();
+  const matches = log.matchAll(
+    /\[Parsed_metadata_(\d+) @ [^\]]+\] lavfi\.signalstats\.(\w+)=([\d.]+)/g,
+  );
+  for (const match of matches) {
+    const instance = parseInt(match[1]);
+    if (!groups.has(instance)) groups.set(instance, {});
+    groups.get(instance)[match[2]] = parseFloat(match[3]);
+  }
+  return [...groups.keys()].sort((a, b) => a - b).map((k) => groups.get(k));
+}
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value, digits) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+// 场景两端各排除场景时长的这一比例（至少 thumbnails.sceneMargin 秒），避开切换和运动模糊
+const SCENE_EDGE_RATIO = 0.15;
+
+/**
+ * 在每个场景稳定的中间部分采样候选帧
+ * @param {Array<number>} cuts - 场景切换时间点（秒，升序）
+ * @param {number} duration - 视频总时长（秒）
+ * @param {number} candidates - 候选帧总数；场景多于此数时只采样最长的场景
+ * @param {number} margin - 场景两端至少排除的时长（秒）
+ * @returns {Array<{timestamp: number, scene: object}>}
+ */
+function sampleSceneCandidates(cuts, duration, candidates, margin) {
+  const bounds = [0, ...cuts.filter((t) => t > 0 && t < duration), duration];
+  let scenes = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    scenes.push({ index: i + 1, start: bounds[i], end: bounds[i + 1] });
+  }
+  if (scenes.length > candidates) {
+    scenes = scenes
+      .sort((a, b) => b.end - b.start - (a.end - a.start))
+      .slice(0, candidates)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  const perScene = Math.max(1, Math.floor(candidates / scenes.length));
+  const samples = [];
+  scenes.forEach((scene) => {
+    const length = scene.end - scene.start;
+    const edge = Math.max(margin, length * SCENE_EDGE_RATIO);
+    // 太短的场景只取中点
+    if (length <= edge * 2) {
+      samples.push({ timestamp: round(scene.start + length / 2, 3), scene });
+      return;
+    }
+    const from = scene.start + edge;
+    const span = length - edge * 2;
+    for (let i = 0; i < perScene; i++) {
+      samples.push({
+        timestamp: round(from + (span * (i + 0.5)) / perScene, 3),
+        scene,
+      });
+    }
+  });
+  return samples;
+}
+
+/**
+ * 从不同场景中选出评分最高的 N 帧
+ * 候选帧只从每个场景稳定的中间部分采样，每个场景最多入选一帧
+ *
+ * @param {string} videoPath - 视频路径
+ * @param {number} count - 需要的封面数量
+ * @param {object} options - {runner, signal, candidates, scenes, threshold, detailed}
+ *   scenes 为 detectScenes 的结果（时间戳或场景对象），不传时按 threshold 检测
+ * @returns {Promise<Array|object>} [{timestamp, score, scene, rejected, metrics, components}]，按评分降序；
+ *   detailed 时返回 {frames, candidates}
+ */
+async function findSceneThumbnails(videoPath, count = 3, options = {}) {
+  const runner = getRunner(options);
+  const candidates = options.candidates || 10;
+  const info = await getVideoInfo(videoPath, { runner });
+  const duration = info.duration;
+
+  // 与 index.js 互相引用，延迟加载
+  const scenes =
+    options.scenes ||
+    (await require("./index").detectScenes(
+      videoPath,
+      options.threshold || config.getConfig().threshold,
+      { runner },
+    ));
+  const cuts = scenes.map((scene) =>
+    typeof scene === "number" ? scene : scene.start,
+  );
+
+  const samples = sampleSceneCandidates(
+    cuts,
+    duration,
+    candidates,
+    config.getConfig().thumbnails.sceneMargin,
+  );
+  console.log(
+    `[Analyzing] Scoring ${samples.length} candidates from ${new Set(samples.map((s) => s.scene.index)).size} scenes...`,
+  );
+  runner.stage("Scoring thumbnail candidates");
+
+  const frames = [];
+  for (const sample of samples) {
+    const frame = await evaluateFrameQuality(videoPath, sample.timestamp, {
+      runner,
+      duration,
+    });
+    frames.push({ ...frame, scene: sample.scene });
+  }
+
+  // 每个场景取最高分的一帧
+  const bestPerScene = new Map();
+  frames
+    .filter((frame) => !frame.rejected)
+    .forEach((frame) => {
+      const current = bestPerScene.get(frame.scene.index);
+      if (!current || frame.score > current.score) {
+        bestPerScene.set(frame.scene.index, frame);
+      }
+    });
+  const top = [...bestPerScene.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count);
+
+  if (top.length < count) {
+    console.log(
+      `[INFO] Only ${top.length} scenes have a usable frame (asked for ${count})`,
+    );
+  }
+  top.forEach((frame, i) => {
+    console.log(
+      `[OK] #${i + 1}: ${frame.timestamp.toFixed(2)}s in scene ${frame.scene.index} (score: ${frame.score.toFixed(2)})`,
+    );
+  });
+
+  return options.detailed ? { frames: top, candidates: frames } : top;
+}
+
 /**
  * 智能选择最佳封面帧
- * 基于以下标准：
- * 1. 避免黑屏/白屏
- * 2. 优先选择有人脸的帧
- * 3. 画面变化适中的帧（不要太静太动）
- * 4. 亮度适中的帧
+ * 每个候选帧按 SCORE_WEIGHTS 加权评分，黑场、白场和纯色画面直接淘汰
  *
  * @param {string} videoPath - 视频路径
  * @param {number} candidates - 候选帧数量（从视频中采样）
- * @returns {number} 最佳帧的时间戳（秒）
+ * @param {object} options - {runner, signal, detailed, sceneAware, scenes, threshold}
+ *   sceneAware 时只在每个场景稳定的中间部分采样（见 findSceneThumbnails），
+ *   否则在 10% - 90% 之间均匀采样
+ * @returns {Promise<number|object>} 最佳帧的时间戳（秒）；
+ *   detailed 时返回 {timestamp, score, candidates}，candidates 为每个候选帧的评分明细
  */
-function findBestThumbnailFrame(videoPath, candidates = 10) {
+async function findBestThumbnailFrame(
+  videoPath,
+  candidates = 10,
+  options = {},
+) {
+  if (options.sceneAware) {
+    const result = await findSceneThumbnails(videoPath, 1, {
+      ...options,
+      candidates,
+      detailed: true,
+    });
+    if (result.frames.length > 0) {
+      const [best] = result.frames;
+      return options.detailed
+        ? {
+            timestamp: best.timestamp,
+            score: best.score,
+            candidates: result.candidates,
+          }
+        : best.timestamp;
+    }
+    console.log("[INFO] No usable scene frame, sampling uniformly");
+  }
+
   console.log(
     `[Analyzing] Finding best thumbnail frame from ${candidates} candidates...`,
   );
 
-  const info = getVideoInfo(videoPath);
+  const runner = getRunner(options);
+  runner.stage("Scoring thumbnail candidates");
+  const info = await getVideoInfo(videoPath, { runner });
   const duration = info.duration;
 
   // 排除片头片尾（各10%）
@@ -71,54 +286,122 @@ function findBestThumbnailFrame(videoPath, candidates = 10) {
   // 采样候选帧并评估质量
   for (let i = 0; i < candidates; i++) {
     const timestamp = startTime + i * interval;
-    const score = evaluateFrameQuality(videoPath, timestamp);
-    frames.push({ timestamp, score });
+    frames.push(
+      await evaluateFrameQuality(videoPath, timestamp, { runner, duration }),
+    );
   }
 
-  // 按评分排序，选择最高分
-  frames.sort((a, b) => b.score - a.score);
-  const bestFrame = frames[0];
+  // 按评分排序，选择最高分；全部被淘汰时退回中间的候选帧
+  const ranked = [...frames].sort((a, b) => b.score - a.score);
+  const bestFrame =
+    ranked[0].score > 0 ? ranked[0] : frames[Math.floor(candidates / 2)];
+  if (ranked[0].score === 0) {
+    console.log("[INFO] Every candidate was rejected, using the middle frame");
+  }
 
   console.log(
     `[OK] Best frame found at ${bestFrame.timestamp.toFixed(2)}s (score: ${bestFrame.score.toFixed(2)})`,
   );
+  if (options.detailed) {
+    return {
+      timestamp: bestFrame.timestamp,
+      score: bestFrame.score,
+      candidates: frames,
+    };
+  }
   return bestFrame.timestamp;
 }
 
 /**
- * 评估单帧质量
- * @returns {number} 质量评分 (0-100)
+ * 评估单帧质量：signalstats 测量原始画面，edgedetect + signalstats 估计清晰度
+ * @param {object} options - {runner, signal, duration}
+ * @returns {Promise<object>} {timestamp, score (0-100), rejected, metrics, components}
+ *   rejected 为 null 或淘汰原因 black | white | flat | no-frame
  */
-function evaluateFrameQuality(videoPath, timestamp) {
-  let score = 50; // 基础分
+async function evaluateFrameQuality(videoPath, timestamp, options = {}) {
+  const runner = getRunner(options);
+  const duration =
+    options.duration || (await getVideoInfo(videoPath, { runner })).duration;
+  const result = {
+    timestamp,
+    score: 0,
+    rejected: null,
+    metrics: null,
+    components: null,
+  };
 
-  try {
-    // 1. 检查亮度（避免过暗或过亮）
-    const brightnessCmd = `${FFMPEG} -ss ${timestamp} -i "${videoPath}" -vf "showinfo" -f null - 2>&1 | findstr "mean:"`;
-    // 简化：使用直方图评估
-
-    // 2. 检测画面变化（避免完全静态或过于动态）
-    const sceneCmd = `${FFMPEG} -ss ${timestamp} -i "${videoPath}" -vf "select='gt(scene,0.1)',showinfo" -f null - 2>&1 | findstr "pts_time"`;
-
-    // 3. 检测人脸（有人脸加分）
-    // 注意：这需要额外的 OpenCV 或 face detection 库
-    // 这里使用简化逻辑
-
-    // 4. 时间权重（中间时间段优先）
-    const info = getVideoInfo(videoPath);
-    const normalizedTime = timestamp / info.duration;
-    const timeBonus = 20 - Math.abs(normalizedTime - 0.5) * 40; // 中间时间加分
-    score += timeBonus;
-
-    // 5. 避免开头和结尾
-    if (timestamp < info.duration * 0.1 || timestamp > info.duration * 0.9) {
-      score -= 20;
-    }
-  } catch (e) {
-    // 出错时返回中等分数
+  // 原始测量值按时间点缓存，评分和淘汰规则每次重新计算
+  const [frame, edges] = await analysisCache.remember(
+    videoPath,
+    "quality",
+    `${SCORE_WIDTH}@${Number(timestamp).toFixed(3)}`,
+    async () => {
+      const { stderr } = await runner.ffmpeg([
+        "-ss",
+        timestamp,
+        "-i",
+        mediaPath(videoPath),
+        "-frames:v",
+        1,
+        "-vf",
+        `scale=${SCORE_WIDTH}:-2,signalstats,metadata=print,edgedetect,signalstats,metadata=print`,
+        "-an",
+        "-f",
+        "null",
+        "-",
+      ]);
+      return parseSignalStats(stderr);
+    },
+  );
+  if (!frame || !edges) {
+    result.rejected = "no-frame";
+    return result;
   }
 
-  return Math.max(0, Math.min(100, score));
+  const chromaSpread = Math.hypot(
+    (frame.UHIGH - frame.ULOW) / 2.56, // 10%-90% 分位差约为 2.56 个标准差
+    (frame.VHIGH - frame.VLOW) / 2.56,
+  );
+  const chromaOffset = Math.hypot(frame.UAVG - 128, frame.VAVG - 128);
+  const metrics = {
+    luma: round(frame.YAVG, 2),
+    contrast: frame.YHIGH - frame.YLOW,
+    saturation: round(frame.SATAVG, 2),
+    sharpness: round(edges.YAVG / 255, 4),
+    colourfulness: round(chromaSpread + 0.3 * chromaOffset, 2),
+  };
+  result.metrics = metrics;
+
+  if (metrics.luma < config.getConfig().transitions.blackLuma) {
+    result.rejected = "black";
+  } else if (metrics.luma > WHITE_LUMA) {
+    result.rejected = "white";
+  } else if (metrics.contrast < FLAT_RANGE) {
+    result.rejected = "flat";
+  }
+
+  const components = {
+    exposure: clamp01(1 - Math.abs(metrics.luma - 125.5) / 109.5),
+    contrast: clamp01(metrics.contrast / SCORE_SCALES.contrast),
+    sharpness: clamp01(metrics.sharpness / SCORE_SCALES.sharpness),
+    saturation: clamp01(metrics.saturation / SCORE_SCALES.saturation),
+    colourfulness: clamp01(metrics.colourfulness / SCORE_SCALES.colourfulness),
+    position: duration
+      ? clamp01(1 - Math.abs(timestamp / duration - 0.5) * 2)
+      : 0,
+  };
+  result.components = Object.fromEntries(
+    Object.entries(components).map(([key, value]) => [key, round(value, 3)]),
+  );
+
+  if (!result.rejected) {
+    const total = Object.entries(SCORE_WEIGHTS).reduce(
+      (sum, [key, weight]) => sum + weight * components[key],
+      0,
+    );
+    result.score = round(total * 100, 2);
+  }
+  return result;
 }
 
 /**
@@ -128,21 +411,38 @@ function evaluateFrameQuality(videoPath, timestamp) {
  * @param {number} timestamp - 时间点（秒），不传则自动选择最佳帧
  * @param {number} width - 输出宽度
  * @param {number} quality - 图片质量 (1-31, 1=最佳)
+ * @param {object} options - {runner, signal}
  */
-function generateThumbnail(
+async function generateThumbnail(
   videoPath,
   outputFile,
   timestamp = null,
   width = 1280,
   quality = 2,
+  options = {},
 ) {
+  const runner = getRunner(options);
   const time =
-    timestamp !== null ? timestamp : findBestThumbnailFrame(videoPath);
+    timestamp !== null
+      ? timestamp
+      : await findBestThumbnailFrame(videoPath, 10, { runner });
 
   console.log(`[Generating] Thumbnail at ${time.toFixed(2)}s...`);
 
-  const cmd = `${FFMPEG} -y -ss ${time} -i "${videoPath}" -vf "scale=${width}:-1:force_original_aspect_ratio=decrease" -vframes 1 -q:v ${quality} "${outputFile}"`;
-  execSync(cmd, { stdio: "pipe" });
+  runner.stage("Generating thumbnail");
+  await runner.ffmpeg([
+    "-y",
+    "-ss",
+    time,
+    "-i",
+    mediaPath(videoPath),
+    "-vf",
+    `scale=${width}:-1:force_original_aspect_ratio=decrease`,
+    ...SINGLE_IMAGE,
+    "-q:v",
+    quality,
+    mediaPath(outputFile),
+  ]);
 
   console.log(`[OK] Thumbnail saved: ${outputFile}`);
   return outputFile;
@@ -154,9 +454,17 @@ function generateThumbnail(
  * @param {string} outputFile - 输出图片
  * @param {number} rows - 行数
  * @param {number} cols - 列数
+ * @param {object} options - {runner, signal}
  */
-function generateStoryboard(videoPath, outputFile, rows = 3, cols = 3) {
-  const info = getVideoInfo(videoPath);
+async function generateStoryboard(
+  videoPath,
+  outputFile,
+  rows = 3,
+  cols = 3,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const info = await getVideoInfo(videoPath, { runner });
   const duration = info.duration;
   const totalFrames = rows * cols;
 
@@ -177,7 +485,7 @@ function generateStoryboard(videoPath, outputFile, rows = 3, cols = 3) {
 
   timestamps.forEach((ts, i) => {
     filterParts.push(
-      `[0:v]trim=start=${ts}:duration=0.1,setpts=PTS-STARTPTS,scale=320:180[thumb${i}]`,
+      `[0:v]trim=start=${ts}:duration=0.1,setpts=PTS-STARTPTS,scale=${STORYBOARD_TILE.width}:${STORYBOARD_TILE.height}[thumb${i}]`,
     );
     inputs.push(`[thumb${i}]`);
   });
@@ -189,86 +497,372 @@ function generateStoryboard(videoPath, outputFile, rows = 3, cols = 3) {
     inputs.join("") +
     `xstack=inputs=${totalFrames}:layout=`;
 
-  // 生成布局字符串 (例如: 0_0|1_0|2_0|0_1|1_1...)
+  // 生成布局字符串：xstack 的坐标是像素偏移 (例如: 0_0|320_0|640_0|0_180...)
   const layout = [];
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
-      const idx = r * cols + c;
-      layout.push(`${c}_${r}`);
+      layout.push(`${c * STORYBOARD_TILE.width}_${r * STORYBOARD_TILE.height}`);
     }
   }
 
   const finalFilter = filterComplex + layout.join("|") + "[out]";
 
-  const cmd = `${FFMPEG} -y -i "${videoPath}" -filter_complex "${finalFilter}" -map '[out]' -vframes 1 -q:v 2 "${outputFile}"`;
+  runner.stage("Generating storyboard");
 
   try {
-    execSync(cmd, { stdio: "pipe" });
+    await runner.ffmpeg(
+      [
+        "-y",
+        "-i",
+        mediaPath(videoPath),
+        "-filter_complex",
+        finalFilter,
+        "-map",
+        "[out]",
+        ...SINGLE_IMAGE,
+        "-q:v",
+        2,
+        mediaPath(outputFile),
+      ],
+      { duration },
+    );
     console.log(`[OK] Storyboard saved: ${outputFile}`);
     return outputFile;
   } catch (e) {
+    if (e.name === "AbortError") throw e;
     // 如果复杂滤镜失败，使用简化方法
     console.log("[INFO] Using simplified storyboard generation...");
-    return generateSimpleStoryboard(videoPath, outputFile, rows, cols);
+    return generateSimpleStoryboard(videoPath, outputFile, rows, cols, {
+      runner,
+    });
   }
 }
 
+/**
+ * 把目录中按序号命名的帧（frame_000.png, frame_001.png ...）拼成一张网格图
+ * @param {string} frameDir - 帧所在目录
+ * @param {number} cols - 列数
+ * @param {number} rows - 行数
+ * @param {string} outputFile - 输出图片
+ * @param {object} runner - FFmpegRunner
+ * @param {object} options - {start, count, padding, color, after}
+ *   start / count 为使用的帧范围，color 为间隔和空格的颜色，after 为拼接后追加的滤镜
+ */
+async function tileFrames(
+  frameDir,
+  cols,
+  rows,
+  outputFile,
+  runner,
+  options = {},
+) {
+  const padding = options.padding || 0;
+  const filters = [
+    `tile=${cols}x${rows}:padding=${padding}:margin=${padding}:color=${options.color || "black"}`,
+  ];
+  if (options.after) filters.push(options.after);
+
+  await runner.ffmpeg([
+    "-y",
+    "-framerate",
+    1,
+    "-start_number",
+    options.start || 0,
+    // 1 帧/秒，-t 即读取的帧数
+    "-t",
+    options.count || cols * rows,
+    "-i",
+    path.join(frameDir, "frame_%03d.png"),
+    "-vf",
+    filters.join(","),
+    ...SINGLE_IMAGE,
+    "-q:v",
+    2,
+    mediaPath(outputFile),
+  ]);
+  if (!fs.existsSync(outputFile)) {
+    throw new Error(`Failed to render ${outputFile}`);
+  }
+}
+
+const frameName = (i) => `frame_${String(i).padStart(3, "0")}.png`;
+
 /**
  * 简化的故事板生成（逐个提取再拼接）
  */
-function generateSimpleStoryboard(videoPath, outputFile, rows, cols) {
-  const info = getVideoInfo(videoPath);
+async function generateSimpleStoryboard(
+  videoPath,
+  outputFile,
+  rows,
+  cols,
+  options = {},
+) {
+  const runner = getRunner(options);
+  const info = await getVideoInfo(videoPath, { runner });
   const duration = info.duration;
   const totalFrames = rows * cols;
-  const tempDir = "temp_thumbnails";
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
 
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir);
+  try {
+    // 提取每个时间点为独立图片
+    for (let i = 0; i < totalFrames; i++) {
+      const timestamp = duration * ((i + 0.5) / totalFrames);
+      await runner.ffmpeg([
+        "-y",
+        "-ss",
+        timestamp,
+        "-i",
+        mediaPath(videoPath),
+        "-vf",
+        `scale=${STORYBOARD_TILE.width}:${STORYBOARD_TILE.height}:force_original_aspect_ratio=decrease,pad=${STORYBOARD_TILE.width}:${STORYBOARD_TILE.height}:(ow-iw)/2:(oh-ih)/2:black`,
+        ...SINGLE_IMAGE,
+        path.join(workDir, frameName(i)),
+      ]);
+    }
+
+    await tileFrames(workDir, cols, rows, outputFile, runner);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
 
-  // 提取每个时间点为独立图片
-  const images = [];
-  for (let i = 0; i < totalFrames; i++) {
-    const timestamp = duration * ((i + 0.5) / totalFrames);
-    const imgFile = path.join(
-      tempDir,
-      `thumb_${String(i).padStart(2, "0")}.jpg`,
-    );
+  console.log(`[OK] Storyboard saved: ${outputFile}`);
+  return outputFile;
+}
 
-    const cmd = `${FFMPEG} -y -ss ${timestamp} -i "${videoPath}" -vf "scale=320:180:force_original_aspect_ratio=decrease,pad=320:180:(ow-iw)/2:(oh-ih)/2:black" -vframes 1 -q:v 2 "${imgFile}"`;
-    execSync(cmd, { stdio: "pipe" });
-    images.push(imgFile);
-  }
+/**
+ * 预览格式
+ *   quality - 初始画质：GIF 为调色板颜色数，WebP 为 quality (0-100)，MP4 / WebM 为 CRF
+ *   lower   - 超出体积预算时下调一级画质，已到下限时返回 null
+ */
+const PREVIEW_FORMATS = {
+  gif: {
+    quality: 128,
+    lower: (colors) =>
+      colors > 16 ? Math.max(16, Math.floor(colors / 2)) : null,
+    codec: () => ["-loop", 0],
+  },
+  webp: {
+    quality: 75,
+    lower: (q) => (q > 30 ? Math.max(30, q - 15) : null),
+    codec: (q) => [
+      "-c:v",
+      "libwebp",
+      "-lossless",
+      0,
+      "-quality",
+      q,
+      "-compression_level",
+      6,
+      "-loop",
+      0,
+    ],
+  },
+  mp4: {
+    quality: 28,
+    lower: (crf) => (crf < 40 ? Math.min(40, crf + 4) : null),
+    codec: (crf) => [
+      "-c:v",
+      "libx264",
+      "-crf",
+      crf,
+      "-pix_fmt",
+      "yuv420p",
+      "-movflags",
+      "+faststart",
+    ],
+  },
+  webm: {
+    quality: 36,
+    lower: (crf) => (crf < 50 ? Math.min(50, crf + 4) : null),
+    codec: (crf) => [
+      "-c:v",
+      "libvpx-vp9",
+      "-crf",
+      crf,
+      "-b:v",
+      0,
+      "-pix_fmt",
+      "yuv420p",
+    ],
+  },
+};
 
-  // 使用 tile 滤镜拼接（如果支持）
-  const inputArgs = images.map((img) => `-i "${img}"`).join(" ");
-  const filterInputs = images.map((_, i) => `[${i}:v]`).join("");
+// 体积预算的下限：帧率和宽度不会降到这以下
+const PREVIEW_MIN_FPS = 5;
+const PREVIEW_MIN_WIDTH = 160;
 
-  const tileCmd = `${FFMPEG} -y ${inputArgs} -filter_complex "${filterInputs}hstack=inputs=${totalFrames},tile=${cols}x${rows}" -vframes 1 -q:v 2 "${outputFile}" 2>&1`;
+/**
+ * 选出 N 个场景片段：每个片段取自一个场景稳定的中间部分，场景多于 N 时取最长的 N 个
+ * @returns {Array<{start: number, duration: number, scene: object}>}
+ */
+function pickSceneSnippets(cuts, duration, count, snippetDuration) {
+  return sampleSceneCandidates(
+    cuts,
+    duration,
+    count,
+    config.getConfig().thumbnails.sceneMargin,
+  )
+    .slice(0, count)
+    .map(({ timestamp, scene }) => {
+      const length = Math.min(snippetDuration, scene.end - scene.start);
+      const start = Math.min(
+        Math.max(scene.start, timestamp - length / 2),
+        scene.end - length,
+      );
+      return { start: round(start, 3), duration: round(length, 3), scene };
+    });
+}
 
-  try {
-    execSync(tileCmd, { stdio: "pipe" });
-  } catch (e) {
-    // 如果失败，使用 montage 方式
-    console.log("[INFO] Using montage fallback...");
-    // 这里可以添加 ImageMagick 或其他工具支持
+/**
+ * 生成动画预览：GIF、WebP 或静音的 MP4 (H.264) / WebM (VP9) 循环片段
+ * 指定 maxBytes 时，超出预算就依次降低帧率、宽度、画质（调色板 / quality / CRF）重新生成，直到满足预算
+ *
+ * @param {string} videoPath - 视频路径
+ * @param {string} outputFile - 输出文件，格式默认取扩展名
+ * @param {object} options - {runner, signal, format, startTime, duration, width, fps, quality,
+ *   maxBytes, snippets, snippetDuration, scenes, threshold}
+ *   snippets 为 N 时由 N 个场景片段拼接，代替从 startTime（默认视频中间）开始的单个片段；
+ *   每个片段默认 duration / N 秒
+ * @returns {Promise<{file, format, bytes, fps, width, quality, attempts, snippets}>}
+ */
+async function generatePreview(videoPath, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const format =
+    options.format || path.extname(outputFile).slice(1).toLowerCase();
+  const spec = PREVIEW_FORMATS[format];
+  if (!spec) {
+    throw new Error(
+      `Unknown preview format: ${format || "(none)"} (use ${Object.keys(PREVIEW_FORMATS).join(", ")})`,
+    );
   }
-
-  // 清理临时文件
-  images.forEach((img) => {
-    if (fs.existsSync(img)) fs.unlinkSync(img);
-  });
-  if (fs.existsSync(tempDir)) {
-    fs.rmdirSync(tempDir);
+  const info = await getVideoInfo(videoPath, { runner });
+  const duration = options.duration || 3;
+
+  // 片段：单个时间窗口，或多个场景片段
+  let snippets;
+  if (options.snippets) {
+    const scenes =
+      options.scenes ||
+      (await require("./index").detectScenes(
+        videoPath,
+        options.threshold || config.getConfig().threshold,
+        { runner },
+      ));
+    const cuts = scenes.map((scene) =>
+      typeof scene === "number" ? scene : scene.start,
+    );
+    snippets = pickSceneSnippets(
+      cuts,
+      info.duration,
+      options.snippets,
+      options.snippetDuration || duration / options.snippets,
+    );
+  } else {
+    const start =
+      options.startTime !== undefined && options.startTime !== null
+        ? options.startTime
+        : Math.max(0, info.duration / 2 - duration / 2);
+    snippets = [{ start, duration }];
   }
+  const total = snippets.reduce((sum, snippet) => sum + snippet.duration, 0);
 
-  if (fs.existsSync(outputFile)) {
-    console.log(`[OK] Storyboard saved: ${outputFile}`);
-    return outputFile;
-  } else {
-    console.log("[ERROR] Failed to generate storyboard");
-    return null;
+  let settings = {
+    fps: options.fps || 10,
+    width: options.width || 480,
+    quality: options.quality || spec.quality,
+  };
+  const attempts = [];
+
+  for (;;) {
+    const chain = `fps=${settings.fps},scale=${settings.width}:-2:flags=lanczos,setsar=1`;
+    const filters = snippets.map((_, i) => `[${i}:v]${chain}[v${i}]`);
+    filters.push(
+      snippets.length > 1
+        ? `${snippets.map((_, i) => `[v${i}]`).join("")}concat=n=${snippets.length}:v=1:a=0[joined]`
+        : "[v0]null[joined]",
+    );
+    filters.push(
+      format === "gif"
+        ? `[joined]split[s0][s1];[s0]palettegen=max_colors=${settings.quality}[p];[s1][p]paletteuse=dither=bayer[out]`
+        : "[joined]null[out]",
+    );
+
+    console.log(
+      `[Generating] ${format.toUpperCase()} preview (${round(total, 2)}s @ ${settings.fps}fps, ${settings.width}px, quality ${settings.quality})...`,
+    );
+    runner.stage(`Generating ${format.toUpperCase()} preview`);
+    await runner.ffmpeg(
+      [
+        "-y",
+        ...snippets.flatMap((snippet) => [
+          "-ss",
+          snippet.start,
+          "-t",
+          snippet.duration,
+          "-i",
+          mediaPath(videoPath),
+        ]),
+        "-filter_complex",
+        filters.join(";"),
+        "-map",
+        "[out]",
+        "-an",
+        ...spec.codec(settings.quality),
+        mediaPath(outputFile),
+      ],
+      { duration: total },
+    );
+
+    const bytes = fs.statSync(outputFile).size;
+    attempts.push({ ...settings, bytes });
+    if (!options.maxBytes || bytes <= options.maxBytes) break;
+
+    // 依次尝试降低帧率、宽度、画质，已到下限的跳过
+    const steps = [
+      () =>
+        settings.fps > PREVIEW_MIN_FPS && {
+          fps: Math.max(PREVIEW_MIN_FPS, Math.round(settings.fps * 0.75)),
+        },
+      () =>
+        settings.width > PREVIEW_MIN_WIDTH && {
+          width: Math.max(
+            PREVIEW_MIN_WIDTH,
+            Math.round((settings.width * 0.8) / 2) * 2,
+          ),
+        },
+      () => {
+        const quality = spec.lower(settings.quality);
+        return quality !== null && { quality };
+      },
+    ];
+    const start = (attempts.length - 1) % steps.length;
+    let change = null;
+    for (let i = 0; i < steps.length && !change; i++) {
+      change = steps[(start + i) % steps.length]();
+    }
+    if (!change) {
+      fs.unlinkSync(outputFile);
+      throw new Error(
+        `Preview does not fit in ${options.maxBytes} bytes (smallest: ${bytes} bytes at ${settings.fps}fps, ${settings.width}px, quality ${settings.quality})`,
+      );
+    }
+    console.log(
+      `[INFO] ${(bytes / 1024).toFixed(1)} KB is over the ${(options.maxBytes / 1024).toFixed(1)} KB budget, retrying...`,
+    );
+    settings = { ...settings, ...change };
   }
+
+  const result = attempts[attempts.length - 1];
+  console.log(
+    `[OK] ${format.toUpperCase()} saved: ${outputFile} (${(result.bytes / 1024).toFixed(1)} KB)`,
+  );
+  return {
+    file: outputFile,
+    format,
+    ...result,
+    attempts,
+    snippets,
+  };
 }
 
 /**
@@ -279,35 +873,25 @@ function generateSimpleStoryboard(videoPath, outputFile, rows, cols) {
  * @param {number} duration - GIF 时长（秒）
  * @param {number} width - GIF 宽度
  * @param {number} fps - 帧率
+ * @param {object} options - {runner, signal, maxBytes, snippets}，见 generatePreview
  */
-function generateGIFPreview(
+async function generateGIFPreview(
   videoPath,
   outputFile,
   startTime = null,
   duration = 3,
   width = 480,
   fps = 10,
+  options = {},
 ) {
-  const info = getVideoInfo(videoPath);
-
-  // 如果没有指定开始时间，选择视频中间部分
-  const start =
-    startTime !== null ? startTime : info.duration / 2 - duration / 2;
-
-  console.log(`[Generating] GIF preview (${duration}s @ ${fps}fps)...`);
-
-  // 使用调色板优化 GIF 质量
-  const cmd = `${FFMPEG} -y -ss ${start} -t ${duration} -i "${videoPath}" \
-    -vf "fps=${fps},scale=${width}:-1:flags=lanczos,split[s0][s1];[s0]palettegen=max_colors=128[p];[s1][p]paletteuse=dither=bayer" \
-    -loop 0 "${outputFile}"`;
-
-  execSync(cmd, { stdio: "pipe" });
-
-  // 获取文件大小
-  const stats = fs.statSync(outputFile);
-  const sizeKB = (stats.size / 1024).toFixed(1);
-
-  console.log(`[OK] GIF saved: ${outputFile} (${sizeKB} KB)`);
+  await generatePreview(videoPath, outputFile, {
+    ...options,
+    format: "gif",
+    startTime,
+    duration,
+    width,
+    fps,
+  });
   return outputFile;
 }
 
@@ -317,71 +901,273 @@ function generateGIFPreview(
  * @param {string} videoPath - 视频路径
  * @param {string} outputFile - 输出图片
  * @param {number} count - 帧数
+ * @param {object} options - {runner, signal}
  */
-function generateTimestampedStoryboard(videoPath, outputFile, count = 9) {
-  const info = getVideoInfo(videoPath);
+async function generateTimestampedStoryboard(
+  videoPath,
+  outputFile,
+  count = 9,
+  options = {},
+) {
+  const runner = getRunner(options);
+  runner.stage("Generating timestamped storyboard");
+  const info = await getVideoInfo(videoPath, { runner });
   const duration = info.duration;
 
   console.log(`[Generating] Timestamped storyboard (${count} frames)...`);
 
-  const tempDir = "temp_timestamped";
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir);
-  }
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
+  try {
+    for (let i = 0; i < count; i++) {
+      const timestamp = duration * ((i + 0.5) / count);
+
+      // 提取帧并添加时间戳文字
+      await runner.ffmpeg([
+        "-y",
+        "-ss",
+        timestamp,
+        "-i",
+        mediaPath(videoPath),
+        "-vf",
+        `scale=320:180:force_original_aspect_ratio=decrease,pad=320:200:(ow-iw)/2:(oh-ih)/2:black,drawtext=text=${escapeFilterValue(formatClock(timestamp))}:fontsize=16:fontcolor=white:x=(w-text_w)/2:y=h-text_h-5:box=1:boxcolor=black@0.5`,
+        ...SINGLE_IMAGE,
+        path.join(workDir, frameName(i)),
+      ]);
+    }
 
-  const images = [];
+    // 计算网格布局
+    const cols = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / cols);
+    await tileFrames(workDir, cols, rows, outputFile, runner, { count });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
 
-  for (let i = 0; i < count; i++) {
-    const timestamp = duration * ((i + 0.5) / count);
-    const minutes = Math.floor(timestamp / 60);
-    const seconds = Math.floor(timestamp % 60);
-    const timeStr = `${minutes}:${String(seconds).padStart(2, "0")}`;
+  console.log(`[OK] Timestamped storyboard saved: ${outputFile}`);
+  return outputFile;
+}
 
-    const imgFile = path.join(
-      tempDir,
-      `frame_${String(i).padStart(2, "0")}.jpg`,
-    );
+/**
+ * 时长格式化为 M:SS 或 H:MM:SS，digits 为秒的小数位
+ */
+function formatClock(seconds, digits = 0) {
+  const total = Math.max(0, seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = (total % 60).toFixed(digits).padStart(digits ? digits + 3 : 2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
 
-    // 提取帧并添加时间戳文字
-    const cmd = `${FFMPEG} -y -ss ${timestamp} -i "${videoPath}" \
-      -vf "scale=320:180:force_original_aspect_ratio=decrease,pad=320:200:(ow-iw)/2:(oh-ih)/2:black,drawtext=text='${timeStr}':fontsize=16:fontcolor=white:x=(w-text_w)/2:y=h-text_h-5:box=1:boxcolor=black@0.5" \
-      -vframes 1 -q:v 2 "${imgFile}"`;
+/**
+ * 读取联系表页眉需要的文件信息
+ */
+async function probeSheetInfo(videoPath, runner) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "v:0",
+      "-show_entries",
+      "stream=codec_name,width,height:format=duration,bit_rate,size",
+      "-of",
+      "default=noprint_wrappers=1",
+      mediaPath(videoPath),
+    ],
+    { runner },
+  );
+  const info = {};
+  output.split("\n").forEach((line) => {
+    if (line.includes("=")) {
+      const [key, value] = line.split("=");
+      info[key] = value.trim();
+    }
+  });
+  return {
+    codec: info.codec_name || "unknown",
+    width: parseInt(info.width) || 0,
+    height: parseInt(info.height) || 0,
+    duration: parseFloat(info.duration) || 0,
+    bitrate: parseInt(info.bit_rate) || 0,
+    size: parseInt(info.size) || fs.statSync(videoPath).size,
+  };
+}
 
-    execSync(cmd, { stdio: "pipe" });
-    images.push(imgFile);
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
   }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
 
-  // 计算网格布局
-  const cols = Math.ceil(Math.sqrt(count));
-  const rows = Math.ceil(count / cols);
+// 联系表的版式（像素）
+const SHEET_LABEL_HEIGHT = 28;
+const SHEET_HEADER_HEIGHT = 64;
+const SHEET_PADDING = 6;
+// 页面最小宽度，保证页眉放得下
+const SHEET_MIN_WIDTH = 960;
 
-  // 拼接图片
-  const inputArgs = images.map((img) => `-i "${img}"`).join(" ");
-  const filterInputs = images.map((_, i) => `[${i}:v]`).join("");
+/**
+ * 生成联系表：每个场景一格（取场景中点），格子下方标注场景编号、开始时间和时长，
+ * 顶部页眉为文件名、时长、分辨率、编码、码率和文件大小；场景超过一页时自动分页
+ *
+ * @param {string} videoPath - 视频路径
+ * @param {string} outputFile - 输出图片；多页时在文件名后加页码（sheet_001.jpg, sheet_002.jpg ...）
+ * @param {object} options - {runner, signal, scenes, threshold, columns, rows, width, fontFile}
+ *   scenes 为 detectScenes 的结果，不传时按 threshold 检测；width 为每格宽度（默认 320）
+ * @returns {Promise<{pages: Array<string>, scenes: Array<{index, start, end, timestamp}>}>}
+ */
+async function generateContactSheet(videoPath, outputFile, options = {}) {
+  const runner = getRunner(options);
+  const columns = options.columns || 4;
+  const rows = options.rows || 5;
+  const width = options.width || 320;
+  const sheet = await probeSheetInfo(videoPath, runner);
+  if (!(sheet.duration > 0)) {
+    throw new Error(`Could not read video duration: ${videoPath}`);
+  }
+  const height =
+    sheet.width && sheet.height
+      ? Math.round((width * sheet.height) / sheet.width / 2) * 2
+      : Math.round((width * 9) / 16 / 2) * 2;
+
+  // 与 index.js 互相引用，延迟加载
+  const detected =
+    options.scenes ||
+    (await require("./index").detectScenes(
+      videoPath,
+      options.threshold || config.getConfig().threshold,
+      { runner },
+    ));
+  const cuts = detected.map((scene) =>
+    typeof scene === "number" ? scene : scene.start,
+  );
+  const bounds = [
+    0,
+    ...cuts.filter((t) => t > 0 && t < sheet.duration),
+    sheet.duration,
+  ];
+  const scenes = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    scenes.push({
+      index: i + 1,
+      start: bounds[i],
+      end: bounds[i + 1],
+      timestamp: round((bounds[i] + bounds[i + 1]) / 2, 3),
+    });
+  }
 
-  const cmd = `${FFMPEG} -y ${inputArgs} -filter_complex "${filterInputs}hstack=inputs=${count},tile=${cols}x${rows}" -vframes 1 -q:v 2 "${outputFile}" 2>&1`;
+  const perPage = columns * rows;
+  const pageCount = Math.ceil(scenes.length / perPage);
+  console.log(
+    `[Generating] Contact sheet (${scenes.length} scenes, ${pageCount} page(s) of ${columns}x${rows})...`,
+  );
 
+  const font = options.fontFile
+    ? `:fontfile=${escapeFilterValue(options.fontFile)}`
+    : "";
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-editor-"));
   try {
-    execSync(cmd, { stdio: "pipe" });
-  } catch (e) {
-    console.log("[ERROR] Failed to create grid, generating individually...");
-    // 备用方案：生成单独图片
-  }
+    // 1. 每个场景一格，带标签
+    runner.stage("Extracting scene frames");
+    for (let i = 0; i < scenes.length; i++) {
+      const scene = scenes[i];
+      const label = `#${scene.index}  ${formatClock(scene.start, 1)}`;
+      const length = `${(scene.end - scene.start).toFixed(1)}s`;
+      await runner.ffmpeg([
+        "-y",
+        "-ss",
+        scene.timestamp,
+        "-i",
+        mediaPath(videoPath),
+        "-vf",
+        [
+          `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+          `pad=${width}:${height + SHEET_LABEL_HEIGHT}:(ow-iw)/2:(${height}-ih)/2:color=0x202020`,
+          `drawtext=text=${escapeFilterValue(label)}${font}:fontsize=16:fontcolor=white:x=8:y=${height}+(${SHEET_LABEL_HEIGHT}-text_h)/2`,
+          `drawtext=text=${escapeFilterValue(length)}${font}:fontsize=16:fontcolor=0xbbbbbb:x=w-text_w-8:y=${height}+(${SHEET_LABEL_HEIGHT}-text_h)/2`,
+        ].join(","),
+        ...SINGLE_IMAGE,
+        path.join(workDir, frameName(i)),
+      ]);
+      if (!fs.existsSync(path.join(workDir, frameName(i)))) {
+        throw new Error(
+          `Could not extract a frame for scene ${scene.index} at ${scene.timestamp}s`,
+        );
+      }
+    }
 
-  // 清理
-  images.forEach((img) => {
-    if (fs.existsSync(img)) fs.unlinkSync(img);
-  });
-  if (fs.existsSync(tempDir)) {
-    fs.rmdirSync(tempDir);
-  }
+    // 2. 分页拼接并加页眉
+    runner.stage("Rendering contact sheet");
+    const { dir, name, ext } = path.parse(outputFile);
+    const header = [
+      `${path.basename(videoPath)}`,
+      [
+        `Duration ${formatClock(sheet.duration, 1)}`,
+        `${sheet.width}x${sheet.height}`,
+        sheet.codec,
+        sheet.bitrate ? `${(sheet.bitrate / 1000).toFixed(0)} kb/s` : null,
+        formatBytes(sheet.size),
+        `${scenes.length} scenes`,
+      ]
+        .filter(Boolean)
+        .join("  |  "),
+    ];
+    const pages = [];
+    for (let page = 0; page < pageCount; page++) {
+      const start = page * perPage;
+      const count = Math.min(perPage, scenes.length - start);
+      const file =
+        pageCount > 1
+          ? path.join(dir, `${name}_${String(page + 1).padStart(3, "0")}${ext}`)
+          : outputFile;
+
+      // 页眉文字写入文件，文件名中的特殊字符不需要转义
+      const headerFile = path.join(workDir, `header_${page}.txt`);
+      fs.writeFileSync(
+        headerFile,
+        [
+          header[0] + (pageCount > 1 ? `  (${page + 1}/${pageCount})` : ""),
+          header[1],
+        ].join("\n"),
+      );
+
+      // 多页时每页列数相同；只有一页时按场景数收窄
+      const pageColumns = pageCount > 1 ? columns : Math.min(columns, count);
+      const pageWidth = Math.max(
+        SHEET_MIN_WIDTH,
+        pageColumns * (width + SHEET_PADDING) + SHEET_PADDING,
+      );
+      await tileFrames(
+        workDir,
+        pageColumns,
+        Math.ceil(count / columns),
+        file,
+        runner,
+        {
+          start,
+          count,
+          padding: SHEET_PADDING,
+          color: "0x202020",
+          after: [
+            `pad=${pageWidth}:ih+${SHEET_HEADER_HEIGHT}:0:${SHEET_HEADER_HEIGHT}:color=0x202020`,
+            `drawtext=textfile=${escapeFilterValue(headerFile)}${font}:fontsize=18:line_spacing=8:fontcolor=white:x=${SHEET_PADDING + 4}:y=12`,
+          ].join(","),
+        },
+      );
+      pages.push(file);
+      console.log(`[OK] Contact sheet saved: ${file}`);
+    }
 
-  if (fs.existsSync(outputFile)) {
-    console.log(`[OK] Timestamped storyboard saved: ${outputFile}`);
-    return outputFile;
+    return { pages, scenes };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
-
-  return null;
 }
 
 /**
@@ -389,18 +1175,22 @@ function generateTimestampedStoryboard(videoPath, outputFile, count = 9) {
  * @param {string} videoPath - 视频路径
  * @param {string} outputDir - 输出目录
  * @param {string} baseName - 基础文件名
+ * @param {object} options - {runner, signal, alternatives, scenes, threshold}
+ *   alternatives 为 N 时用来自不同场景的 N 张备选封面（cover_1..N）代替最佳帧的三种尺寸
  */
-function generateAllThumbnails(
+async function generateAllThumbnails(
   videoPath,
-  outputDir = "thumbnails",
+  outputDir = config.getConfig().output.thumbnails,
   baseName = null,
+  options = {},
 ) {
+  const runner = getRunner(options);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir);
   }
 
   const name = baseName || path.parse(videoPath).name;
-  const info = getVideoInfo(videoPath);
+  const info = await getVideoInfo(videoPath, { runner });
 
   console.log(
     `\n[Batch Generating] All thumbnails for ${path.basename(videoPath)}...`,
@@ -411,41 +1201,67 @@ function generateAllThumbnails(
 
   const outputs = {};
 
-  // 1. 最佳封面（多种尺寸）
-  const bestTime = findBestThumbnailFrame(videoPath);
+  // 1. 备选封面（来自不同场景），或最佳帧的多种尺寸
+  if (options.alternatives) {
+    const covers = await findSceneThumbnails(videoPath, options.alternatives, {
+      runner,
+      scenes: options.scenes,
+      threshold: options.threshold,
+    });
+    for (let i = 0; i < covers.length; i++) {
+      outputs[`cover_${i + 1}`] = await generateThumbnail(
+        videoPath,
+        path.join(outputDir, `${name}_cover_${i + 1}.jpg`),
+        covers[i].timestamp,
+        1920,
+        2,
+        { runner },
+      );
+    }
+  } else {
+    const bestTime = await findBestThumbnailFrame(videoPath, 10, { runner });
 
-  outputs.thumbnail_1920 = generateThumbnail(
-    videoPath,
-    path.join(outputDir, `${name}_thumb_1920.jpg`),
-    bestTime,
-    1920,
-  );
-  outputs.thumbnail_1280 = generateThumbnail(
-    videoPath,
-    path.join(outputDir, `${name}_thumb_1280.jpg`),
-    bestTime,
-    1280,
-  );
-  outputs.thumbnail_640 = generateThumbnail(
-    videoPath,
-    path.join(outputDir, `${name}_thumb_640.jpg`),
-    bestTime,
-    640,
-  );
+    outputs.thumbnail_1920 = await generateThumbnail(
+      videoPath,
+      path.join(outputDir, `${name}_thumb_1920.jpg`),
+      bestTime,
+      1920,
+      2,
+      { runner },
+    );
+    outputs.thumbnail_1280 = await generateThumbnail(
+      videoPath,
+      path.join(outputDir, `${name}_thumb_1280.jpg`),
+      bestTime,
+      1280,
+      2,
+      { runner },
+    );
+    outputs.thumbnail_640 = await generateThumbnail(
+      videoPath,
+      path.join(outputDir, `${name}_thumb_640.jpg`),
+      bestTime,
+      640,
+      2,
+      { runner },
+    );
+  }
 
   // 2. 故事板
-  outputs.storyboard = generateStoryboard(
+  outputs.storyboard = await generateStoryboard(
     videoPath,
     path.join(outputDir, `${name}_storyboard.jpg`),
     3,
     3,
+    { runner },
   );
 
   // 3. 带时间戳的故事板
-  outputs.timestamped = generateTimestampedStoryboard(
+  outputs.timestamped = await generateTimestampedStoryboard(
     videoPath,
     path.join(outputDir, `${name}_timeline.jpg`),
     9,
+    { runner },
   );
 
   // 4. GIF 预览（选择3个不同位置）
@@ -455,30 +1271,35 @@ function generateAllThumbnails(
     info.duration * 0.8, // 结尾
   ];
 
-  gifPositions.forEach((pos, i) => {
+  for (let i = 0; i < gifPositions.length; i++) {
     const label = ["start", "middle", "end"][i];
-    outputs[`gif_${label}`] = generateGIFPreview(
+    outputs[`gif_${label}`] = await generateGIFPreview(
       videoPath,
       path.join(outputDir, `${name}_preview_${label}.gif`),
-      pos,
+      gifPositions[i],
       3,
       480,
       10,
+      { runner },
     );
-  });
+  }
 
   // 5. 首帧和尾帧
-  outputs.first_frame = generateThumbnail(
+  outputs.first_frame = await generateThumbnail(
     videoPath,
     path.join(outputDir, `${name}_first.jpg`),
     0,
     1920,
+    2,
+    { runner },
   );
-  outputs.last_frame = generateThumbnail(
+  outputs.last_frame = await generateThumbnail(
     videoPath,
     path.join(outputDir, `${name}_last.jpg`),
     info.duration - 0.1,
     1920,
+    2,
+    { runner },
   );
 
   console.log(`\n[OK] All thumbnails generated in ${outputDir}/`);
@@ -495,10 +1316,16 @@ function generateAllThumbnails(
 
 // 导出模块
 module.exports = {
+  SCORE_WEIGHTS,
+  PREVIEW_FORMATS,
   findBestThumbnailFrame,
+  findSceneThumbnails,
+  evaluateFrameQuality,
   generateThumbnail,
   generateStoryboard,
   generateTimestampedStoryboard,
+  generateContactSheet,
+  generatePreview,
   generateGIFPreview,
   generateAllThumbnails,
   getVideoInfo,
@@ -538,50 +1365,64 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  switch (command) {
-    case "best": {
-      const time = findBestThumbnailFrame(videoPath);
-      console.log(`\nBest frame at: ${time.toFixed(2)} seconds`);
-      break;
+  (async () => {
+    switch (command) {
+      case "best": {
+        const best = await findBestThumbnailFrame(videoPath, 10, {
+          detailed: true,
+        });
+        console.log("\nCandidates:");
+        best.candidates.forEach((frame) => {
+          console.log(
+            `  ${frame.timestamp.toFixed(2).padStart(8)}s  ${frame.rejected ? `rejected (${frame.rejected})` : frame.score.toFixed(2)}`,
+          );
+        });
+        console.log(`\nBest frame at: ${best.timestamp.toFixed(2)} seconds`);
+        break;
+      }
+
+      case "thumb": {
+        const time = args[2] ? parseFloat(args[2]) : null;
+        const output =
+          args[3] || `thumb_${path.basename(videoPath, ".mp4")}.jpg`;
+        await generateThumbnail(videoPath, output, time);
+        break;
+      }
+
+      case "storyboard": {
+        const output =
+          args[2] || `storyboard_${path.basename(videoPath, ".mp4")}.jpg`;
+        await generateStoryboard(videoPath, output);
+        break;
+      }
+
+      case "timeline": {
+        const output =
+          args[2] || `timeline_${path.basename(videoPath, ".mp4")}.jpg`;
+        await generateTimestampedStoryboard(videoPath, output);
+        break;
+      }
+
+      case "gif": {
+        const start = args[2] ? parseFloat(args[2]) : null;
+        const output =
+          args[3] || `preview_${path.basename(videoPath, ".mp4")}.gif`;
+        await generateGIFPreview(videoPath, output, start);
+        break;
+      }
+
+      case "all": {
+        const outputDir = args[2] || config.getConfig().output.thumbnails;
+        await generateAllThumbnails(videoPath, outputDir);
+        break;
+      }
+
+      default:
+        console.log("Unknown command:", command);
+        console.log("Use: best, thumb, storyboard, timeline, gif, or all");
     }
-
-    case "thumb": {
-      const time = args[2] ? parseFloat(args[2]) : null;
-      const output = args[3] || `thumb_${path.basename(videoPath, ".mp4")}.jpg`;
-      generateThumbnail(videoPath, output, time);
-      break;
-    }
-
-    case "storyboard": {
-      const output =
-        args[2] || `storyboard_${path.basename(videoPath, ".mp4")}.jpg`;
-      generateStoryboard(videoPath, output);
-      break;
-    }
-
-    case "timeline": {
-      const output =
-        args[2] || `timeline_${path.basename(videoPath, ".mp4")}.jpg`;
-      generateTimestampedStoryboard(videoPath, output);
-      break;
-    }
-
-    case "gif": {
-      const start = args[2] ? parseFloat(args[2]) : null;
-      const output =
-        args[3] || `preview_${path.basename(videoPath, ".mp4")}.gif`;
-      generateGIFPreview(videoPath, output, start);
-      break;
-    }
-
-    case "all": {
-      const outputDir = args[2] || "thumbnails";
-      generateAllThumbnails(videoPath, outputDir);
-      break;
-    }
-
-    default:
-      console.log("Unknown command:", command);
-      console.log("Use: best, thumb, storyboard, timeline, gif, or all");
-  }
+  })().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
 }
@@ -0,0 +1,356 @@
+// timeline_exporter.js - 时间线导出模块
+/**
+ * 将场景切换点导出为剪辑软件可导入的时间线
+ * 支持 CMX3600 EDL、Final Cut Pro XML (FCPXML) 和 OpenTimelineIO (OTIO)
+ * 所有时间码均以整数帧计算，保证帧级精度
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const FORMATS = {
+  edl: ".edl",
+  fcpxml: ".fcpxml",
+  otio: ".otio",
+};
+
+/**
+ * 解析 ffprobe 返回的帧率
+ * @param {string|number} rate - 例如 "30000/1001"、"25/1" 或 25
+ * @returns {{num: number, den: number, fps: number}}
+ */
+function parseFrameRate(rate) {
+  let num = 30;
+  let den = 1;
+
+  if (typeof rate === "string" && rate.includes("/")) {
+    const [n, d] = rate.split("/").map(Number);
+    if (n > 0 && d > 0) {
+      num = n;
+      den = d;
+    }
+  } else if (parseFloat(rate) > 0) {
+    const value = parseFloat(rate);
+    // 29.97 这类 NTSC 小数帧率还原为 30000/1001
+    const ntsc = Math.round(value * 1.001);
+    if (!Number.isInteger(value) && Math.abs(value - ntsc / 1.001) < 0.005) {
+      num = ntsc * 1000;
+      den = 1001;
+    } else {
+      num = Math.round(value * 1000);
+      den = 1000;
+    }
+  }
+
+  // 约分，避免 25000/1000 这类写法进入时间线文件
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const g = gcd(num, den);
+  return { num: num / g, den: den / g, fps: num / den };
+}
+
+/**
+ * 秒数转换为帧号（四舍五入到最近的帧）
+ */
+function secondsToFrames(seconds, rate) {
+  return Math.round((seconds * rate.num) / rate.den);
+}
+
+/**
+ * 是否使用丢帧时间码（29.97 / 59.94）
+ */
+function isDropFrame(rate) {
+  return rate.den === 1001 && rate.num % 30000 === 0;
+}
+
+/**
+ * 帧号转换为 SMPTE 时间码
+ * @param {number} frames - 帧号
+ * @param {object} rate - parseFrameRate 的返回值
+ * @returns {string} HH:MM:SS:FF（丢帧时为 HH:MM:SS;FF）
+ */
+function framesToTimecode(frames, rate) {
+  const fps = Math.round(rate.num / rate.den);
+  const dropFrame = isDropFrame(rate);
+  let f = frames;
+
+  if (dropFrame) {
+    // 每分钟丢弃前 N 个帧号，逢十分钟不丢
+    const dropped = Math.round(fps / 15);
+    const framesPerMinute = fps * 60 - dropped;
+    const framesPer10Minutes = framesPerMinute * 10 + dropped;
+    const tens = Math.floor(f / framesPer10Minutes);
+    const rest = f % framesPer10Minutes;
+    f += 9 * dropped * tens;
+    if (rest > dropped) {
+      f += dropped * Math.floor((rest - dropped) / framesPerMinute);
+    }
+  }
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const ff = f % fps;
+  const ss = Math.floor(f / fps) % 60;
+  const mm = Math.floor(f / (fps * 60)) % 60;
+  const hh = Math.floor(f / (fps * 3600));
+
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ";" : ":"}${pad(ff)}`;
+}
+
+/**
+ * 根据场景切换点生成片段列表（一个场景一个片段）
+ * @param {Array<number>} timestamps - 场景切换时间点（秒）
+ * @param {number} duration - 视频总时长（秒）
+ * @param {object} rate - parseFrameRate 的返回值
+ * @returns {Array} [{index, name, sourceIn, sourceOut, recordIn, recordOut}]（单位：帧）
+ */
+function buildSceneClips(timestamps, duration, rate) {
+  const totalFrames = secondsToFrames(duration, rate);
+  const cutFrames = [...timestamps]
+    .map((t) => secondsToFrames(t, rate))
+    .filter((f) => f > 0 && f < totalFrames)
+    .sort((a, b) => a - b);
+  const bounds = [0, ...new Set(cutFrames), totalFrames];
+
+  const clips = [];
+  let record = 0;
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const length = bounds[i + 1] - bounds[i];
+    if (length <= 0) continue;
+
+    clips.push({
+      index: clips.length + 1,
+      name: `Scene ${clips.length + 1}`,
+      sourceIn: bounds[i],
+      sourceOut: bounds[i + 1],
+      recordIn: record,
+      recordOut: record + length,
+    });
+    record += length;
+  }
+
+  return clips;
+}
+
+/**
+ * 生成 CMX3600 EDL
+ */
+function toEDL(clips, source) {
+  const { rate, name, hasAudio } = source;
+  const channels = hasAudio ? "AA/V" : "V";
+  const lines = [
+    `TITLE: ${source.title}`,
+    `FCM: ${isDropFrame(rate) ? "DROP FRAME" : "NON-DROP FRAME"}`,
+    "",
+  ];
+
+  clips.forEach((clip) => {
+    const timecodes = [
+      clip.sourceIn,
+      clip.sourceOut,
+      clip.recordIn,
+      clip.recordOut,
+    ].map((f) => framesToTimecode(f, rate));
+    const event = String(clip.index).padStart(3, "0");
+
+    lines.push(
+      `${event}  ${"AX".padEnd(8)} ${channels.padEnd(5)} ${"C".padEnd(8)} ${timecodes.join(" ")}`,
+    );
+    lines.push(`* FROM CLIP NAME: ${name}`);
+    lines.push(`* COMMENT: ${clip.name}`);
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * 帧数转换为 FCPXML 有理数时间（例如 "1001/30000s"）
+ */
+function fcpTime(frames, rate) {
+  if (frames === 0) return "0s";
+  return `${frames * rate.den}/${rate.num}s`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * 生成 FCPXML 1.9
+ */
+function toFCPXML(clips, source) {
+  const { rate } = source;
+  const total = clips.length ? clips[clips.length - 1].recordOut : 0;
+  const tcFormat = isDropFrame(rate) ? "DF" : "NDF";
+  const title = escapeXml(source.title);
+
+  const clipLines = clips.map(
+    (clip) =>
+      `            <asset-clip name="${escapeXml(clip.name)}" ref="r2" offset="${fcpTime(clip.recordIn, rate)}" start="${fcpTime(clip.sourceIn, rate)}" duration="${fcpTime(clip.sourceOut - clip.sourceIn, rate)}" format="r1" tcFormat="${tcFormat}"/>`,
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<!DOCTYPE fcpxml>",
+    '<fcpxml version="1.9">',
+    "  <resources>",
+    `    <format id="r1" frameDuration="${rate.den}/${rate.num}s" width="${source.width}" height="${source.height}"/>`,
+    `    <asset id="r2" name="${escapeXml(source.name)}" start="0s" duration="${fcpTime(source.totalFrames, rate)}" hasVideo="1" hasAudio="${source.hasAudio ? 1 : 0}" format="r1">`,
+    `      <media-rep kind="original-media" src="${escapeXml(source.url)}"/>`,
+    "    </asset>",
+    "  </resources>",
+    "  <library>",
+    `    <event name="${title}">`,
+    `      <project name="${title}">`,
+    `        <sequence format="r1" duration="${fcpTime(total, rate)}" tcStart="0s" tcFormat="${tcFormat}">`,
+    "          <spine>",
+    ...clipLines,
+    "          </spine>",
+    "        </sequence>",
+    "      </project>",
+    "    </event>",
+    "  </library>",
+    "</fcpxml>",
+    "",
+  ].join("\n");
+}
+
+function otioTime(frames, rate) {
+  return {
+    OTIO_SCHEMA: "RationalTime.1",
+    rate: rate.fps,
+    value: frames,
+  };
+}
+
+function otioRange(start, duration, rate) {
+  return {
+    OTIO_SCHEMA: "TimeRange.1",
+    duration: otioTime(duration, rate),
+    start_time: otioTime(start, rate),
+  };
+}
+
+/**
+ * 生成 OpenTimelineIO JSON
+ */
+function toOTIO(clips, source) {
+  const { rate } = source;
+  const mediaReference = {
+    OTIO_SCHEMA: "ExternalReference.1",
+    available_range: otioRange(0, source.totalFrames, rate),
+    metadata: {},
+    name: source.name,
+    target_url: source.url,
+  };
+
+  const track = {
+    OTIO_SCHEMA: "Track.1",
+    children: clips.map((clip) => ({
+      OTIO_SCHEMA: "Clip.1",
+      effects: [],
+      markers: [],
+      media_reference: mediaReference,
+      metadata: { scene: clip.index },
+      name: clip.name,
+      source_range: otioRange(
+        clip.sourceIn,
+        clip.sourceOut - clip.sourceIn,
+        rate,
+      ),
+    })),
+    effects: [],
+    kind: "Video",
+    markers: [],
+    metadata: {},
+    name: "V1",
+    source_range: null,
+  };
+
+  const timeline = {
+    OTIO_SCHEMA: "Timeline.1",
+    global_start_time: otioTime(0, rate),
+    metadata: {},
+    name: source.title,
+    tracks: {
+      OTIO_SCHEMA: "Stack.1",
+      children: [track],
+      effects: [],
+      markers: [],
+      metadata: {},
+      name: "tracks",
+      source_range: null,
+    },
+  };
+
+  return JSON.stringify(timeline, null, 2) + "\n";
+}
+
+/**
+ * 生成时间线文件内容
+ * @param {Array<number>} timestamps - 场景切换时间点（秒）
+ * @param {object} source - 源视频信息 {path, duration, frameRate, width, height, hasAudio}
+ * @param {string} format - edl | fcpxml | otio
+ * @returns {string} 时间线文件内容
+ */
+function buildTimeline(timestamps, source, format = "edl") {
+  if (!FORMATS[format]) {
+    throw new Error(
+      `Unsupported timeline format: ${format} (expected ${Object.keys(FORMATS).join(", ")})`,
+    );
+  }
+
+  const rate = parseFrameRate(source.frameRate);
+  const clips = buildSceneClips(timestamps, source.duration, rate);
+  const context = {
+    rate,
+    title: source.title || path.parse(source.path).name,
+    name: path.basename(source.path),
+    url: pathToFileURL(path.resolve(source.path)).href,
+    width: source.width || 1920,
+    height: source.height || 1080,
+    hasAudio: Boolean(source.hasAudio),
+    totalFrames: secondsToFrames(source.duration, rate),
+  };
+
+  switch (format) {
+    case "edl":
+      return toEDL(clips, context);
+    case "fcpxml":
+      return toFCPXML(clips, context);
+    case "otio":
+      return toOTIO(clips, context);
+  }
+}
+
+/**
+ * 写出时间线文件
+ * @returns {string} 输出文件路径
+ */
+function writeTimeline(timestamps, source, format = "edl", outputFile = null) {
+  const content = buildTimeline(timestamps, source, format);
+  const output =
+    outputFile || `${path.parse(source.path).name}${FORMATS[format]}`;
+
+  fs.writeFileSync(output, content);
+  // 写到 stderr：export 命令的 stdout 只输出 JSON 结果
+  console.error(`[OK] ${format.toUpperCase()} timeline saved: ${output}`);
+  return output;
+}
+
+// 导出模块
+module.exports = {
+  FORMATS,
+  parseFrameRate,
+  secondsToFrames,
+  framesToTimecode,
+  buildSceneClips,
+  buildTimeline,
+  writeTimeline,
+};
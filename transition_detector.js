@@ -0,0 +1,387 @@
+// transition_detector.js - 渐变转场检测模块
+/**
+ * 识别硬切、淡入、淡出和叠化
+ *
+ * 逐帧分析三项数据：
+ *   score      - FFmpeg 的场景变化分数，用于识别硬切
+ *   luma       - 平均亮度，用于识别淡入淡出（进入或离开黑场）
+ *   windowDiff - 当前帧与 window 秒之后那一帧的平均亮度差，
+ *                叠化在逐帧比较中变化很小，但隔一个窗口比较时会形成明显的峰
+ *
+ * 每个转场只报告一个边界 {type, time, start, end}
+ */
+
+const { getRunner, mediaPath } = require("./ffmpeg_runner");
+const config = require("./config");
+const analysisCache = require("./analysis_cache");
+const timeline = require("./timeline_exporter");
+
+const TRANSITION_TYPES = ["cut", "fade-in", "fade-out", "dissolve"];
+
+// 淡入淡出时每帧亮度至少变化的量，以及最短帧数
+const FADE_STEP = 0.25;
+const MIN_GRADUAL_FRAMES = 3;
+
+// 分析时缩小画面以加快速度
+const ANALYSIS_WIDTH = 160;
+
+// 只有场景分数、没有亮度的分析结果的缓存键
+const SCORES_KEY = "scores";
+
+async function probeStream(videoPath, runner) {
+  const output = await analysisCache.ffprobe(
+    videoPath,
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "v:0",
+      "-show_entries",
+      "stream=r_frame_rate:format=duration",
+      "-of",
+      "default=noprint_wrappers=1",
+      mediaPath(videoPath),
+    ],
+    { runner },
+  );
+  const info = {};
+  output.split("\n").forEach((line) => {
+    if (line.includes("=")) {
+      const [key, value] = line.split("=");
+      info[key] = value.trim();
+    }
+  });
+  return {
+    rate: timeline.parseFrameRate(info.r_frame_rate),
+    duration: parseFloat(info.duration) || 0,
+  };
+}
+
+/**
+ * 运行逐帧分析的 FFmpeg 命令并解析结果
+ * 标准错误输出边读边解析，只保留每帧的数值
+ * @param {boolean} withLuma - 是否计算亮度；不需要时省去缩放和 signalstats
+ */
+async function runAnalysis(
+  videoPath,
+  windowFrames,
+  duration,
+  withLuma,
+  runner,
+) {
+  // 场景分数按原始分辨率计算，与 detectScenes 的阈值含义一致；亮度在缩小后的画面上计算
+  const score =
+    "select='gte(scene,0)',metadata@score=print:key=lavfi.scene_score";
+  const stats = withLuma
+    ? `${score},scale=${ANALYSIS_WIDTH}:-2,signalstats,metadata@luma=print:key=lavfi.signalstats.YAVG`
+    : score;
+  const outputs = ["-map", "[stats]", "-f", "null", "-"];
+  let filter = `[0:v]${stats}[stats]`;
+
+  // 另一路把画面与 windowFrames 帧之后的画面做差
+  if (windowFrames > 0) {
+    filter = [
+      "[0:v]split=2[s][d]",
+      `[s]${stats}[stats]`,
+      `[d]scale=${ANALYSIS_WIDTH}:-2,format=gray,split=2[now][b]`,
+      `[b]trim=start_frame=${windowFrames},setpts=PTS-STARTPTS[later]`,
+      "[now][later]blend=all_mode=difference,signalstats,metadata@window=print:key=lavfi.signalstats.YAVG[diff]",
+    ].join(";");
+    outputs.push("-map", "[diff]", "-f", "null", "-");
+  }
+
+  runner.stage("Analyzing frames");
+  const parser = frameMetadataParser();
+  await runner.ffmpeg(
+    ["-i", mediaPath(videoPath), "-filter_complex", filter, ...outputs],
+    { duration, onStderrLine: parser.push },
+  );
+
+  const frames = parser.frames();
+
+  // 最后 windowFrames 帧没有可比较的后续画面
+  frames.forEach((frame, i) => {
+    if (i + windowFrames >= frames.length) frame.windowDiff = null;
+  });
+
+  return frames;
+}
+
+/**
+ * 逐帧分析视频
+ * @param {string} videoPath - 视频路径
+ * @param {object} options - {runner, signal, window, luma}
+ *   window 为 0 时只计算场景分数和亮度，不计算窗口差值；
+ *   luma 为 false 时不计算亮度（frames 中 luma 为 null，可能复用带亮度的缓存）
+ * @returns {Promise<{fps: number, duration: number, windowFrames: number, frames: Array}>}
+ *   frames: [{frame, time, score, luma, windowDiff}]
+ */
+async function analyzeFrames(videoPath, options = {}) {
+  const runner = getRunner(options);
+  const window =
+    options.window !== undefined
+      ? options.window
+      : config.getConfig().transitions.window;
+  const withLuma = options.luma !== false;
+  const { rate, duration } = await probeStream(videoPath, runner);
+  const windowFrames =
+    window > 0 ? Math.max(1, Math.round(window * rate.fps)) : 0;
+
+  // 分数和亮度与窗口无关，已缓存的任何一次分析都能用于 window 为 0 的请求；
+  // 只有场景分数的分析（键为 scores）不能用于需要亮度的请求
+  let frames = null;
+  if (windowFrames === 0) {
+    const [key] = analysisCache
+      .cachedKeys(videoPath, "frames")
+      .filter((k) => !withLuma || k !== SCORES_KEY);
+    if (key) {
+      frames = analysisCache
+        .lookup(videoPath, "frames", key)
+        .map((frame) => ({ ...frame, windowDiff: null }));
+    }
+  }
+  if (!frames) {
+    const scoresOnly = windowFrames === 0 && !withLuma;
+    frames = await analysisCache.remember(
+      videoPath,
+      "frames",
+      scoresOnly ? SCORES_KEY : `window=${windowFrames}`,
+      () => runAnalysis(videoPath, windowFrames, duration, !scoresOnly, runner),
+    );
+  }
+
+  return { fps: rate.fps, duration, windowFrames, frames };
+}
+
+/**
+ * 逐行解析 metadata=print 的输出
+ * @returns {{push: function(string), frames: function(): Array}}
+ */
+function frameMetadataParser() {
+  const frames = [];
+  const current = {};
+
+  const push = (line) => {
+    const match = line.match(/^\[metadata@(\w+) @ [^\]]+\] (.*)$/);
+    if (!match) return;
+    const [, name, text] = match;
+
+    const header = text.match(/^frame:(\d+)\s+pts:\S+\s+pts_time:([\d.]+)/);
+    if (header) {
+      const index = parseInt(header[1]);
+      current[name] = index;
+      if (!frames[index]) {
+        frames[index] = {
+          frame: index,
+          time: parseFloat(header[2]),
+          score: null,
+          luma: null,
+          windowDiff: null,
+        };
+      }
+      return;
+    }
+
+    const value = text.match(/^lavfi\.[\w.]+=([\d.]+)/);
+    if (!value || current[name] === undefined) return;
+    const frame = frames[current[name]];
+    const number = parseFloat(value[1]);
+
+    if (name === "score") frame.score = number;
+    else if (name === "luma") frame.luma = number;
+    else if (name === "window") frame.windowDiff = number;
+  };
+
+  return { push, frames: () => frames.filter(Boolean) };
+}
+
+/**
+ * 解析 metadata=print 的完整输出
+ */
+function parseFrameMetadata(log) {
+  const parser = frameMetadataParser();
+  log.split("\n").forEach(parser.push);
+  return parser.frames();
+}
+
+/**
+ * 从逐帧数据中找出转场
+ * @param {Array} frames - analyzeFrames 返回的 frames
+ * @param {object} settings - {threshold, windowFrames, ratio, minDelta, blackLuma}
+ * @returns {Array} [{type, time, frame, start, end, startFrame, endFrame, score}]，按时间排序
+ */
+function findTransitions(frames, settings) {
+  const { threshold, windowFrames, ratio, minDelta, blackLuma } = settings;
+  const n = frames.length;
+  const ranges = [];
+
+  const windowAt = (i) => (i >= 0 && i < n ? frames[i].windowDiff : null);
+  const isBlack = (i) => frames[i].luma !== null && frames[i].luma <= blackLuma;
+  const overlaps = (start, end) =>
+    ranges.some((r) => start <= r.endFrame + 1 && end >= r.startFrame - 1);
+
+  // 1. 硬切：场景分数超过阈值
+  for (let i = 1; i < n; i++) {
+    if (frames[i].score !== null && frames[i].score >= threshold) {
+      ranges.push({
+        type: "cut",
+        startFrame: i,
+        endFrame: i,
+        boundary: i,
+        score: frames[i].score,
+      });
+    }
+  }
+
+  // 2. 淡出 / 淡入：黑场前亮度持续下降，黑场后亮度持续上升
+  for (let i = 0; i < n; i++) {
+    if (!isBlack(i) || (i > 0 && isBlack(i - 1))) continue;
+    let blackEnd = i;
+    while (blackEnd + 1 < n && isBlack(blackEnd + 1)) blackEnd++;
+
+    let fadeStart = i;
+    while (
+      fadeStart > 0 &&
+      frames[fadeStart - 1].luma > frames[fadeStart].luma + FADE_STEP
+    ) {
+      fadeStart--;
+    }
+    if (i - fadeStart >= MIN_GRADUAL_FRAMES && !overlaps(i, i)) {
+      ranges.push({
+        type: "fade-out",
+        startFrame: fadeStart,
+        endFrame: i,
+        boundary: i,
+        score: null,
+      });
+    }
+
+    let fadeEnd = blackEnd;
+    while (
+      fadeEnd + 1 < n &&
+      frames[fadeEnd + 1].luma > frames[fadeEnd].luma + FADE_STEP
+    ) {
+      fadeEnd++;
+    }
+    if (
+      fadeEnd - blackEnd >= MIN_GRADUAL_FRAMES &&
+      !overlaps(blackEnd + 1, blackEnd + 1)
+    ) {
+      ranges.push({
+        type: "fade-in",
+        startFrame: blackEnd + 1,
+        endFrame: fadeEnd,
+        boundary: blackEnd + 1,
+        score: null,
+      });
+    }
+
+    i = blackEnd;
+  }
+
+  // 3. 叠化：窗口差值的局部峰明显高于前后两个窗口之外的水平
+  const candidates = [];
+  for (let i = 0; i < n; i++) {
+    const value = windowAt(i);
+    if (value === null) continue;
+
+    const before = windowAt(i - 2 * windowFrames);
+    const after = windowAt(i + 2 * windowFrames);
+    const base = Math.max(before || 0, after || 0);
+    if (value - base < minDelta || value < base * ratio) continue;
+
+    let isPeak = true;
+    for (let j = i - windowFrames; j <= i + windowFrames && isPeak; j++) {
+      const other = windowAt(j);
+      if (other !== null && (other > value || (other === value && j < i))) {
+        isPeak = false;
+      }
+    }
+    if (isPeak) {
+      candidates.push({
+        peak: i,
+        value,
+        base,
+        before: before === null ? base : before,
+        after: after === null ? base : after,
+      });
+    }
+  }
+
+  candidates.forEach(({ peak, value, base, before, after }) => {
+    // 窗口 [i, i + windowFrames] 与转场重叠时差值都会升高，
+    // 因此升高区间 [a, b] 对应的转场为 [a + windowFrames, b + 1]
+    // 两侧分别以各自的水平为基准
+    const leftLevel = before + (value - before) * 0.2;
+    const rightLevel = after + (value - after) * 0.2;
+    let a = peak;
+    let b = peak;
+    while (windowAt(a - 1) !== null && windowAt(a - 1) >= leftLevel) a--;
+    while (windowAt(b + 1) !== null && windowAt(b + 1) >= rightLevel) b++;
+
+    let startFrame = Math.min(a + windowFrames, n - 1);
+    let endFrame = Math.min(b + 1, n - 1);
+    if (startFrame > endFrame) {
+      startFrame = endFrame = Math.round((startFrame + endFrame) / 2);
+    }
+
+    if (endFrame - startFrame < MIN_GRADUAL_FRAMES) return;
+    if (overlaps(startFrame, endFrame)) return;
+
+    ranges.push({
+      type: "dissolve",
+      startFrame,
+      endFrame,
+      boundary: Math.round((startFrame + endFrame) / 2),
+      score: value > 0 ? (value - base) / value : 0,
+    });
+  });
+
+  return ranges
+    .sort((x, y) => x.boundary - y.boundary)
+    .map((r) => ({
+      type: r.type,
+      time: frames[r.boundary].time,
+      start: frames[r.startFrame].time,
+      end: frames[r.endFrame].time,
+      frame: frames[r.boundary].frame,
+      startFrame: frames[r.startFrame].frame,
+      endFrame: frames[r.endFrame].frame,
+      score: r.score,
+    }));
+}
+
+/**
+ * 检测视频中的所有转场
+ * @param {string} videoPath - 视频路径
+ * @param {number} threshold - 硬切的场景分数阈值
+ * @param {object} options - {runner, signal, window, ratio, minDelta, blackLuma}
+ * @returns {Promise<{transitions: Array, frames: Array, fps: number}>}
+ */
+async function detectTransitions(
+  videoPath,
+  threshold = config.getConfig().threshold,
+  options = {},
+) {
+  const settings = { ...config.getConfig().transitions, ...options };
+  const { fps, windowFrames, frames } = await analyzeFrames(videoPath, options);
+
+  const transitions = findTransitions(frames, {
+    threshold,
+    windowFrames,
+    ratio: settings.ratio,
+    minDelta: settings.minDelta,
+    blackLuma: settings.blackLuma,
+  });
+
+  return { transitions, frames, fps };
+}
+
+// 导出模块
+module.exports = {
+  TRANSITION_TYPES,
+  analyzeFrames,
+  parseFrameMetadata,
+  findTransitions,
+  detectTransitions,
+};